@@ -3,6 +3,9 @@ from tkinter import messagebox
 from smartcard.System import readers
 import threading
 import time
+import json
+import os
+import sys
 
 # ================================
 # DATABASE
@@ -19,79 +22,102 @@ MATERIALS = {
 MATERIALS_REV = {v: k for k, v in MATERIALS.items()}
 
 COLORS = {
-    "#FAFAFA": {"de": "Weiß", "en": "White", "val": 1},
-    "#060606": {"de": "Schwarz", "en": "Black", "val": 2},
-    "#D9E3ED": {"de": "Grau", "en": "Gray", "val": 3},
-    "#5CF30F": {"de": "Hellgrün", "en": "Light Green", "val": 4},
-    "#63E492": {"de": "Mint", "en": "Mint", "val": 5},
-    "#2850FF": {"de": "Blau", "en": "Blue", "val": 6},
-    "#FE98FE": {"de": "Pink", "en": "Pink", "val": 7},
-    "#DFD628": {"de": "Gelb", "en": "Yellow", "val": 8},
-    "#228332": {"de": "Grün", "en": "Green", "val": 9},
-    "#99DEFF": {"de": "Hellblau", "en": "Light Blue", "val": 10},
-    "#1714B0": {"de": "Dunkelblau", "en": "Dark Blue", "val": 11},
-    "#CEC0FE": {"de": "Lavendel", "en": "Lavender", "val": 12},
-    "#CADE4B": {"de": "Lime", "en": "Lime", "val": 13},
-    "#1353AB": {"de": "Royalblau", "en": "Royal Blue", "val": 14},
-    "#5EA9FD": {"de": "Himmelblau", "en": "Sky Blue", "val": 15},
-    "#A878FF": {"de": "Violett", "en": "Violet", "val": 16},
-    "#FE717A": {"de": "Rosa", "en": "Rose", "val": 17},
-    "#FF362D": {"de": "Rot", "en": "Red", "val": 18},
-    "#E2DFCD": {"de": "Beige", "en": "Beige", "val": 19},
-    "#898F9B": {"de": "Silber", "en": "Silver", "val": 20},
-    "#6E3812": {"de": "Braun", "en": "Brown", "val": 21},
-    "#CAC59F": {"de": "Khaki", "en": "Khaki", "val": 22},
-    "#F28636": {"de": "Orange", "en": "Orange", "val": 23},
-    "#B87F2B": {"de": "Bronze", "en": "Bronze", "val": 24},
+    "#FAFAFA": {"en": "White", "val": 1},
+    "#060606": {"en": "Black", "val": 2},
+    "#D9E3ED": {"en": "Gray", "val": 3},
+    "#5CF30F": {"en": "Light Green", "val": 4},
+    "#63E492": {"en": "Mint", "val": 5},
+    "#2850FF": {"en": "Blue", "val": 6},
+    "#FE98FE": {"en": "Pink", "val": 7},
+    "#DFD628": {"en": "Yellow", "val": 8},
+    "#228332": {"en": "Green", "val": 9},
+    "#99DEFF": {"en": "Light Blue", "val": 10},
+    "#1714B0": {"en": "Dark Blue", "val": 11},
+    "#CEC0FE": {"en": "Lavender", "val": 12},
+    "#CADE4B": {"en": "Lime", "val": 13},
+    "#1353AB": {"en": "Royal Blue", "val": 14},
+    "#5EA9FD": {"en": "Sky Blue", "val": 15},
+    "#A878FF": {"en": "Violet", "val": 16},
+    "#FE717A": {"en": "Rose", "val": 17},
+    "#FF362D": {"en": "Red", "val": 18},
+    "#E2DFCD": {"en": "Beige", "val": 19},
+    "#898F9B": {"en": "Silver", "val": 20},
+    "#6E3812": {"en": "Brown", "val": 21},
+    "#CAC59F": {"en": "Khaki", "val": 22},
+    "#F28636": {"en": "Orange", "val": 23},
+    "#B87F2B": {"en": "Bronze", "val": 24},
 }
 COLORS_REV = {v["val"]: (k, v) for k, v in COLORS.items()}
 
 # ================================
 # LANGUAGE SETTINGS
 # ================================
-LANG = {
-    "de": {
-        "title": "BoxRFID Manager für QIDI Box",
-        "material": "Materialtyp auswählen",
-        "color": "Farbe auswählen",
-        "write": "TAG SCHREIBEN",
-        "read": "TAG LESEN",
-        "done": "Schreiben abgeschlossen!",
-        "error": "Fehler",
-        "select_valid": "Bitte gültiges Material und Farbe auswählen",
-        "no_color": "Keine Farbe ausgewählt",
-        "tag_info": "Tag Informationen",
-        "empty_tag": "Leerer RFID Tag",
-        "no_reader": "Kein Lesegerät gefunden!",
-        "no_key": "Kein gültiger Schlüssel gefunden",
-        "auth_failed": "Authentifizierung fehlgeschlagen",
-        "write_failed": "Schreiben fehlgeschlagen",
-        "read_failed": "Lesen fehlgeschlagen",
-        "unknown": "Unbekannt",
-        "auto_detect": "Auto-Erkennung"
-    },
-    "en": {
-        "title": "BoxRFID Manager for QIDI Box",
-        "material": "Select Material",
-        "color": "Select Color",
-        "write": "WRITE TAG",
-        "read": "READ TAG",
-        "done": "Write completed!",
-        "error": "Error",
-        "select_valid": "Please select valid material and color",
-        "no_color": "No color selected",
-        "tag_info": "Tag Information",
-        "empty_tag": "Empty RFID Tag",
-        "no_reader": "No reader found!",
-        "no_key": "No valid key found",
-        "auth_failed": "Authentication failed",
-        "write_failed": "Write failed",
-        "read_failed": "Read failed",
-        "unknown": "Unknown",
-        "auto_detect": "Auto Detection"
-    }
+# Texts come from the locale packs of the Electron app (locales/<code>.json, section
+# "python"; color names from "colors"). Missing texts fall back to English, and to the
+# English texts below when no locales folder is found (e.g. the script copied on its own).
+FALLBACK_TEXTS = {
+    "title": "BoxRFID Manager for QIDI Box",
+    "material": "Select Material",
+    "color": "Select Color",
+    "write": "WRITE TAG",
+    "read": "READ TAG",
+    "done": "Write completed!",
+    "error": "Error",
+    "select_valid": "Please select valid material and color",
+    "no_color": "No color selected",
+    "tag_info": "Tag Information",
+    "empty_tag": "Empty RFID Tag",
+    "no_reader": "No reader found!",
+    "no_key": "No valid key found",
+    "auth_failed": "Authentication failed",
+    "write_failed": "Write failed",
+    "read_failed": "Read failed",
+    "unknown": "Unknown",
+    "auto_detect": "Auto Detection"
 }
-current_lang = "de"
+
+def locale_dirs():
+    """Folders searched for locale packs: next to the script / EXE, then the repository root"""
+    base = getattr(sys, "_MEIPASS", os.path.dirname(os.path.abspath(sys.argv[0] if getattr(sys, "frozen", False) else __file__)))
+    return [os.path.join(base, "locales"), os.path.join(base, "..", "..", "locales")]
+
+def load_locales():
+    """Locale packs with a "python" section: {code: {"python": {...}, "colors": {...}}}"""
+    packs = {}
+    for folder in locale_dirs():
+        if not os.path.isdir(folder):
+            continue
+        for name in sorted(os.listdir(folder)):
+            code, ext = os.path.splitext(name)
+            if ext.lower() != ".json" or code in packs:
+                continue
+            try:
+                with open(os.path.join(folder, name), encoding="utf-8") as f:
+                    pack = json.load(f)
+            except (OSError, ValueError):
+                continue
+            if isinstance(pack, dict) and isinstance(pack.get("python"), dict):
+                packs[code] = {"python": pack["python"], "colors": pack.get("colors") or {}}
+    return packs
+
+LOCALES = load_locales()
+LANGUAGES = [c for c in ("de", "en") if c in LOCALES] + sorted(c for c in LOCALES if c not in ("de", "en")) or ["en"]
+current_lang = "de" if "de" in LANGUAGES else LANGUAGES[0]
+
+def tr(key):
+    """Text of the current language, English when the pack lacks it"""
+    for code in (current_lang, "en"):
+        text = LOCALES.get(code, {}).get("python", {}).get(key)
+        if isinstance(text, str):
+            return text
+    return FALLBACK_TEXTS.get(key, key)
+
+def color_name(hex_code):
+    for code in (current_lang, "en"):
+        name = LOCALES.get(code, {}).get("colors", {}).get(hex_code)
+        if isinstance(name, str):
+            return name
+    return COLORS[hex_code]["en"] if hex_code in COLORS else tr("unknown")
 
 # ================================
 # RFID FUNCTIONS
@@ -112,12 +138,12 @@ def connect_reader():
     try:
         r = readers()
         if not r:
-            raise Exception(LANG[current_lang]["no_reader"])
+            raise Exception(tr("no_reader"))
         conn = r[0].createConnection()
         conn.connect()
         return conn
     except Exception as e:
-        raise Exception(LANG[current_lang]["no_reader"])
+        raise Exception(tr("no_reader"))
 
 def load_key(conn, key):
     """Load authentication key to reader"""
@@ -137,7 +163,7 @@ def find_working_key(conn, block):
     for key in KEYS_TO_TRY:
         if load_key(conn, key) and authenticate_block(conn, block):
             return key
-    raise Exception(LANG[current_lang]["no_key"])
+    raise Exception(tr("no_key"))
 
 def write_tag(material_num, color_num, value_num=1):
     """Write data to RFID tag"""
@@ -145,17 +171,17 @@ def write_tag(material_num, color_num, value_num=1):
     working_key = find_working_key(conn, DATA_BLOCK)
 
     if not load_key(conn, working_key) or not authenticate_block(conn, DATA_BLOCK):
-        raise Exception(LANG[current_lang]["auth_failed"])
+        raise Exception(tr("auth_failed"))
 
     data_bytes = [material_num, color_num, value_num] + [0x00]*13
     WRITE_BLOCK = [0xFF, 0xD6, 0x00, DATA_BLOCK, 0x10] + data_bytes
     _, sw1, sw2 = conn.transmit(WRITE_BLOCK)
 
     if sw1 != 0x90 or sw2 != 0x00:
-        raise Exception(LANG[current_lang]["write_failed"])
+        raise Exception(tr("write_failed"))
 
     conn.disconnect()
-    messagebox.showinfo("OK", LANG[current_lang]["done"])
+    messagebox.showinfo("OK", tr("done"))
 
 def read_tag():
     """Read data from RFID tag"""
@@ -166,13 +192,13 @@ def read_tag():
         working_key = find_working_key(conn, DATA_BLOCK)
 
         if not load_key(conn, working_key) or not authenticate_block(conn, DATA_BLOCK):
-            raise Exception(LANG[current_lang]["auth_failed"])
+            raise Exception(tr("auth_failed"))
 
         READ_BLOCK = [0xFF, 0xB0, 0x00, DATA_BLOCK, 0x10]
         data, sw1, sw2 = conn.transmit(READ_BLOCK)
 
         if sw1 != 0x90 or sw2 != 0x00:
-            raise Exception(LANG[current_lang]["read_failed"])
+            raise Exception(tr("read_failed"))
 
         material_val = data[0]
         color_val = data[1]
@@ -182,13 +208,13 @@ def read_tag():
         
         # Check if tag is empty (all zeros or default values)
         if material_val == 0 and color_val == 0:
-            show_tag_info(LANG[current_lang]["empty_tag"], "#FFFFFF", "")
+            show_tag_info(tr("empty_tag"), "#FFFFFF", "")
             conn.disconnect()
             return True
         else:
-            material_name = MATERIALS_REV.get(material_val, LANG[current_lang]["unknown"])
-            color_hex, color_dict = COLORS_REV.get(color_val, ("#FFFFFF", {"de": LANG[current_lang]["unknown"], "en": LANG[current_lang]["unknown"]}))
-            show_tag_info(material_name, color_hex, color_dict[current_lang])
+            material_name = MATERIALS_REV.get(material_val, tr("unknown"))
+            color_hex = COLORS_REV[color_val][0] if color_val in COLORS_REV else "#FFFFFF"
+            show_tag_info(material_name, color_hex, color_name(color_hex) if color_val in COLORS_REV else tr("unknown"))
             
         conn.disconnect()
         return True
@@ -281,7 +307,7 @@ ctk.set_default_color_theme("blue")
 
 # Create main window
 root = ctk.CTk()
-root.title(LANG[current_lang]["title"])
+root.title(tr("title"))
 root.geometry("500x750")
 
 # Main frame
@@ -292,25 +318,26 @@ main_frame.pack(padx=20, pady=20, fill="both", expand=True)
 header_frame = ctk.CTkFrame(main_frame, fg_color="white", height=40)
 header_frame.pack(fill="x", padx=10, pady=(10, 5))
 
-title_label = ctk.CTkLabel(header_frame, text=LANG[current_lang]["title"],
+title_label = ctk.CTkLabel(header_frame, text=tr("title"),
                            font=("Segoe UI", 18, "bold"), text_color="black")
 title_label.pack(side="left", padx=10)
 
 # Compact language selector
 def switch_lang():
-    """Switch between German and English"""
+    """Switch to the next available language"""
     global current_lang
-    current_lang = "en" if current_lang == "de" else "de"
+    current_lang = LANGUAGES[(LANGUAGES.index(current_lang) + 1) % len(LANGUAGES)]
+    lang_btn.configure(text=current_lang.upper())
     update_labels()
 
-lang_btn = ctk.CTkButton(header_frame, text="DE/EN", command=switch_lang,
+lang_btn = ctk.CTkButton(header_frame, text=current_lang.upper(), command=switch_lang,
                          width=60, height=30, 
                          fg_color="#2b2b2b", hover_color="#3b3b3b", text_color="white",
                          font=("Segoe UI", 10, "bold"), corner_radius=6)
 lang_btn.pack(side="right", padx=10)
 
 # Material selection
-mat_label = ctk.CTkLabel(main_frame, text=LANG[current_lang]["material"],
+mat_label = ctk.CTkLabel(main_frame, text=tr("material"),
                          font=("Segoe UI", 14, "bold"), text_color="black")
 mat_label.pack(pady=5)
 
@@ -332,12 +359,12 @@ material_combo = CustomOptionMenu(main_frame, values=list(MATERIALS.keys()), var
 material_combo.pack(pady=5)
 
 # Color selection
-col_label = ctk.CTkLabel(main_frame, text=LANG[current_lang]["color"],
+col_label = ctk.CTkLabel(main_frame, text=tr("color"),
                          font=("Segoe UI", 14, "bold"), text_color="black")
 col_label.pack(pady=5)
 
 color_var = ctk.StringVar()
-color_preview = ctk.CTkLabel(main_frame, text=LANG[current_lang]["no_color"], width=220, height=40,
+color_preview = ctk.CTkLabel(main_frame, text=tr("no_color"), width=220, height=40,
                              corner_radius=8, fg_color="white", text_color="black", 
                              font=("Segoe UI", 14, "bold"))
 color_preview.pack(pady=10)
@@ -358,7 +385,7 @@ row, col = 0, 0
 for hex_code, vals in COLORS.items():
     btn = ctk.CTkButton(color_frame, text="", width=40, height=40, fg_color=hex_code,
                         hover_color=hex_code, corner_radius=6,
-                        command=lambda h=hex_code, v=vals: select_color(h, v[current_lang]))
+                        command=lambda h=hex_code: select_color(h, color_name(h)))
     btn.grid(row=row, column=col, padx=3, pady=3)
     col += 1
     if col >= 8: 
@@ -370,19 +397,19 @@ def on_write():
     mat = material_var.get()
     col_hex = color_var.get()
     if mat not in MATERIALS or col_hex not in COLORS:
-        messagebox.showerror(LANG[current_lang]["error"], LANG[current_lang]["select_valid"])
+        messagebox.showerror(tr("error"), tr("select_valid"))
         return
     try:
         write_tag(MATERIALS[mat], COLORS[col_hex]["val"], 1)
     except Exception as e:
-        messagebox.showerror(LANG[current_lang]["error"], str(e))
+        messagebox.showerror(tr("error"), str(e))
 
-write_btn = ctk.CTkButton(main_frame, text=LANG[current_lang]["write"], command=on_write,
+write_btn = ctk.CTkButton(main_frame, text=tr("write"), command=on_write,
                           fg_color="#28a745", hover_color="#218838", text_color="white",
                           font=("Segoe UI", 14, "bold"), corner_radius=12, height=45)
 write_btn.pack(pady=(20, 10), fill="x", padx=40)
 
-read_btn = ctk.CTkButton(main_frame, text=LANG[current_lang]["read"], command=read_tag,
+read_btn = ctk.CTkButton(main_frame, text=tr("read"), command=read_tag,
                          fg_color="#007bff", hover_color="#0069d9", text_color="white",
                          font=("Segoe UI", 14, "bold"), corner_radius=12, height=45)
 read_btn.pack(pady=(0, 10), fill="x", padx=40)
@@ -396,17 +423,17 @@ def toggle_auto_detect():
     
     if auto_detect_active:
         # Activated - green with filled circle
-        auto_detect_btn.configure(text="⏺️ " + LANG[current_lang]["auto_detect"], 
+        auto_detect_btn.configure(text="⏺️ " + tr("auto_detect"), 
                                  fg_color="#28a745", hover_color="#218838")
         # Start detection thread
         detection_thread = threading.Thread(target=auto_detect_tag, daemon=True)
         detection_thread.start()
     else:
         # Deactivated - gray with empty circle
-        auto_detect_btn.configure(text="⭕ " + LANG[current_lang]["auto_detect"], 
+        auto_detect_btn.configure(text="⭕ " + tr("auto_detect"), 
                                  fg_color="#6c757d", hover_color="#5a6268")
 
-auto_detect_btn = ctk.CTkButton(main_frame, text="⭕ " + LANG[current_lang]["auto_detect"], 
+auto_detect_btn = ctk.CTkButton(main_frame, text="⭕ " + tr("auto_detect"), 
                                 command=toggle_auto_detect,
                                 fg_color="#6c757d", hover_color="#5a6268", text_color="white",
                                 font=("Segoe UI", 12), corner_radius=8, height=35)
@@ -416,7 +443,7 @@ auto_detect_btn.pack(pady=(0, 15))
 info_frame = ctk.CTkFrame(main_frame, corner_radius=12, fg_color="#e9ecef")
 info_frame.pack(pady=10, fill="x", padx=20)
 
-info_title = ctk.CTkLabel(info_frame, text=LANG[current_lang]["tag_info"],
+info_title = ctk.CTkLabel(info_frame, text=tr("tag_info"),
                           font=("Segoe UI", 15, "bold"), text_color="black")
 info_title.pack(pady=5)
 
@@ -445,25 +472,25 @@ def show_tag_info(material, hex_code, name):
 
 def update_labels():
     """Update all UI labels when language changes"""
-    root.title(LANG[current_lang]["title"])
-    title_label.configure(text=LANG[current_lang]["title"])
-    mat_label.configure(text=LANG[current_lang]["material"])
-    col_label.configure(text=LANG[current_lang]["color"])
-    color_preview.configure(text=LANG[current_lang]["no_color"])
-    write_btn.configure(text=LANG[current_lang]["write"])
-    read_btn.configure(text=LANG[current_lang]["read"])
-    info_title.configure(text=LANG[current_lang]["tag_info"])
+    root.title(tr("title"))
+    title_label.configure(text=tr("title"))
+    mat_label.configure(text=tr("material"))
+    col_label.configure(text=tr("color"))
+    color_preview.configure(text=tr("no_color"))
+    write_btn.configure(text=tr("write"))
+    read_btn.configure(text=tr("read"))
+    info_title.configure(text=tr("tag_info"))
     
     # Update auto detect button text
     if auto_detect_active:
-        auto_detect_btn.configure(text="⏺️ " + LANG[current_lang]["auto_detect"])
+        auto_detect_btn.configure(text="⏺️ " + tr("auto_detect"))
     else:
-        auto_detect_btn.configure(text="⭕ " + LANG[current_lang]["auto_detect"])
+        auto_detect_btn.configure(text="⭕ " + tr("auto_detect"))
     
     # Update color buttons with new language
-    for hex_code, vals in COLORS.items():
+    for hex_code in COLORS:
         if color_var.get() == hex_code:
-            select_color(hex_code, vals[current_lang])
+            select_color(hex_code, color_name(hex_code))
 
 # Start the application
 root.mainloop()
\ No newline at end of file
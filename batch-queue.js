@@ -0,0 +1,93 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+// Batch tagging: a list of jobs (one per tag) that main.js works through on the reader's
+// card-present events, writing the next job to every UID that is presented.
+// Each UID is written at most once per batch; failed writes keep the job pending. Jobs cloned
+// from a tag carry its UID (masterUID); that master tag is never written in the batch.
+
+class BatchQueue {
+  constructor(jobs = []) {
+    this.jobs = jobs.map(j => ({
+      materialCode: parseInt(j.materialCode, 10) || 0,
+      colorCode: parseInt(j.colorCode, 10) || 0,
+      manufacturerCode: parseInt(j.manufacturerCode === undefined ? 1 : j.manufacturerCode, 10) || 0,
+      // Names for NTAG tags (see openspool.js), null = built-in names
+      openspool: j.openspool || null,
+      masterUID: typeof j.masterUID === 'string' && j.masterUID ? j.masterUID : null
+    }));
+    this.index = 0;
+    this.results = [];
+    this.writtenUIDs = new Set();
+    this.masterUIDs = new Set(this.jobs.map(j => j.masterUID).filter(Boolean));
+    this.stopped = false;
+    // Passed through to NFCService.writeTag (e.g. { retries })
+    this.writeOptions = {};
+    this._handling = Promise.resolve();
+  }
+
+  get finished() { return this.index >= this.jobs.length; }
+
+  current() { return this.finished ? null : this.jobs[this.index]; }
+
+  // Handle a newly presented tag. `writeFn(job)` performs the actual write and may throw.
+  // Tags presented in quick succession are handled one after the other, each with the job
+  // that is current once the previous one is done.
+  handleTag(uid, writeFn) {
+    const run = this._handling.then(() => this._handleTag(uid, writeFn));
+    this._handling = run.catch(() => {});
+    return run;
+  }
+
+  async _handleTag(uid, writeFn) {
+    if (this.finished || this.stopped) return null;
+
+    if (this.masterUIDs.has(uid)) {
+      return this._record({ uid, status: 'master', jobIndex: null });
+    }
+
+    if (this.writtenUIDs.has(uid)) {
+      return this._record({ uid, status: 'duplicate', jobIndex: null });
+    }
+
+    const job = this.current();
+    try {
+      await writeFn(job);
+    } catch (err) {
+      const msg = err && err.message ? String(err.message) : String(err);
+      return this._record({ uid, status: 'failed', jobIndex: this.index, error: msg });
+    }
+    this.writtenUIDs.add(uid);
+    const result = this._record({ uid, status: 'written', jobIndex: this.index });
+    this.index++;
+    return result;
+  }
+
+  stop() { this.stopped = true; }
+
+  _record(result) {
+    const entry = { ...result, at: new Date().toISOString() };
+    this.results.push(entry);
+    return entry;
+  }
+
+  snapshot() {
+    return {
+      running: !this.stopped && !this.finished,
+      finished: this.finished,
+      stopped: this.stopped,
+      total: this.jobs.length,
+      jobs: this.jobs,
+      done: this.index,
+      current: this.current(),
+      currentIndex: this.finished ? null : this.index,
+      results: this.results.slice()
+    };
+  }
+}
+
+module.exports = BatchQueue;
@@ -0,0 +1,211 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+// Writes custom materials and manufacturers into officiall_filas_list.cfg. The file is edited
+// line by line: only the `filament` line of a [filaN] section and the entries of [vendor_list]
+// are replaced or inserted; comments, blank lines, the order of everything and all other keys
+// stay as they are.
+//
+// entries: { materials: { code: name }, manufacturers: { code: name } }   (the app's custom ones)
+// plan:    { added, replaced, unchanged, conflicts }, each [{ kind: 'material'|'manufacturer',
+//          code, name, cfgName? }]
+// A conflict is a code the cfg already uses for another name. It is left alone unless its id
+// ('material:12', 'manufacturer:3') is in `replace`; then it is listed under `replaced`.
+// hunks:   [{ line, lines: [{ type: ' '|'-'|'+', text }] }]   line: first line in the old file
+
+const crypto = require('crypto');
+const { parseOfficialCfgText } = require('./filament-data');
+
+const CONTEXT_LINES = 2;
+const KINDS = ['material', 'manufacturer'];
+const VENDOR_SECTIONS = ['vendor_list', 'vendor list'];
+
+function hashOf(text) {
+  return crypto.createHash('sha256').update(String(text), 'utf8').digest('hex');
+}
+
+function idOf(kind, code) {
+  return `${kind}:${code}`;
+}
+
+// Names come from single-line inputs; a line break would add lines to the cfg
+function cleanName(name) {
+  return String(name).replace(/[\r\n]+/g, ' ').trim();
+}
+
+// Line model: { text, section, key, value, old } (old: index in the original file, null for
+// inserted lines; `replaced` marks a line whose text changed)
+function parseLines(texts) {
+  let section = null;
+  return texts.map(({ text, old, replaced }) => {
+    const line = { text, old, replaced };
+    const trimmed = text.trim();
+    if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
+      section = trimmed.slice(1, -1).trim().toLowerCase();
+      return { ...line, section, header: true };
+    }
+    const eq = trimmed.indexOf('=');
+    if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith(';') || eq === -1) return { ...line, section };
+    return { ...line, section, key: trimmed.slice(0, eq).trim().toLowerCase(), value: trimmed.slice(eq + 1).trim() };
+  });
+}
+
+function filaCode(section) {
+  const m = /^fila(\d{1,3})$/.exec(section || '');
+  return m ? parseInt(m[1], 10) : null;
+}
+
+// `key = value` or `key=value`, as the file already writes it
+function separatorOf(lines) {
+  const entry = lines.find(l => l.key !== undefined);
+  const m = entry ? /^[^=]*?(\s*=\s*)/.exec(entry.text.trimStart()) : null;
+  return m ? m[1] : ' = ';
+}
+
+// Same line with a new value; indentation and the separator are kept
+function withValue(text, value) {
+  const eq = text.indexOf('=');
+  const m = /^=\s*/.exec(text.slice(eq));
+  return `${text.slice(0, eq)}${m[0]}${value}`;
+}
+
+// Index after the last line of a section's content (trailing blank lines and comments belong
+// to whatever follows)
+function sectionEnd(lines, headerIndex) {
+  let end = headerIndex;
+  for (let i = headerIndex + 1; i < lines.length && !lines[i].header; i++) {
+    const trimmed = lines[i].text.trim();
+    if (trimmed && !trimmed.startsWith('#') && !trimmed.startsWith(';')) end = i;
+  }
+  return end + 1;
+}
+
+// Index where a block that goes in front of a section starts: its leading comments are
+// included, unless they open the file (then they are the file's header comment)
+function sectionStart(lines, headerIndex) {
+  let start = headerIndex;
+  while (start > 0 && /^\s*[#;]/.test(lines[start - 1].text)) start--;
+  return start === 0 ? headerIndex : start;
+}
+
+function insert(lines, index, texts) {
+  lines.splice(index, 0, ...texts.map(text => ({ text, old: null })));
+}
+
+function setMaterial(lines, code, name, sep) {
+  const header = lines.findIndex(l => l.header && filaCode(l.section) === code);
+  if (header !== -1) {
+    const entry = lines.findIndex((l, i) => i > header && l.section === lines[header].section && l.key === 'filament');
+    if (entry !== -1) {
+      lines[entry] = { ...lines[entry], text: withValue(lines[entry].text, name), replaced: true };
+    } else {
+      insert(lines, header + 1, [`filament${sep}${name}`]);
+    }
+    return;
+  }
+  // New section, in code order between the existing ones
+  const headers = lines.map((l, i) => ({ code: filaCode(l.section), i })).filter(h => lines[h.i].header && h.code !== null);
+  const before = headers.filter(h => h.code < code).pop();
+  if (before) {
+    insert(lines, sectionEnd(lines, before.i), ['', `[fila${code}]`, `filament${sep}${name}`]);
+  } else {
+    insert(lines, sectionStart(lines, headers[0].i), [`[fila${code}]`, `filament${sep}${name}`, '']);
+  }
+}
+
+function setVendor(lines, code, name, sep) {
+  const header = lines.findIndex(l => l.header && VENDOR_SECTIONS.includes(l.section));
+  const entries = lines.map((l, i) => ({ l, i }))
+    .filter(({ l, i }) => i > header && !l.header && VENDOR_SECTIONS.includes(l.section) && l.key !== undefined && /^\d+$/.test(l.key));
+  const existing = entries.find(({ l }) => parseInt(l.key, 10) === code);
+  if (existing) {
+    lines[existing.i] = { ...existing.l, text: withValue(existing.l.text, name), replaced: true };
+    return;
+  }
+  const before = entries.filter(({ l }) => parseInt(l.key, 10) < code).pop();
+  const index = before ? before.i + 1 : (entries.length ? entries[0].i : header + 1);
+  insert(lines, index, [`${code}${sep}${name}`]);
+}
+
+// Changed lines with CONTEXT_LINES of unchanged lines around them; nearby changes share a hunk
+function hunksOf(original, lines) {
+  const rows = [];
+  lines.forEach(l => {
+    if (l.old === null) rows.push({ type: '+', text: l.text, old: null });
+    else if (l.replaced) rows.push({ type: '-', text: original[l.old], old: l.old }, { type: '+', text: l.text, old: l.old });
+    else rows.push({ type: ' ', text: l.text, old: l.old });
+  });
+  const hunks = [];
+  let current = null;
+  let lastChange = -Infinity;
+  rows.forEach((row, i) => {
+    if (row.type === ' ') return;
+    if (current && i - lastChange <= 2 * CONTEXT_LINES + 1) {
+      current.rows.push(...rows.slice(lastChange + 1, i + 1));
+    } else {
+      if (current) current.rows.push(...rows.slice(lastChange + 1, Math.min(rows.length, lastChange + 1 + CONTEXT_LINES)));
+      const start = Math.max(0, i - CONTEXT_LINES);
+      current = { rows: rows.slice(start, i + 1) };
+      hunks.push(current);
+    }
+    lastChange = i;
+  });
+  if (current) current.rows.push(...rows.slice(lastChange + 1, Math.min(rows.length, lastChange + 1 + CONTEXT_LINES)));
+  return hunks.map(h => {
+    const first = h.rows.find(r => r.old !== null);
+    return { line: first ? first.old + 1 : null, lines: h.rows.map(({ type, text }) => ({ type, text })) };
+  });
+}
+
+// cfg text + custom entries -> { text, changed, plan, hunks }. The cfg must be one the app can
+// load (CFG_NO_MATERIALS / CFG_NO_VENDORS otherwise), so the result stays loadable as well.
+function exportToCfg(text, entries = {}, { replace = [] } = {}) {
+  const source = String(text);
+  const { materialsMap, vendorsMap } = parseOfficialCfgText(source);
+  const eol = /\r\n/.test(source) ? '\r\n' : '\n';
+  const original = source.split(/\r?\n/);
+  let lines = parseLines(original.map((t, i) => ({ text: t, old: i })));
+  const sep = separatorOf(lines);
+  const plan = { added: [], replaced: [], unchanged: [], conflicts: [] };
+  const current = { material: materialsMap, manufacturer: vendorsMap };
+  const wanted = { material: entries.materials || {}, manufacturer: entries.manufacturers || {} };
+
+  for (const kind of KINDS) {
+    const codes = Object.keys(wanted[kind]).map(Number).filter(Number.isInteger).sort((a, b) => a - b);
+    for (const code of codes) {
+      const name = cleanName(wanted[kind][code]);
+      if (!name) continue;
+      const cfgName = current[kind][String(code)];
+      const item = { kind, code, name };
+      if (cfgName === name) {
+        plan.unchanged.push(item);
+        continue;
+      }
+      if (cfgName !== undefined) {
+        if (!replace.includes(idOf(kind, code))) {
+          plan.conflicts.push({ ...item, cfgName });
+          continue;
+        }
+        plan.replaced.push({ ...item, cfgName });
+      } else {
+        plan.added.push(item);
+      }
+      if (kind === 'material') setMaterial(lines, code, name, sep);
+      else setVendor(lines, code, name, sep);
+      lines = parseLines(lines);
+    }
+  }
+
+  const result = lines.map(l => l.text).join(eol);
+  return { text: result, changed: result !== source, plan, hunks: hunksOf(original, lines) };
+}
+
+module.exports = {
+  hashOf,
+  idOf,
+  exportToCfg
+};
@@ -0,0 +1,389 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+// Headless command-line mode. main.js hands over when the first argument is a command:
+//
+//   boxrfid read [--json]
+//   boxrfid write --material PLA --color Red [--manufacturer QIDI] [--retries 2] [--json]
+//   boxrfid watch                      auto-read events as JSON lines until Ctrl+C
+//   boxrfid dump [file.json|file.mfd]  without a file the JSON dump goes to stdout
+//   boxrfid status [--json]
+//
+// Common options: --cfg <officiall_filas_list.cfg>, --timeout <seconds> (wait for reader/tag),
+// --device <reader name> (which attached reader to use; `watch` takes a comma-separated list),
+// --reader=sim / --sim-reader (backend selection, see nfc-service.js).
+
+const fs = require('fs');
+const fsp = fs.promises;
+const tagDump = require('./tag-dump');
+const filamentData = require('./filament-data');
+const codecs = require('./tag-codecs');
+
+const COMMANDS = ['read', 'write', 'watch', 'dump', 'status', 'help'];
+// Options that never take a value, so `dump --json out.json` keeps the file name
+const FLAG_OPTIONS = ['json'];
+
+const EXIT = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  NO_READER: 3,
+  NO_TAG: 4,
+  AUTH_FAILED: 5,
+  BUSY: 6,
+  VERIFY_FAILED: 7
+};
+
+const DEFAULT_TIMEOUT_S = 5;
+const POLL_MS = 200;
+
+const USAGE = `Usage: boxrfid <command> [options]
+
+Commands:
+  read                     read the presented tag
+  write                    write --material <name|code> --color <name|hex|code> [--manufacturer <name|code>]
+                           (a hex value outside the palette takes the nearest palette color)
+  watch                    print auto-read events as JSON lines (Ctrl+C to stop)
+  dump [file]              full tag dump; .json or .mfd/.bin by extension, stdout (JSON) without file
+  status                   reader status
+
+Options:
+  --json                   machine-readable output
+  --cfg <path>             resolve names through officiall_filas_list.cfg
+  --retries <n>            write retries on failed verification (0-10)
+  --timeout <seconds>      how long to wait for reader and tag (default ${DEFAULT_TIMEOUT_S})
+  --device <name>          use this reader when several are attached (watch: comma-separated list)
+  --reader=sim             use the simulated reader
+
+Exit codes: 0 ok, 1 error, 2 usage, 3 no reader, 4 no tag, 5 authentication failed, 6 busy, 7 write or verification failed, or tag write-protected`;
+
+class CliError extends Error {
+  constructor(message, exitCode) {
+    super(message);
+    this.exitCode = exitCode;
+  }
+}
+
+// Returns { command, positional, options } or null when argv does not start with a command
+// (normal GUI start). `argv` is process.argv without the executable (and app path).
+function parseArgs(argv) {
+  const args = argv.filter(a => !a.startsWith('--reader=') && a !== '--sim-reader');
+  if (!args.length || !COMMANDS.includes(args[0])) return null;
+  const options = {};
+  const positional = [];
+  for (let i = 1; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) { positional.push(arg); continue; }
+    const eq = arg.indexOf('=');
+    if (eq !== -1) {
+      options[arg.slice(2, eq)] = arg.slice(eq + 1);
+    } else if (!FLAG_OPTIONS.includes(arg.slice(2)) && i + 1 < args.length && !args[i + 1].startsWith('--')) {
+      options[arg.slice(2)] = args[++i];
+    } else {
+      options[arg.slice(2)] = true;
+    }
+  }
+  return { command: args[0], positional, options };
+}
+
+function exitCodeFor(err) {
+  if (err instanceof CliError) return err.exitCode;
+  switch (err && err.message) {
+    case 'NFC_NOT_CONNECTED':
+    case 'PCSC_SERVICE_MISSING':
+    case 'NFC_READER_NOT_FOUND':
+    case 'NFC_READER_DISCONNECTED': return EXIT.NO_READER;
+    case 'NFC_CARD_REMOVED':
+    case 'NFC_TAG_CHANGED': return EXIT.NO_TAG;
+    case 'NFC_AUTH_FAILED': return EXIT.AUTH_FAILED;
+    case 'Busy': return EXIT.BUSY;
+    case 'NFC_VERIFY_FAILED':
+    case 'NFC_WRITE_FAILED':
+    case 'TAG_WRITE_PROTECTED': return EXIT.VERIFY_FAILED;
+    case 'PAYLOAD_INVALID':
+    case 'CFG_INVALID':
+    case 'CFG_NO_MATERIALS':
+    case 'CFG_NO_VENDORS': return EXIT.USAGE;
+    default:
+      // Reader libraries report a failed key as an authentication error
+      return /auth/i.test(String(err && err.message)) ? EXIT.AUTH_FAILED : EXIT.ERROR;
+  }
+}
+
+function delay(ms) { return new Promise(resolve => setTimeout(resolve, ms)); }
+
+async function waitFor(check, timeoutMs) {
+  const until = Date.now() + timeoutMs;
+  for (;;) {
+    if (check()) return true;
+    if (Date.now() >= until) return false;
+    await delay(POLL_MS);
+  }
+}
+
+async function loadTables(options) {
+  if (!options.cfg) return filamentData.buildTables();
+  let text;
+  try {
+    text = await fsp.readFile(options.cfg, 'utf8');
+  } catch (e) {
+    throw new CliError(`Cannot read cfg: ${e.message}`, EXIT.USAGE);
+  }
+  return filamentData.buildTables(text);
+}
+
+// Read results carry the filament model (names as stored on name-based formats such as
+// OpenSpool); written data only has the codes, which are named through the tables.
+function describeTag(tables, data) {
+  const f = data.filament || codecs.filamentFromCodes(tables, data);
+  const hex = f.colorHex;
+  return {
+    uid: data.uid,
+    cardType: data.cardType || 'classic',
+    format: data.format || 'qidi',
+    material: { code: f.materialCode, name: f.materialName },
+    color: { code: f.colorCode, name: hex ? (filamentData.COLOR_NAMES[hex] || hex) : null, hex },
+    manufacturer: { code: f.manufacturerCode, name: f.manufacturerName },
+    extended: data.extended || null
+  };
+}
+
+function formatTag(tag) {
+  const name = (entry) => {
+    if (!entry.name) return entry.code === null || entry.code === undefined ? '-' : `unknown (${entry.code})`;
+    return entry.code === null ? entry.name : `${entry.name} (${entry.code})`;
+  };
+  const lines = [
+    `UID:          ${tag.uid || '-'}`,
+    `Format:       ${tag.format} (${tag.cardType === 'ntag' ? 'NTAG' : 'MIFARE Classic'})`,
+    `Material:     ${name(tag.material)}`,
+    `Color:        ${name(tag.color)}${tag.color.hex ? ` ${tag.color.hex}` : ''}`,
+    `Manufacturer: ${name(tag.manufacturer)}`
+  ];
+  if (tag.extended) {
+    Object.entries(tag.extended).forEach(([key, value]) => {
+      if (value !== null && key !== 'version') lines.push(`${`${key}:`.padEnd(14)}${value}`);
+    });
+  }
+  return lines.join('\n');
+}
+
+class Cli {
+  // io: { stdout, stderr } streams; services: { createNfcService(), inventory }
+  constructor(parsed, services, io = process) {
+    this.command = parsed.command;
+    this.positional = parsed.positional;
+    this.options = parsed.options;
+    this.services = services;
+    this.out = io.stdout;
+    this.err = io.stderr;
+    this.svc = null;
+    this.timeoutMs = (parseFloat(this.options.timeout) || DEFAULT_TIMEOUT_S) * 1000;
+    this.devices = typeof this.options.device === 'string'
+      ? this.options.device.split(',').map(d => d.trim()).filter(Boolean) : [];
+    // Reader for single-tag commands; undefined = the reader with a tag on it
+    this.device = this.devices[0];
+  }
+
+  print(text) { this.out.write(`${text}\n`); }
+
+  async _reader() {
+    try {
+      this.svc = this.services.createNfcService();
+    } catch (e) {
+      throw new CliError('No NFC reader available', EXIT.NO_READER);
+    }
+    const attached = () => (this.devices.length
+      ? this.devices.every(d => this.svc.readerNames().includes(d)) : this.svc.isConnected);
+    if (!await waitFor(attached, this.timeoutMs)) {
+      if (!this.devices.length || !this.svc.isConnected) throw new CliError('No NFC reader connected', EXIT.NO_READER);
+      throw new CliError(`Reader not found: ${this.devices.join(', ')} (attached: ${this.svc.readerNames().join(', ')})`, EXIT.NO_READER);
+    }
+    return this.svc;
+  }
+
+  async _tag() {
+    const svc = await this._reader();
+    if (!await waitFor(() => !!svc.getCurrentUID(this.device), this.timeoutMs)) {
+      throw new CliError('No tag on the reader', EXIT.NO_TAG);
+    }
+    return svc;
+  }
+
+  async _track(method, ...args) {
+    if (!this.services.inventory) return;
+    try { await this.services.inventory[method](...args); } catch {}
+  }
+
+  async run() {
+    try {
+      switch (this.command) {
+        case 'read': await this.read(); break;
+        case 'write': await this.write(); break;
+        case 'watch': await this.watch(); break;
+        case 'dump': await this.dump(); break;
+        case 'status': await this.status(); break;
+        default: this.print(USAGE);
+      }
+      return EXIT.OK;
+    } catch (err) {
+      const code = exitCodeFor(err);
+      const message = err && err.details ? `${err.message}: ${err.details}` : (err && err.message) || String(err);
+      if (this.options.json) {
+        this.print(JSON.stringify({ success: false, error: err && err.message, details: err && err.details, exitCode: code }));
+      } else {
+        this.err.write(`Error: ${message}\n`);
+      }
+      return code;
+    } finally {
+      if (this.svc) this.svc.close();
+    }
+  }
+
+  async read() {
+    const tables = await loadTables(this.options);
+    const svc = await this._tag();
+    const data = await svc.readTag({ reader: this.device, tables });
+    await this._track('recordRead', data.uid, data);
+    const tag = describeTag(tables, data);
+    this.print(this.options.json ? JSON.stringify({ success: true, ...tag }) : formatTag(tag));
+  }
+
+  async write() {
+    const tables = await loadTables(this.options);
+    const { material, color } = this.options;
+    if (!material || !color) throw new CliError(`write needs --material and --color\n\n${USAGE}`, EXIT.USAGE);
+    const materialCode = filamentData.resolveMaterial(tables, material);
+    if (materialCode === null) throw new CliError(`Unknown material: ${material}`, EXIT.USAGE);
+    let colorCode = filamentData.resolveColor(tables, color);
+    const nearest = colorCode === null ? codecs.nearestColor(tables, color) : null;
+    if (nearest) {
+      colorCode = nearest.code;
+      this.err.write(`Color ${filamentData.normalizeHex(color)} is not in the palette, using the nearest one: ${nearest.hex} (${nearest.code})\n`);
+    }
+    if (colorCode === null) throw new CliError(`Unknown color: ${color}`, EXIT.USAGE);
+    let manufacturerCode = 1;
+    if (this.options.manufacturer !== undefined) {
+      manufacturerCode = filamentData.resolveManufacturer(tables, this.options.manufacturer);
+      if (manufacturerCode === null) throw new CliError(`Unknown manufacturer: ${this.options.manufacturer}`, EXIT.USAGE);
+    }
+    const writeOptions = this.options.retries !== undefined ? { retries: parseInt(this.options.retries, 10) || 0 } : {};
+    if (this.device) writeOptions.reader = this.device;
+    // Name-based formats (NTAG) write the names from the same tables
+    writeOptions.tables = tables;
+
+    const svc = await this._tag();
+    const uid = svc.getCurrentUID(this.device);
+    const res = await svc.writeTag(materialCode, colorCode, manufacturerCode, writeOptions);
+    const tagData = { uid, cardType: res.cardType, format: res.format, material: materialCode, color: colorCode, manufacturer: manufacturerCode };
+    await this._track('recordWrite', uid, tagData, { attempts: res.attempts, source: 'cli' });
+    const tag = describeTag(tables, tagData);
+    this.print(this.options.json
+      ? JSON.stringify({ success: true, attempts: res.attempts, ...tag })
+      : `Written and verified (${res.attempts} attempt${res.attempts === 1 ? '' : 's'})\n${formatTag(tag)}`);
+  }
+
+  // Same behaviour as auto-read in main.js: one read per tag presented on a reader (also when
+  // the same tag comes back), an event when it leaves. Watches the --device readers, or every
+  // attached reader; ends when the last watched reader is unplugged.
+  async watch() {
+    const tables = await loadTables(this.options);
+    const svc = await this._reader();
+    const isWatched = (reader) => !this.devices.length || this.devices.includes(reader);
+    const watched = () => svc.readerNames().filter(isWatched);
+    const present = new Map(); // reader name -> { uid } of the tag last presented
+    const now = () => new Date().toISOString();
+
+    const readPresence = async (reader, presence) => {
+      let line;
+      try {
+        const data = await svc.readTag({ reader, uid: presence.uid, tables });
+        await this._track('recordRead', presence.uid, data);
+        line = { event: 'tag', at: now(), reader, ...describeTag(tables, data) };
+      } catch (err) {
+        line = { event: 'error', at: now(), reader, uid: presence.uid, error: err && err.message };
+      }
+      // Dropped when the tag left (or was replaced) while it was read
+      if (present.get(reader) === presence) this.print(JSON.stringify(line));
+    };
+    const onPresent = ({ reader, uid }) => {
+      if (!isWatched(reader)) return;
+      const presence = { uid };
+      present.set(reader, presence);
+      readPresence(reader, presence);
+    };
+    const onRemoved = ({ reader, uid }) => {
+      if (!present.has(reader)) return;
+      present.delete(reader);
+      this.print(JSON.stringify({ event: 'removed', at: now(), reader, uid }));
+    };
+
+    this.print(JSON.stringify({ event: 'ready', readers: watched() }));
+    await new Promise((resolve, reject) => {
+      const finish = (err) => {
+        svc.off('card-present', onPresent);
+        svc.off('card-removed', onRemoved);
+        svc.off('reader-detached', onDetached);
+        process.off('SIGINT', stop);
+        process.off('SIGTERM', stop);
+        if (err) reject(err); else resolve();
+      };
+      const stop = () => finish();
+      const onDetached = () => {
+        if (!watched().length) finish(new CliError('Reader disconnected', EXIT.NO_READER));
+      };
+      svc.on('card-present', onPresent);
+      svc.on('card-removed', onRemoved);
+      svc.on('reader-detached', onDetached);
+      process.once('SIGINT', stop);
+      process.once('SIGTERM', stop);
+      // Tags that were already there before the first event
+      for (const reader of watched()) {
+        const uid = svc.getCurrentUID(reader);
+        if (uid && !present.has(reader)) onPresent({ reader, uid });
+      }
+    });
+  }
+
+  async dump() {
+    const svc = await this._tag();
+    const dump = await svc.dumpTag({ reader: this.device });
+    const file = this.positional[0];
+    if (!file) {
+      this.print(tagDump.toJson(dump));
+      return;
+    }
+    await fsp.writeFile(file, tagDump.serialize(dump, file));
+    const sectorsRead = dump.sectors.filter(s => s.blocks).length;
+    this.print(this.options.json
+      ? JSON.stringify({ success: true, file, uid: dump.uid, sectorsRead })
+      : `Dump of ${dump.uid} written to ${file} (${sectorsRead}/${dump.sectors.length} sectors readable)`);
+  }
+
+  async status() {
+    const svc = await this._reader();
+    // Give a tag lying on the reader a moment to be reported
+    await waitFor(() => !!svc.getCurrentUID(this.device), Math.min(this.timeoutMs, 1000));
+    const status = svc.getStatus();
+    this.print(this.options.json
+      ? JSON.stringify({ success: true, ...status })
+      : [`Backend: ${status.backend}`, ...status.readers.map(r => `Reader:  ${r.name}\n  Tag:   ${r.uid ? `${r.uid} (${r.cardType === 'ntag' ? 'NTAG' : 'MIFARE Classic'})` : '-'}`)].join('\n'));
+  }
+}
+
+async function run(parsed, services, io) {
+  return new Cli(parsed, services, io).run();
+}
+
+module.exports = {
+  COMMANDS,
+  EXIT,
+  USAGE,
+  parseArgs,
+  exitCodeFor,
+  run
+};
@@ -0,0 +1,89 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+// Diagnostics log: one JSON object per line in userData/logs/boxrfid.log, rotated to
+// boxrfid.log.1 .. .N when the file grows past maxBytes. Entries:
+//
+//   { at, level: 'info'|'warn'|'error', event, code?, messageKey?, details?, ...fields }
+//
+// Logging never throws; a log that cannot be written is not worth failing an operation for.
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+
+const DEFAULT_MAX_BYTES = 512 * 1024;
+const DEFAULT_MAX_FILES = 3;
+const LEVELS = ['info', 'warn', 'error'];
+
+class DiagnosticsLog {
+  constructor(filePath, { maxBytes = DEFAULT_MAX_BYTES, maxFiles = DEFAULT_MAX_FILES } = {}) {
+    this.filePath = filePath;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this._writing = Promise.resolve();
+  }
+
+  // Rotated files, newest first (the current file included)
+  files() {
+    const list = [this.filePath];
+    for (let i = 1; i < this.maxFiles; i++) list.push(`${this.filePath}.${i}`);
+    return list;
+  }
+
+  log(level, event, fields = {}) {
+    const entry = { at: new Date().toISOString(), level: LEVELS.includes(level) ? level : 'info', event, ...fields };
+    const line = `${JSON.stringify(entry)}\n`;
+    this._writing = this._writing.then(() => this._append(line)).catch(() => {});
+    return this._writing;
+  }
+
+  info(event, fields) { return this.log('info', event, fields); }
+  warn(event, fields) { return this.log('warn', event, fields); }
+  error(event, fields) { return this.log('error', event, fields); }
+
+  async _append(line) {
+    await fsp.mkdir(path.dirname(this.filePath), { recursive: true });
+    let size = 0;
+    try { size = (await fsp.stat(this.filePath)).size; } catch {}
+    if (size && size + Buffer.byteLength(line) > this.maxBytes) await this._rotate();
+    await fsp.appendFile(this.filePath, line, 'utf8');
+  }
+
+  async _rotate() {
+    const files = this.files();
+    try { await fsp.unlink(files[files.length - 1]); } catch {}
+    for (let i = files.length - 2; i >= 0; i--) {
+      try { await fsp.rename(files[i], files[i + 1]); } catch {}
+    }
+  }
+
+  // All entries, oldest first. Lines that are not valid JSON (e.g. cut off by a crash) are skipped.
+  async entries() {
+    await this._writing;
+    const out = [];
+    for (const file of this.files().reverse()) {
+      let text;
+      try { text = await fsp.readFile(file, 'utf8'); } catch { continue; }
+      for (const line of text.split('\n')) {
+        if (!line.trim()) continue;
+        try { out.push(JSON.parse(line)); } catch {}
+      }
+    }
+    return out;
+  }
+
+  // Newest warnings and errors first
+  async recentErrors(limit = 50) {
+    const entries = await this.entries();
+    return entries.filter(e => e.level === 'error' || e.level === 'warn').slice(-limit).reverse();
+  }
+}
+
+module.exports = DiagnosticsLog;
+module.exports.DEFAULT_MAX_BYTES = DEFAULT_MAX_BYTES;
+module.exports.DEFAULT_MAX_FILES = DEFAULT_MAX_FILES;
@@ -0,0 +1,122 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+// Error taxonomy. Modules throw codedError(code, details): Error(code) with an optional
+// `details` string. The code becomes a messageKey for the renderer (translations in
+// locales/*.json) and is what the diagnostics log records. Errors from the reader libraries (nfc-pcsc, nfc-sim.js) carry
+// their own messages and are mapped onto the codes by fromReaderError.
+
+const MESSAGE_KEYS = {
+  Busy: 'busy',
+  NFC_NOT_CONNECTED: 'nfcNotConnected',
+  PCSC_SERVICE_MISSING: 'pcscServiceMissing',
+  NFC_READER_NOT_FOUND: 'readerNotFound',
+  NFC_READER_DISCONNECTED: 'readerUnplugged',
+  NFC_CARD_REMOVED: 'cardRemoved',
+  NFC_TAG_CHANGED: 'tagChanged',
+  NFC_AUTH_FAILED: 'nfcAuthFailed',
+  NFC_READ_FAILED: 'readFailed',
+  NFC_WRITE_FAILED: 'writeFailed',
+  NFC_VERIFY_FAILED: 'verifyFailed',
+  TAG_TYPE_UNSUPPORTED: 'tagTypeUnsupported',
+  TAG_WRITE_PROTECTED: 'tagWriteProtected',
+  DUMP_INVALID: 'dumpInvalid',
+  INVALID_ACCESS_BITS: 'invalidAccessBits',
+  PAYLOAD_INVALID: 'payloadInvalid',
+  CFG_INVALID: 'officialCfgInvalid',
+  CFG_NO_MATERIALS: 'cfgNoMaterials',
+  CFG_NO_VENDORS: 'cfgNoVendors',
+  CFG_CHANGED: 'cfgExportChanged',
+  PRINTER_HOST_MISSING: 'printerHostMissing',
+  PRINTER_UNREACHABLE: 'printerUnreachable',
+  PRINTER_AUTH_FAILED: 'printerAuthFailed',
+  PRINTER_FILE_NOT_FOUND: 'printerFileNotFound',
+  SPOOLMAN_URL_MISSING: 'spoolmanUrlMissing',
+  SPOOLMAN_UNREACHABLE: 'spoolmanUnreachable',
+  SPOOLMAN_REQUEST_FAILED: 'spoolmanRequestFailed',
+  SPOOLMAN_SPOOL_NOT_FOUND: 'spoolmanSpoolNotFound',
+  INVENTORY_NOT_FOUND: 'inventoryNotFound',
+  KEY_INVALID: 'keyInvalid',
+  ACCESS_UNSAFE: 'accessUnsafe',
+  PROFILE_INVALID: 'profileInvalid',
+  PRINTER_PROFILE_NOT_FOUND: 'printerProfileNotFound',
+  LABEL_INVALID: 'labelInvalid',
+  LABEL_PRINT_FAILED: 'labelPrintFailed',
+  QR_TOO_LONG: 'qrTooLong',
+  FILE_NOT_GRANTED: 'fileNotGranted',
+  FILE_NOT_FOUND: 'fileNotFound',
+  FILE_TOO_LARGE: 'fileTooLarge',
+  FILE_TYPE_INVALID: 'fileTypeInvalid',
+  LOCALE_INVALID: 'localeInvalid',
+  API_TOKEN_MISSING: 'apiTokenMissing'
+};
+
+// Messages of a PC/SC stack that is not installed or not running (Windows "Smart Card"
+// service, pcscd on Linux/macOS, or the native module failing to load)
+const PCSC_MISSING_PATTERN = /SCardEstablishContext|Resource Manager|SCARD_E_NO_SERVICE|SCARD_E_SERVICE_STOPPED|0x8010001d|0x8010001e|pcscd|pcsclite|Cannot find module '(nfc-pcsc|@pokusew\/pcsclite)'/i;
+
+function codedError(code, details) {
+  const err = new Error(code);
+  if (details) err.details = details;
+  return err;
+}
+
+function messageOf(err) {
+  return err && err.message ? String(err.message) : String(err || '');
+}
+
+function isKnown(code) {
+  return Object.prototype.hasOwnProperty.call(MESSAGE_KEYS, code);
+}
+
+// Reader library error -> coded error. `operation` ('read' or 'write') names what was being
+// done; `state` says whether the reader is still attached and the tag still present, which
+// tells a pulled tag from a failing one. Coded errors pass through unchanged.
+function fromReaderError(err, { operation = 'read', attached = true, cardPresent = true } = {}) {
+  const message = messageOf(err);
+  if (isKnown(message)) return err;
+  const details = message || undefined;
+  if (!attached) return codedError('NFC_READER_DISCONNECTED', details);
+  if ((err && err.code === 'card_not_connected') || !cardPresent || /card was removed|no card/i.test(message)) {
+    return codedError('NFC_CARD_REMOVED', details);
+  }
+  if ((err && err.name === 'AuthenticationError') || /auth/i.test(message)) return codedError('NFC_AUTH_FAILED', details);
+  if (PCSC_MISSING_PATTERN.test(message)) return codedError('PCSC_SERVICE_MISSING', details);
+  return codedError(operation === 'write' ? 'NFC_WRITE_FAILED' : 'NFC_READ_FAILED', details);
+}
+
+// Reader backend failing to start or reporting a service error -> PCSC_SERVICE_MISSING or NFC_NOT_CONNECTED
+function fromBackendError(err) {
+  const message = messageOf(err);
+  if (isKnown(message)) return err;
+  return codedError(PCSC_MISSING_PATTERN.test(message) ? 'PCSC_SERVICE_MISSING' : 'NFC_NOT_CONNECTED', message || undefined);
+}
+
+function toMessageKey(err) {
+  return MESSAGE_KEYS[messageOf(err)] || 'unknownError';
+}
+
+// { code, messageKey, details } for results and the diagnostics log. `code` is null for
+// errors outside the taxonomy (their message goes to details).
+function describe(err) {
+  const message = messageOf(err);
+  const code = isKnown(message) ? message : null;
+  return {
+    code,
+    messageKey: toMessageKey(err),
+    details: err && err.details ? String(err.details) : (code ? null : message || null)
+  };
+}
+
+module.exports = {
+  MESSAGE_KEYS,
+  codedError,
+  fromReaderError,
+  fromBackendError,
+  toMessageKey,
+  describe
+};
@@ -0,0 +1,149 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+// Material / color / manufacturer tables: the built-in defaults and the parser for
+// officiall_filas_list.cfg. The only copy: the renderer gets both through IPC (see main.js).
+
+const { codedError } = require('./errors');
+
+const DEFAULT_MATERIALS = {
+  1: 'PLA', 2: 'PLA Matte', 3: 'PLA Metal', 4: 'PLA Silk', 5: 'PLA-CF', 6: 'PLA-Wood',
+  7: 'PLA Basic', 8: 'PLA Matte Basic',
+  11: 'ABS', 12: 'ABS-GF', 13: 'ABS-Metal', 14: 'ABS-Odorless',
+  18: 'ASA', 19: 'ASA-AERO',
+  24: 'UltraPA', 25: 'PA12-CF', 26: 'UltraPA-CF25',
+  30: 'PAHT-CF', 31: 'PAHT-GF', 32: 'Support For PAHT', 33: 'Support For PET/PA',
+  34: 'PC/ABS-FR',
+  37: 'PET-CF', 38: 'PET-GF',
+  39: 'PETG Basic', 40: 'PETG-Though', 41: 'PETG',
+  44: 'PPS-CF', 45: 'PETG Translucent',
+  47: 'PVA', 49: 'TPU-AERO', 50: 'TPU'
+};
+
+const DEFAULT_MANUFACTURERS = { 0: 'Generic', 1: 'QIDI' };
+
+const DEFAULT_COLORS = {
+  '#FAFAFA': 1, '#060606': 2, '#D9E3ED': 3, '#5CF30F': 4, '#63E492': 5, '#2850FF': 6,
+  '#FE98FE': 7, '#DFD628': 8, '#228332': 9, '#99DEFF': 10, '#1714B0': 11, '#CEC0FE': 12,
+  '#CADE4B': 13, '#1353AB': 14, '#5EA9FD': 15, '#A878FF': 16, '#FE717A': 17, '#FF362D': 18,
+  '#E2DFCD': 19, '#898F9B': 20, '#6E3812': 21, '#CAC59F': 22, '#F28636': 23, '#B87F2B': 24
+};
+
+// English names of the default colors (the renderer has them in every UI language)
+const COLOR_NAMES = {
+  '#FAFAFA': 'White', '#060606': 'Black', '#D9E3ED': 'Light Gray', '#5CF30F': 'Light Green',
+  '#63E492': 'Mint Green', '#2850FF': 'Blue', '#FE98FE': 'Magenta', '#DFD628': 'Yellow',
+  '#228332': 'Green', '#99DEFF': 'Light Blue', '#1714B0': 'Dark Blue', '#CEC0FE': 'Lavender',
+  '#CADE4B': 'Yellow Green', '#1353AB': 'Royal Blue', '#5EA9FD': 'Sky Blue', '#A878FF': 'Violet',
+  '#FE717A': 'Pink', '#FF362D': 'Red', '#E2DFCD': 'Beige', '#898F9B': 'Gray',
+  '#6E3812': 'Brown', '#CAC59F': 'Sand', '#F28636': 'Orange', '#B87F2B': 'Bronze'
+};
+
+const CFG_COLOR_SECTIONS = ['colordict', 'color_list', 'color list', 'colors'];
+
+function normalizeHex(value) {
+  const v = String(value || '').trim().replace(/^#/, '');
+  return /^[0-9a-f]{6}$/i.test(v) ? `#${v.toUpperCase()}` : null;
+}
+
+// Parses officiall_filas_list.cfg: [filaN] filament=..., [vendor_list] and an optional color table.
+function parseOfficialCfgText(text) {
+  const materialsMap = {};
+  const vendorsMap = {};
+  const colorsMap = {};
+  let section = '';
+  let filaNum = null;
+  for (const raw of String(text).split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#') || line.startsWith(';')) continue;
+    if (line.startsWith('[') && line.endsWith(']')) {
+      section = line.slice(1, -1).trim().toLowerCase();
+      const filaMatch = section.match(/^fila(\d{1,3})$/);
+      filaNum = filaMatch ? filaMatch[1] : null;
+      continue;
+    }
+    const eq = line.indexOf('=');
+    if (eq === -1) continue;
+    const key = line.slice(0, eq).trim().toLowerCase();
+    const val = line.slice(eq + 1).trim();
+    if (filaNum && section.startsWith('fila')) {
+      if (key === 'filament' && val) materialsMap[String(parseInt(filaNum, 10))] = val;
+    } else if (section === 'vendor_list' || section === 'vendor list') {
+      const code = String(parseInt(key, 10));
+      if (val && !isNaN(Number(code))) vendorsMap[code] = val;
+    } else if (CFG_COLOR_SECTIONS.includes(section)) {
+      const code = parseInt(key, 10);
+      const hex = normalizeHex(val);
+      if (!isNaN(code) && hex && colorsMap[hex] === undefined) colorsMap[hex] = code;
+    }
+  }
+  if (Object.keys(materialsMap).length === 0) throw codedError('CFG_NO_MATERIALS', 'no [filaN] section with a filament = entry');
+  if (Object.keys(vendorsMap).length === 0) throw codedError('CFG_NO_VENDORS', 'no [vendor_list] section with entries');
+  return { materialsMap, vendorsMap, colorsMap };
+}
+
+// Effective tables: the cfg (if given) replaces materials and manufacturers, and the colors
+// when it contains a color table; otherwise the defaults are used.
+function buildTables(cfgText = null) {
+  if (!cfgText) {
+    return { materials: { ...DEFAULT_MATERIALS }, manufacturers: { ...DEFAULT_MANUFACTURERS }, colors: { ...DEFAULT_COLORS } };
+  }
+  const { materialsMap, vendorsMap, colorsMap } = parseOfficialCfgText(cfgText);
+  return {
+    materials: materialsMap,
+    manufacturers: vendorsMap,
+    colors: Object.keys(colorsMap).length ? colorsMap : { ...DEFAULT_COLORS }
+  };
+}
+
+function findByName(map, value) {
+  const v = String(value).trim().toLowerCase();
+  const hit = Object.entries(map).find(([, name]) => String(name).toLowerCase() === v);
+  return hit ? parseInt(hit[0], 10) : null;
+}
+
+// Name or numeric code -> code; null when unknown
+function resolveMaterial(tables, value) {
+  if (/^\d+$/.test(String(value).trim())) return tables.materials[parseInt(value, 10)] !== undefined ? parseInt(value, 10) : null;
+  return findByName(tables.materials, value);
+}
+
+function resolveManufacturer(tables, value) {
+  if (/^\d+$/.test(String(value).trim())) return tables.manufacturers[parseInt(value, 10)] !== undefined ? parseInt(value, 10) : null;
+  return findByName(tables.manufacturers, value);
+}
+
+// Color by code, hex value or English default name
+function resolveColor(tables, value) {
+  const v = String(value).trim();
+  const codes = Object.values(tables.colors).map(Number);
+  if (/^\d+$/.test(v)) return codes.includes(parseInt(v, 10)) ? parseInt(v, 10) : null;
+  const hex = normalizeHex(v);
+  if (hex && tables.colors[hex] !== undefined) return Number(tables.colors[hex]);
+  const named = Object.entries(COLOR_NAMES).find(([, name]) => name.toLowerCase() === v.toLowerCase());
+  if (named && tables.colors[named[0]] !== undefined) return Number(tables.colors[named[0]]);
+  return null;
+}
+
+function colorHexOf(tables, code) {
+  const hit = Object.entries(tables.colors).find(([, c]) => Number(c) === Number(code));
+  return hit ? hit[0] : null;
+}
+
+module.exports = {
+  DEFAULT_MATERIALS,
+  DEFAULT_MANUFACTURERS,
+  DEFAULT_COLORS,
+  COLOR_NAMES,
+  normalizeHex,
+  parseOfficialCfgText,
+  buildTables,
+  resolveMaterial,
+  resolveManufacturer,
+  resolveColor,
+  colorHexOf
+};
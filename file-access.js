@@ -0,0 +1,132 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+// File access for the renderer. The renderer never passes a path: it asks for a file by
+// purpose, and the main process only reads a file the user picked for that purpose in an
+// open dialog (or the one persisted for it, e.g. the official cfg path in the settings file).
+//
+// Purpose: { title, filters, maxBytes, check(text), defaultFrom? }   check returns null or the
+//          reason the content was rejected; the dialog starts at the file granted for
+//          `defaultFrom`, if any
+// Grant:   purpose -> absolute path   (one file per purpose; picking another replaces it)
+//
+// Errors: FILE_NOT_GRANTED (nothing picked for the purpose), FILE_NOT_FOUND, FILE_TOO_LARGE,
+// FILE_TYPE_INVALID (binary or not the expected format), each with a `details` string.
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const { codedError } = require('./errors');
+
+const KB = 1024;
+
+// Text files only: valid UTF-8 without NUL bytes
+function textError(buffer) {
+  if (buffer.includes(0)) return 'binary content';
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    return 'not UTF-8 text';
+  }
+  return null;
+}
+
+const PURPOSES = {
+  // QIDI officiall_filas_list.cfg: an INI file with [sections]
+  'official-cfg': {
+    title: 'officiall_filas_list.cfg',
+    filters: [
+      { name: 'QIDI filament list', extensions: ['cfg'] },
+      { name: 'All files', extensions: ['*'] }
+    ],
+    maxBytes: 1024 * KB,
+    check: text => (/^\s*\[[^\]\r\n]+\]/m.test(text) ? null : 'no [section] found')
+  }
+};
+
+// Target of the custom materials / manufacturers export (cfg-export.js): any copy of the cfg,
+// the one in use offered first
+PURPOSES['cfg-export'] = {
+  ...PURPOSES['official-cfg'],
+  title: 'Export to officiall_filas_list.cfg',
+  defaultFrom: 'official-cfg'
+};
+
+// Reads a file the main process chose (dialog result, persisted path) within a size limit.
+// Used for the files main.js opens itself as well (dumps, profiles).
+async function readChosenFile(filePath, { maxBytes, text = false, encoding = 'utf8' } = {}) {
+  let stat;
+  try {
+    stat = await fsp.stat(filePath);
+  } catch (err) {
+    throw codedError('FILE_NOT_FOUND', `${filePath}: ${err.code || err.message}`);
+  }
+  if (!stat.isFile()) throw codedError('FILE_NOT_FOUND', `${filePath}: not a file`);
+  if (maxBytes && stat.size > maxBytes) throw codedError('FILE_TOO_LARGE', `${stat.size} bytes (max. ${maxBytes})`);
+  const buffer = await fsp.readFile(filePath);
+  // The file may have grown between stat and read
+  if (maxBytes && buffer.length > maxBytes) throw codedError('FILE_TOO_LARGE', `${buffer.length} bytes (max. ${maxBytes})`);
+  if (!text) return buffer;
+  const reason = textError(buffer);
+  if (reason) throw codedError('FILE_TYPE_INVALID', reason);
+  return buffer.toString(encoding).replace(/^\uFEFF/, '');
+}
+
+class FileGrants {
+  constructor(purposes = PURPOSES) {
+    this.purposes = purposes;
+    this.grants = new Map();
+  }
+
+  purpose(name) {
+    const purpose = this.purposes[name];
+    if (!purpose) throw codedError('FILE_NOT_GRANTED', `unknown purpose ${name}`);
+    return purpose;
+  }
+
+  // Only absolute paths are granted; anything else leaves the purpose without a file
+  grant(name, filePath) {
+    this.purpose(name);
+    if (filePath && path.isAbsolute(String(filePath))) this.grants.set(name, path.normalize(String(filePath)));
+    else this.grants.delete(name);
+    return this.get(name);
+  }
+
+  revoke(name) {
+    this.grants.delete(name);
+  }
+
+  get(name) {
+    return this.grants.get(name) || null;
+  }
+
+  async exists(name) {
+    const filePath = this.get(name);
+    if (!filePath) return false;
+    try {
+      await fsp.access(filePath, fs.constants.R_OK);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // Granted file -> { filePath, text }
+  async read(name) {
+    const purpose = this.purpose(name);
+    const filePath = this.get(name);
+    if (!filePath) throw codedError('FILE_NOT_GRANTED', name);
+    const text = await readChosenFile(filePath, { maxBytes: purpose.maxBytes, text: true });
+    const reason = purpose.check ? purpose.check(text) : null;
+    if (reason) throw codedError('FILE_TYPE_INVALID', reason);
+    return { filePath, text };
+  }
+}
+
+module.exports = FileGrants;
+module.exports.PURPOSES = PURPOSES;
+module.exports.readChosenFile = readChosenFile;
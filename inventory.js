@@ -0,0 +1,129 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+// Spool inventory: one record per tag UID, stored as JSON in the app's userData folder.
+//
+// Record: { uid, material, color, manufacturer, firstSeen, lastSeen,
+//           weight, location, notes, writes: [{ at, material, color, manufacturer, attempts, source }] }
+// material/color/manufacturer are the codes last seen on the tag.
+
+const JsonFile = require('./json-file');
+const { codedError } = require('./errors');
+
+const FILE_VERSION = 1;
+const MAX_WRITE_HISTORY = 50;
+// Free-form fields the user may edit; everything else is maintained by reads and writes.
+const EDITABLE_FIELDS = ['weight', 'location', 'notes'];
+
+function normalizeUid(uid) {
+  return String(uid || '').replace(/[^0-9a-f]/gi, '').toLowerCase();
+}
+
+class Inventory {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.file = new JsonFile(filePath);
+    this.spools = {};
+    this._loaded = false;
+  }
+
+  // Missing (or invalid, see json-file.js) file means an empty inventory
+  async load() {
+    if (this._loaded) return;
+    const obj = await this.file.read();
+    this.spools = (obj && typeof obj.spools === 'object' && obj.spools) || {};
+    this._loaded = true;
+  }
+
+  get(uid) {
+    return this.spools[normalizeUid(uid)] || null;
+  }
+
+  list() {
+    return Object.values(this.spools).sort((a, b) => String(b.lastSeen).localeCompare(String(a.lastSeen)));
+  }
+
+  _touch(uid, tagData) {
+    const key = normalizeUid(uid);
+    if (!key) return null;
+    const now = new Date().toISOString();
+    const entry = this.spools[key] || {
+      uid: key, firstSeen: now, weight: null, location: '', notes: '', writes: []
+    };
+    entry.lastSeen = now;
+    // NTAG (OpenSpool) reads carry names instead of codes; keep the codes known so far
+    if (tagData.material !== null && tagData.material !== undefined) {
+      entry.material = Number(tagData.material) || 0;
+      entry.color = Number(tagData.color) || 0;
+      entry.manufacturer = Number(tagData.manufacturer) || 1;
+    } else if (entry.material === undefined) {
+      entry.material = 0;
+      entry.color = 0;
+      entry.manufacturer = 1;
+    }
+    this.spools[key] = entry;
+    return entry;
+  }
+
+  async recordRead(uid, tagData) {
+    await this.load();
+    const entry = this._touch(uid, tagData);
+    if (entry) await this._save();
+    return entry;
+  }
+
+  // `info` carries details of the write, e.g. { attempts, source: 'manual'|'batch' }
+  async recordWrite(uid, tagData, info = {}) {
+    await this.load();
+    const entry = this._touch(uid, tagData);
+    if (!entry) return null;
+    entry.writes.push({
+      at: entry.lastSeen,
+      material: entry.material,
+      color: entry.color,
+      manufacturer: entry.manufacturer,
+      ...info
+    });
+    if (entry.writes.length > MAX_WRITE_HISTORY) entry.writes.splice(0, entry.writes.length - MAX_WRITE_HISTORY);
+    await this._save();
+    return entry;
+  }
+
+  async update(uid, fields = {}) {
+    await this.load();
+    const entry = this.get(uid);
+    if (!entry) throw codedError('INVENTORY_NOT_FOUND', uid);
+    for (const field of EDITABLE_FIELDS) {
+      if (fields[field] === undefined) continue;
+      if (field === 'weight') {
+        const weight = parseFloat(fields.weight);
+        entry.weight = Number.isFinite(weight) && weight >= 0 ? weight : null;
+      } else {
+        entry[field] = String(fields[field] || '');
+      }
+    }
+    await this._save();
+    return entry;
+  }
+
+  async remove(uid) {
+    await this.load();
+    const key = normalizeUid(uid);
+    if (!this.spools[key]) return false;
+    delete this.spools[key];
+    await this._save();
+    return true;
+  }
+
+  _save() {
+    return this.file.write({ version: FILE_VERSION, spools: this.spools });
+  }
+}
+
+module.exports = Inventory;
+module.exports.EDITABLE_FIELDS = EDITABLE_FIELDS;
+module.exports.normalizeUid = normalizeUid;
@@ -0,0 +1,52 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+// One JSON file in the app's userData folder, as used by the settings, the spool inventory and
+// the key store. A missing file reads as null; one that is no valid JSON reads as null as well,
+// after it has been renamed to <file>.broken-<timestamp>, so the next write never overwrites it.
+// Writes are serialized and go through a temp file, so a crash never leaves half a file behind.
+
+const fs = require('fs');
+const fsp = fs.promises;
+
+class JsonFile {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this._writing = Promise.resolve();
+  }
+
+  // Other read errors (file locked by a virus scanner or sync client, no permission) are thrown:
+  // the file is probably fine and must not be replaced by an empty one.
+  async read() {
+    let text;
+    try {
+      text = await fsp.readFile(this.filePath, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+    try {
+      return JSON.parse(text);
+    } catch {
+      await fsp.rename(this.filePath, `${this.filePath}.broken-${Date.now()}`);
+      return null;
+    }
+  }
+
+  // The data is serialized right away; later changes to it do not end up in this write.
+  write(data) {
+    const text = JSON.stringify(data, null, 2);
+    this._writing = this._writing.catch(() => {}).then(async () => {
+      const tmp = `${this.filePath}.tmp`;
+      await fsp.writeFile(tmp, text, 'utf8');
+      await fsp.rename(tmp, this.filePath);
+    });
+    return this._writing;
+  }
+}
+
+module.exports = JsonFile;
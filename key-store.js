@@ -0,0 +1,92 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+// Additional sector keys, tried before the built-in ones (see NFCService.setExtraKeys).
+// Stored as JSON (plain text) in the app's userData folder.
+//
+// Entry: { id, sector: 0..15 | null (every sector), type: 'A'|'B', key: 12 hex digits, label, addedAt }
+
+const JsonFile = require('./json-file');
+const { normalizeKey, SECTOR_COUNT } = require('./sector-access');
+const { codedError } = require('./errors');
+
+const FILE_VERSION = 1;
+const KEY_TYPES = ['A', 'B'];
+
+function entryId(sector, type, key) {
+  return `${sector === null ? '*' : sector}-${type}-${key}`;
+}
+
+function normalizeSector(value) {
+  if (value === null || value === undefined || value === '' || value === '*') return null;
+  const sector = Number(value);
+  if (!Number.isInteger(sector) || sector < 0 || sector >= SECTOR_COUNT) {
+    throw codedError('KEY_INVALID', `sector ${value}`);
+  }
+  return sector;
+}
+
+class KeyStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.file = new JsonFile(filePath);
+    this.keys = [];
+    this._loaded = false;
+  }
+
+  // Missing (or invalid, see json-file.js) file means no extra keys
+  async load() {
+    if (this._loaded) return;
+    const obj = await this.file.read();
+    this.keys = Array.isArray(obj && obj.keys) ? obj.keys : [];
+    this._loaded = true;
+  }
+
+  list() {
+    return this.keys.slice();
+  }
+
+  // Adding a key that is already known only updates its label.
+  async add({ sector, type, key, label } = {}) {
+    await this.load();
+    const keyType = String(type || 'A').toUpperCase();
+    if (!KEY_TYPES.includes(keyType)) {
+      throw codedError('KEY_INVALID', `key type ${type}`);
+    }
+    const entry = {
+      sector: normalizeSector(sector),
+      type: keyType,
+      key: normalizeKey(key),
+      label: String(label || '')
+    };
+    entry.id = entryId(entry.sector, entry.type, entry.key);
+    const existing = this.keys.find(k => k.id === entry.id);
+    if (existing) {
+      if (entry.label) existing.label = entry.label;
+    } else {
+      this.keys.push({ ...entry, addedAt: new Date().toISOString() });
+    }
+    await this._save();
+    return this.keys.find(k => k.id === entry.id);
+  }
+
+  async remove(id) {
+    await this.load();
+    const before = this.keys.length;
+    this.keys = this.keys.filter(k => k.id !== id);
+    if (this.keys.length === before) return false;
+    await this._save();
+    return true;
+  }
+
+  _save() {
+    return this.file.write({ version: FILE_VERSION, keys: this.keys });
+  }
+}
+
+module.exports = KeyStore;
+module.exports.KEY_TYPES = KEY_TYPES;
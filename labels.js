@@ -0,0 +1,182 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+// Spool labels: turns label data into a printable HTML document (one label per page, or many
+// labels on a sheet). main.js renders the document to PDF / PNG or sends it to the printer.
+//
+// Label data: { uid, materialCode, colorCode, manufacturerCode, material, manufacturer,
+//               colorName, colorHex, date, extended }   (names as shown in the app)
+// Template:   { html, css }  html may use the placeholders listed in PLACEHOLDERS as {{name}};
+//             values are HTML-escaped, {{qr}} and {{swatch}} insert markup. Templates are
+//             rendered without JavaScript.
+
+const qrCode = require('./qr-code');
+const filamentData = require('./filament-data');
+const { codedError } = require('./errors');
+
+// Label sizes in mm (common label printer rolls and A4 sheets)
+const SIZES = {
+  '62x29': { width: 62, height: 29, name: '62 × 29 mm (Brother DK-11209)' },
+  '54x25': { width: 54, height: 25, name: '54 × 25 mm (Dymo 11352)' },
+  '57x32': { width: 57, height: 32, name: '57 × 32 mm (Dymo 11354)' },
+  '50x30': { width: 50, height: 30, name: '50 × 30 mm' },
+  '40x30': { width: 40, height: 30, name: '40 × 30 mm' },
+  '70x37': { width: 70, height: 37, name: '70 × 37 mm (A4 sheet, 3 × 8)' }
+};
+const DEFAULT_SIZE = '62x29';
+
+// Sheets for printing many labels at once; labels are laid out in a grid inside the margins
+const SHEETS = {
+  a4: { width: 210, height: 297, margin: 0, gap: 0, name: 'A4' },
+  letter: { width: 215.9, height: 279.4, margin: 6, gap: 2, name: 'Letter' }
+};
+
+const PLACEHOLDERS = [
+  'material', 'manufacturer', 'colorName', 'colorHex', 'swatch', 'uid', 'date', 'qr',
+  'weight', 'diameter', 'nozzleTemp', 'bedTemp', 'lot'
+];
+
+const DEFAULT_TEMPLATE = {
+  html: [
+    '<div class="qr">{{qr}}</div>',
+    '<div class="text">',
+    '  <div class="material">{{material}}</div>',
+    '  <div class="manufacturer">{{manufacturer}}</div>',
+    '  <div class="color">{{swatch}} {{colorName}}</div>',
+    '  <div class="meta">{{uid}}<br>{{date}}</div>',
+    '</div>'
+  ].join('\n'),
+  css: [
+    '.label { display: flex; gap: 2mm; padding: 2mm; font-family: Arial, sans-serif; }',
+    '.qr { height: 100%; aspect-ratio: 1; flex: none; }',
+    '.qr svg { width: 100%; height: 100%; display: block; }',
+    '.text { display: flex; flex-direction: column; justify-content: space-between; min-width: 0; }',
+    '.material { font-size: calc(var(--label-height) * 0.2); font-weight: bold; line-height: 1; }',
+    '.manufacturer, .color { font-size: calc(var(--label-height) * 0.11); }',
+    '.swatch { display: inline-block; width: 1em; height: 1em; vertical-align: -0.15em; border: 0.2mm solid #000; }',
+    '.meta { font-size: calc(var(--label-height) * 0.08); color: #333; font-family: monospace; }'
+  ].join('\n')
+};
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+function range(min, max, unit) {
+  if (!min && !max) return '';
+  if (!min || !max || min === max) return `${min || max} ${unit}`;
+  return `${min}–${max} ${unit}`;
+}
+
+// QR content: the QIDI codes plus the names in OpenSpool field names, so a phone scan is
+// readable and tools can pick either. Names are dropped when the code would get too large.
+function qrPayload(label) {
+  const hex = filamentData.normalizeHex(label.colorHex);
+  const full = {
+    uid: label.uid || undefined,
+    qidi: [label.materialCode, label.colorCode, label.manufacturerCode].map(v => (v === null || v === undefined ? null : Number(v))),
+    type: label.material || undefined,
+    color_hex: hex ? hex.slice(1) : undefined,
+    brand: label.manufacturer || undefined
+  };
+  const text = JSON.stringify(full);
+  if (Buffer.byteLength(text, 'utf8') <= 200) return text;
+  return JSON.stringify({ uid: full.uid, qidi: full.qidi });
+}
+
+function placeholderValues(label) {
+  const ext = label.extended || {};
+  const hex = filamentData.normalizeHex(label.colorHex);
+  return {
+    material: escapeHtml(label.material),
+    manufacturer: escapeHtml(label.manufacturer),
+    colorName: escapeHtml(label.colorName),
+    colorHex: escapeHtml(hex || ''),
+    swatch: hex ? `<span class="swatch" style="background: ${hex};"></span>` : '',
+    uid: escapeHtml(label.uid ? String(label.uid).toUpperCase() : ''),
+    date: escapeHtml(label.date),
+    qr: qrCode.toSvg(qrPayload(label), { margin: 2 }),
+    weight: escapeHtml(ext.nominalWeight ? `${ext.nominalWeight} g` : ''),
+    diameter: escapeHtml(ext.diameter ? `${ext.diameter} mm` : ''),
+    nozzleTemp: escapeHtml(range(ext.nozzleTempMin, ext.nozzleTempMax, '°C')),
+    bedTemp: escapeHtml(range(ext.bedTempMin, ext.bedTempMax, '°C')),
+    lot: escapeHtml(ext.lot)
+  };
+}
+
+function renderLabel(template, label) {
+  const values = placeholderValues(label);
+  const html = String(template.html).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (key in values ? values[key] : match));
+  return `<div class="label">${html}</div>`;
+}
+
+function normalizeTemplate(template) {
+  if (!template || typeof template !== 'object' || !String(template.html || '').trim()) return DEFAULT_TEMPLATE;
+  return { html: String(template.html), css: String(template.css || '') };
+}
+
+// Labels -> { html, width, height, pages } (page size in mm). Without a sheet every label is
+// its own page of the label size; with a sheet the labels fill a grid, page after page.
+function buildDocument({ labels = [], size = DEFAULT_SIZE, sheet = null, template = null } = {}) {
+  const label = SIZES[size];
+  if (!label) throw codedError('LABEL_INVALID', `size ${size}`);
+  if (!Array.isArray(labels) || !labels.length) throw codedError('LABEL_INVALID', 'no labels');
+  const page = sheet ? SHEETS[sheet] : null;
+  if (sheet && !page) throw codedError('LABEL_INVALID', `sheet ${sheet}`);
+  const tpl = normalizeTemplate(template);
+
+  const rendered = labels.map(l => renderLabel(tpl, l));
+  let pages;
+  let width = label.width;
+  let height = label.height;
+  let layoutCss;
+  if (page) {
+    const columns = Math.max(1, Math.floor((page.width - 2 * page.margin + page.gap) / (label.width + page.gap)));
+    const rows = Math.max(1, Math.floor((page.height - 2 * page.margin + page.gap) / (label.height + page.gap)));
+    const perPage = columns * rows;
+    pages = [];
+    for (let i = 0; i < rendered.length; i += perPage) pages.push(rendered.slice(i, i + perPage).join(''));
+    width = page.width;
+    height = page.height;
+    layoutCss = `.page { padding: ${page.margin}mm; display: grid; gap: ${page.gap}mm; align-content: start;` +
+      ` grid-template-columns: repeat(${columns}, ${label.width}mm); grid-auto-rows: ${label.height}mm; }`;
+  } else {
+    pages = rendered;
+    layoutCss = '';
+  }
+
+  const html = `<!DOCTYPE html>
+<html><head><meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; img-src data:">
+<style>
+@page { size: ${width}mm ${height}mm; margin: 0; }
+html, body { margin: 0; padding: 0; background: #fff; color: #000; }
+* { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+.page { width: ${width}mm; height: ${height}mm; box-sizing: border-box; overflow: hidden; page-break-after: always; }
+.page:last-child { page-break-after: auto; }
+.label { --label-width: ${label.width}mm; --label-height: ${label.height}mm; width: ${label.width}mm; height: ${label.height}mm;
+  box-sizing: border-box; overflow: hidden; }
+${layoutCss}
+${tpl.css}
+</style></head>
+<body>${pages.map(p => `<div class="page">${p}</div>`).join('\n')}</body></html>`;
+
+  return { html, width, height, pages: pages.length };
+}
+
+module.exports = {
+  SIZES,
+  DEFAULT_SIZE,
+  SHEETS,
+  PLACEHOLDERS,
+  DEFAULT_TEMPLATE,
+  qrPayload,
+  renderLabel,
+  buildDocument
+};
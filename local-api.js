@@ -0,0 +1,219 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+// Opt-in local HTTP API for scripts, Klipper macros, Home Assistant, ...
+//
+//   GET  /api/status      reader status (all attached readers)
+//   GET  /api/tag         read the presented tag (?reader=<name>)
+//   POST /api/tag         write { materialCode, colorCode, manufacturerCode, retries, extended, openspool, reader }
+//   GET  /api/tag/dump    full dump (same JSON as Setup → Backup, ?reader=<name>)
+//   POST /api/auto        { enable, readers } auto-read on/off, optionally for some readers only
+//   GET  /api/events      Server-Sent Events: auto-status (with reader name), batch-progress,
+//                         reader-event (reader attached/detached, card present/removed, read completed)
+//
+// Every request needs the API token, as "Authorization: Bearer <token>" or "?token=<token>"
+// (EventSource cannot send headers). The operations are provided by main.js and wait in the
+// same per-reader queue as the UI; responses carry the same { success, messageKey, ... } shape.
+
+const http = require('http');
+const crypto = require('crypto');
+const { codedError } = require('./errors');
+
+const DEFAULT_PORT = 47811;
+const DEFAULT_HOST = '127.0.0.1';
+const MAX_BODY_BYTES = 64 * 1024;
+const SSE_KEEPALIVE_MS = 25000;
+
+// messageKey -> HTTP status; anything not listed is a 500
+const STATUS_BY_MESSAGE_KEY = {
+  busy: 409,
+  nfcNotConnected: 503,
+  pcscServiceMissing: 503,
+  readerNotFound: 404,
+  readerUnplugged: 503,
+  cardRemoved: 409,
+  tagChanged: 409,
+  readFailed: 422,
+  writeFailed: 422,
+  nfcAuthFailed: 422,
+  verifyFailed: 422,
+  tagWriteProtected: 423,
+  tagTypeUnsupported: 422,
+  payloadInvalid: 400,
+  badRequest: 400,
+  unauthorized: 401,
+  notFound: 404
+};
+
+function tokensEqual(a, b) {
+  const ba = Buffer.from(String(a || ''));
+  const bb = Buffer.from(String(b || ''));
+  return ba.length === bb.length && ba.length > 0 && crypto.timingSafeEqual(ba, bb);
+}
+
+function sendJson(res, status, body) {
+  const data = JSON.stringify(body);
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(data);
+}
+
+function sendResult(res, result) {
+  const status = result && result.success ? 200 : (STATUS_BY_MESSAGE_KEY[result && result.messageKey] || 500);
+  sendJson(res, status, result);
+}
+
+// Resolves with the body's JSON object ({} for an empty body); anything else (null, arrays,
+// plain values) is rejected like malformed JSON
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text.trim()) return resolve({});
+      let body;
+      try { body = JSON.parse(text); } catch (e) { return reject(e); }
+      if (!body || typeof body !== 'object' || Array.isArray(body)) return reject(new Error('Body must be a JSON object'));
+      return resolve(body);
+    });
+    req.on('error', reject);
+  });
+}
+
+class LocalApiServer {
+  // operations: { status(), read({ reader }), write(params), dump({ reader }), setAuto(enable, readers) } -> Promise<result>
+  constructor({ operations, token, port = DEFAULT_PORT, host = DEFAULT_HOST }) {
+    this.operations = operations;
+    this.token = token;
+    this.port = port;
+    this.host = host;
+    this.server = null;
+    this.clients = new Set();
+    this._keepAlive = null;
+  }
+
+  get running() { return !!(this.server && this.server.listening); }
+
+  start() {
+    if (this.server) return Promise.resolve();
+    if (!this.token) return Promise.reject(codedError('API_TOKEN_MISSING'));
+    return new Promise((resolve, reject) => {
+      const server = http.createServer((req, res) => {
+        this._handle(req, res).catch((err) => {
+          if (!res.headersSent) {
+            sendJson(res, 500, { success: false, messageKey: 'unknownError', details: err && err.message ? String(err.message) : String(err) });
+          }
+        });
+      });
+      server.once('error', (err) => {
+        this.server = null;
+        reject(err);
+      });
+      server.listen(this.port, this.host, () => {
+        this.server = server;
+        this._keepAlive = setInterval(() => this._writeAll(': keepalive\n\n'), SSE_KEEPALIVE_MS);
+        resolve();
+      });
+    });
+  }
+
+  stop() {
+    if (!this.server) return Promise.resolve();
+    clearInterval(this._keepAlive);
+    this._keepAlive = null;
+    this.clients.forEach(res => res.end());
+    this.clients.clear();
+    const server = this.server;
+    this.server = null;
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  // Pushes an event to every connected SSE client.
+  broadcast(event, data) {
+    if (!this.clients.size) return;
+    this._writeAll(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  _writeAll(chunk) {
+    this.clients.forEach(res => res.write(chunk));
+  }
+
+  _authorized(req, url) {
+    const header = req.headers.authorization || '';
+    const bearer = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+    return tokensEqual(bearer || url.searchParams.get('token'), this.token);
+  }
+
+  async _handle(req, res) {
+    const url = new URL(req.url, `http://${DEFAULT_HOST}`);
+    if (!this._authorized(req, url)) {
+      sendJson(res, 401, { success: false, messageKey: 'unauthorized' });
+      return;
+    }
+
+    const route = `${req.method} ${url.pathname.replace(/\/+$/, '')}`;
+    const reader = url.searchParams.get('reader') || undefined;
+    switch (route) {
+      case 'GET /api/status':
+        return sendResult(res, await this.operations.status());
+      case 'GET /api/tag':
+        return sendResult(res, await this.operations.read({ reader }));
+      case 'POST /api/tag': {
+        let body;
+        try { body = await readJsonBody(req); } catch (e) {
+          return sendJson(res, 400, { success: false, messageKey: 'badRequest', details: e.message });
+        }
+        if (body.materialCode === undefined || body.colorCode === undefined) {
+          return sendJson(res, 400, { success: false, messageKey: 'badRequest', details: 'materialCode and colorCode are required' });
+        }
+        return sendResult(res, await this.operations.write(body));
+      }
+      case 'GET /api/tag/dump':
+        return sendResult(res, await this.operations.dump({ reader }));
+      case 'POST /api/auto': {
+        let body;
+        try { body = await readJsonBody(req); } catch (e) {
+          return sendJson(res, 400, { success: false, messageKey: 'badRequest', details: e.message });
+        }
+        if (body.readers !== undefined && !Array.isArray(body.readers)) {
+          return sendJson(res, 400, { success: false, messageKey: 'badRequest', details: 'readers must be an array of reader names' });
+        }
+        return sendResult(res, await this.operations.setAuto(!!body.enable, body.readers));
+      }
+      case 'GET /api/events':
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream; charset=utf-8',
+          'Cache-Control': 'no-store',
+          Connection: 'keep-alive'
+        });
+        res.write(': connected\n\n');
+        this.clients.add(res);
+        req.on('close', () => this.clients.delete(res));
+        return undefined;
+      default:
+        return sendJson(res, 404, { success: false, messageKey: 'notFound' });
+    }
+  }
+}
+
+function generateToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+module.exports = LocalApiServer;
+module.exports.DEFAULT_PORT = DEFAULT_PORT;
+module.exports.DEFAULT_HOST = DEFAULT_HOST;
+module.exports.generateToken = generateToken;
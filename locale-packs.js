@@ -0,0 +1,169 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+// Locale packs: locales/<code>.json shipped with the app, plus packs the user drops into
+// userData/locales. A user pack with the code of a shipped one overrides single strings of it.
+//
+// Pack: { _meta: { name, flag? }, <key>: "text", ..., colors: { '#RRGGBB': name },
+//         python: { <key>: "text" } }   (python: strings of the Python version, Phyton/source)
+//
+// Texts may contain {placeholders} (see format). Keys a pack lacks fall back to English.
+// Texts are plain text: user packs come from anywhere, so the renderer escapes them wherever it
+// builds markup and a pack cannot bring its own HTML.
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const { codedError } = require('./errors');
+const { readChosenFile } = require('./file-access');
+
+const FALLBACK_LOCALE = 'en';
+const SECTIONS = ['colors', 'python'];
+const CODE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})?$/;
+const MAX_PACK_BYTES = 512 * 1024;
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function invalidPack(details) {
+  return codedError('LOCALE_INVALID', details);
+}
+
+// Keeps strings only; anything else in a pack (numbers, nested objects outside the sections) is dropped
+function strings(obj) {
+  const out = {};
+  for (const [key, value] of Object.entries(isObject(obj) ? obj : {})) {
+    if (typeof value === 'string') out[key] = value;
+  }
+  return out;
+}
+
+function parsePack(text, code) {
+  let obj;
+  try {
+    obj = JSON.parse(text);
+  } catch (err) {
+    throw invalidPack(`${code}: ${err.message}`);
+  }
+  if (!isObject(obj)) throw invalidPack(`${code}: not a JSON object`);
+  const meta = isObject(obj._meta) ? obj._meta : {};
+  const pack = { _meta: { name: typeof meta.name === 'string' && meta.name.trim() ? meta.name.trim() : code }, ...strings(obj) };
+  if (typeof meta.flag === 'string') pack._meta.flag = meta.flag;
+  for (const section of SECTIONS) {
+    if (isObject(obj[section])) pack[section] = strings(obj[section]);
+  }
+  return pack;
+}
+
+// Packs of one folder: [{ code, file, pack }]. Unreadable packs are reported in `errors`
+// instead of failing the others.
+async function readDir(dir, errors) {
+  let names;
+  try {
+    names = await fsp.readdir(dir);
+  } catch {
+    return [];
+  }
+  const packs = [];
+  for (const name of names.sort()) {
+    if (path.extname(name).toLowerCase() !== '.json') continue;
+    const code = path.basename(name, path.extname(name));
+    const file = path.join(dir, name);
+    try {
+      if (!CODE_PATTERN.test(code)) throw invalidPack(`${name}: file name is not a language code (e.g. it.json, pt-BR.json)`);
+      packs.push({ code, file, pack: parsePack(await readChosenFile(file, { maxBytes: MAX_PACK_BYTES, text: true }), code) });
+    } catch (err) {
+      errors.push({ file, code: err.message, details: err.details || null });
+    }
+  }
+  return packs;
+}
+
+function mergePacks(base, extra) {
+  const merged = { ...base, ...extra, _meta: { ...(base._meta || {}), ...(extra._meta || {}) } };
+  for (const section of SECTIONS) {
+    if (base[section] || extra[section]) merged[section] = { ...(base[section] || {}), ...(extra[section] || {}) };
+  }
+  return merged;
+}
+
+// { locales: [{ code, name, flag, source: 'app'|'user', file, pack }], errors: [{ file, code, details }] }
+async function loadLocales({ appDir, userDir } = {}) {
+  const errors = [];
+  const byCode = new Map();
+  for (const { code, file, pack } of await readDir(appDir, errors)) {
+    byCode.set(code, { code, source: 'app', file, pack });
+  }
+  if (userDir) {
+    for (const { code, file, pack } of await readDir(userDir, errors)) {
+      const shipped = byCode.get(code);
+      byCode.set(code, shipped
+        ? { ...shipped, source: 'user', file, pack: mergePacks(shipped.pack, pack) }
+        : { code, source: 'user', file, pack });
+    }
+  }
+  const locales = [...byCode.values()].map(l => ({ ...l, name: l.pack._meta.name, flag: l.pack._meta.flag || '' }));
+  return { locales, errors };
+}
+
+// Pack with the English strings filled in for the keys it lacks
+function resolve(locales, code) {
+  const fallback = locales.find(l => l.code === FALLBACK_LOCALE);
+  const locale = locales.find(l => l.code === code) || fallback;
+  if (!locale) return {};
+  const merged = fallback && locale !== fallback ? mergePacks(fallback.pack, locale.pack) : { ...locale.pack };
+  delete merged._meta;
+  return merged;
+}
+
+// 'Changes: {count}' + { count: 3 } -> 'Changes: 3'. Unknown placeholders stay as they are.
+function format(text, params = {}) {
+  return String(text).replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined || params[name] === null ? match : String(params[name])));
+}
+
+function placeholders(text) {
+  return [...String(text).matchAll(/\{(\w+)\}/g)].map(m => m[1]).sort();
+}
+
+// Per locale: keys the English pack has and the locale lacks (missing), keys nobody uses
+// (unused; only when `usedKeys` is given) and texts whose {placeholders} differ from English.
+// Sections are compared as 'colors.#FAFAFA', 'python.title'.
+function checkLocales(locales, { usedKeys = null } = {}) {
+  const flatten = pack => {
+    const out = {};
+    for (const [key, value] of Object.entries(pack)) {
+      if (key === '_meta') continue;
+      if (SECTIONS.includes(key) && isObject(value)) {
+        for (const [sub, text] of Object.entries(value)) out[`${key}.${sub}`] = text;
+      } else {
+        out[key] = value;
+      }
+    }
+    return out;
+  };
+  const fallback = locales.find(l => l.code === FALLBACK_LOCALE);
+  const reference = fallback ? flatten(fallback.pack) : {};
+  return locales.map(locale => {
+    const own = flatten(locale.pack);
+    const missing = Object.keys(reference).filter(key => own[key] === undefined);
+    const unused = Object.keys(own).filter(key => (usedKeys ? !usedKeys.has(key) : reference[key] === undefined && locale !== fallback));
+    const placeholderMismatch = Object.keys(own).filter(key =>
+      reference[key] !== undefined && placeholders(own[key]).join() !== placeholders(reference[key]).join());
+    return { code: locale.code, source: locale.source, file: locale.file, missing, unused, placeholderMismatch };
+  });
+}
+
+module.exports = {
+  FALLBACK_LOCALE,
+  SECTIONS,
+  parsePack,
+  loadLocales,
+  resolve,
+  format,
+  checkLocales
+};
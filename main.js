@@ -5,10 +5,29 @@
  * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
  */
 
-const { app, BrowserWindow, ipcMain, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, shell, Tray, Menu, Notification, nativeImage } = require('electron');
 const path = require('path');
+const os = require('os');
 const fs = require('fs');
 const fsp = fs.promises;
+const tagDump = require('./tag-dump');
+const BatchQueue = require('./batch-queue');
+const Inventory = require('./inventory');
+const LocalApiServer = require('./local-api');
+const cli = require('./cli');
+const PrinterCfgSync = require('./printer-cfg');
+const KeyStore = require('./key-store');
+const tagCodecs = require('./tag-codecs');
+const filamentData = require('./filament-data');
+const SettingsStore = require('./settings-store');
+const labels = require('./labels');
+const errors = require('./errors');
+const DiagnosticsLog = require('./diagnostics-log');
+const FileGrants = require('./file-access');
+const localePacks = require('./locale-packs');
+const cfgExport = require('./cfg-export');
+const SpoolmanClient = require('./spoolman');
+const trayMenu = require('./tray-menu');
 // Workaround for some Windows setups (AV / Controlled Folder Access) that can block Chromium cache writes.
 // This reduces noisy "Unable to create cache" errors and can help avoid rare startup issues.
 app.commandLine.appendSwitch('disable-gpu-shader-disk-cache');
@@ -36,46 +55,147 @@ function getNfcService(options = {}) {
   const now = Date.now();
   if (!forceRetry && nfcInitFailedAt && (now - nfcInitFailedAt) < NFC_RETRY_AFTER_MS) {
     // Avoid repeated costly init attempts in a tight loop.
-    throw new Error('NFC_NOT_CONNECTED');
+    throw nfcInitLastErr || errors.codedError('NFC_NOT_CONNECTED');
   }
 
   try {
     if (!NFCServiceCtor) NFCServiceCtor = require('./nfc-service');
     nfcService = new NFCServiceCtor();
+    nfcService.setExtraKeys(getKeyStore().list());
+    attachReaderEvents(nfcService);
     nfcInitFailedAt = 0;
     nfcInitLastErr = null;
     return nfcService;
   } catch (e) {
     nfcService = null;
     nfcInitFailedAt = now;
-    nfcInitLastErr = e;
+    // PCSC_SERVICE_MISSING when the PC/SC stack is missing, else NFC_NOT_CONNECTED (see errors.js)
+    nfcInitLastErr = errors.fromBackendError(e);
     console.error('NFC init failed:', e && e.message ? e.message : e);
-    throw new Error('NFC_NOT_CONNECTED');
+    logDiagnostics('error', 'nfc-init', errors.describe(nfcInitLastErr));
+    throw nfcInitLastErr;
   }
 }
-let isBusy = false;
 
-function toMessageKey(err) {
-  const msg = (err && err.message) ? String(err.message) : String(err || '');
-  switch (msg) {
-    case 'Busy':
-      return 'busy';
-    case 'NFC_NOT_CONNECTED':
-      return 'nfcNotConnected';
-    case 'NFC_AUTH_FAILED':
-      return 'nfcAuthFailed';
-    default:
-      return 'unknownError';
+// Spool inventory (userData/inventory.json), created on first use
+let inventory = null;
+function getInventory() {
+  if (!inventory) inventory = new Inventory(path.join(app.getPath('userData'), 'inventory.json'));
+  return inventory;
+}
+
+// Extra sector keys (userData/keys.json); loaded once at startup, see app.whenReady
+let keyStore = null;
+function getKeyStore() {
+  if (!keyStore) keyStore = new KeyStore(path.join(app.getPath('userData'), 'keys.json'));
+  return keyStore;
+}
+
+function applyExtraKeys() {
+  const svc = tryGetNfcService();
+  if (svc) svc.setExtraKeys(getKeyStore().list());
+}
+
+// App settings (userData/settings.json), see settings-store.js
+let settingsStore = null;
+function getSettingsStore() {
+  if (!settingsStore) settingsStore = new SettingsStore(path.join(app.getPath('userData'), 'settings.json'));
+  return settingsStore;
+}
+
+// Files the renderer may read, by purpose (see file-access.js). A grant is made by the open
+// dialog; the ones in PERSISTED_GRANTS are kept in the settings file, which only the main
+// process writes them to, and restored from there on start.
+const PERSISTED_GRANTS = { 'official-cfg': 'officialCfgPath' };
+let fileGrantsReady = null;
+function getFileGrants() {
+  if (!fileGrantsReady) {
+    fileGrantsReady = (async () => {
+      const grants = new FileGrants();
+      const store = getSettingsStore();
+      try {
+        await store.load();
+      } catch (err) {
+        logDiagnostics('error', 'settings-load', errors.describe(err));
+      }
+      const settings = store.get() || {};
+      for (const [purpose, key] of Object.entries(PERSISTED_GRANTS)) grants.grant(purpose, settings[key]);
+      return grants;
+    })();
+  }
+  return fileGrantsReady;
+}
+
+// Official cfg fetched from the printer (Moonraker), last good copy in userData/printer-cfg.
+// Each printer profile has its own copy; those of added profiles are in printer-cfg/profiles/<id>.
+const printerCfgSyncs = new Map();
+function getPrinterCfgSync(profile) {
+  const id = SettingsStore.isPrinterProfileId(profile) ? profile : SettingsStore.DEFAULT_PRINTER_PROFILE;
+  if (!printerCfgSyncs.has(id)) {
+    const dir = path.join(app.getPath('userData'), 'printer-cfg');
+    printerCfgSyncs.set(id, new PrinterCfgSync(id === SettingsStore.DEFAULT_PRINTER_PROFILE ? dir : path.join(dir, 'profiles', id)));
   }
+  return printerCfgSyncs.get(id);
+}
+
+// Diagnostics log (userData/logs/boxrfid.log, rotated), see diagnostics-log.js
+let diagnosticsLog = null;
+function getDiagnosticsLog() {
+  if (!diagnosticsLog) diagnosticsLog = new DiagnosticsLog(path.join(app.getPath('userData'), 'logs', 'boxrfid.log'));
+  return diagnosticsLog;
+}
+
+function logDiagnostics(level, event, fields) {
+  getDiagnosticsLog().log(level, event, fields);
 }
 
+// Failed operation -> IPC / local API result. Every failure is also logged, so a support
+// bundle shows what went wrong and when.
+function failure(err, operation) {
+  const { code, messageKey, details } = errors.describe(err);
+  logDiagnostics('error', operation, { code, messageKey, details });
+  return { success: false, code, messageKey, details };
+}
+
+// Inventory bookkeeping must never turn a successful tag operation into a failure.
+async function trackSpool(method, ...args) {
+  try {
+    return await getInventory()[method](...args);
+  } catch (err) {
+    console.error('Inventory update failed:', err && err.message ? err.message : err);
+    return null;
+  }
+}
 
-// Auto-read state
+// Auto-read state. Every watched reader is handled on its own: the tag last seen per reader name.
 let autoEnabled = false;
-let autoLoop = null;
-let lastAutoUID = null;
+let autoReaders = null; // reader names to watch, null = all attached readers
+const autoPresence = new Map(); // reader name -> { uid, handled }
+
+// Batch tagging state (driven by the same reader events as auto-read; see batch-queue.js)
+let batchQueue = null;
+
+// Opt-in local HTTP API (see local-api.js); configured from the renderer settings
+let localApi = null;
+let localApiConfig = null;
 
-function createMainWindow() {
+// Tray mode (see tray-menu.js), configured from the renderer settings. While it is on, closing
+// the window only hides it: NFC and auto-read keep running until Quit in the tray menu.
+// Started at login the app gets HIDDEN_ARG and keeps its window hidden.
+const HIDDEN_ARG = '--hidden';
+const startedHidden = process.argv.includes(HIDDEN_ARG)
+  || (process.platform === 'darwin' && app.getLoginItemSettings().wasOpenedAtLogin);
+let tray = null;
+let trayConfig = { enabled: false, notifications: true, labels: {}, preset: null };
+let trayWriting = false;
+let quitting = false;
+
+const APP_ICON = process.platform === 'win32'
+  ? path.join(__dirname, 'assets', 'icon.ico')  // Windows: .ico
+  : path.join(__dirname, 'assets', 'icon.png'); // Linux/macOS: .png
+
+// hidden: started at login in tray mode; the window stays hidden unless tray mode turns out to be off
+function createMainWindow({ hidden = false } = {}) {
   mainWindow = new BrowserWindow({
     width: 600,
     height: 800,
@@ -85,12 +205,11 @@ function createMainWindow() {
     webPreferences: {
       nodeIntegration: false,
       contextIsolation: true,
+      sandbox: true,
       enableRemoteModule: false,
       preload: path.join(__dirname, 'preload.js')
     },
-    icon: process.platform === 'win32'
-    ? path.join(__dirname, 'assets', 'icon.ico')  // Windows: .ico
-    : path.join(__dirname, 'assets', 'icon.png'), // Linux/macOS: .png
+    icon: APP_ICON,
     title: 'QIDI RFID Tag Writer/Reader',
     show: false,
     autoHideMenuBar: true
@@ -98,6 +217,7 @@ function createMainWindow() {
 
   mainWindow.loadFile(path.join(__dirname, 'index.html'));
 const SHOW_TIMEOUT_MS = 3000;
+const HIDDEN_SHOW_TIMEOUT_MS = 15000;
 const showWindow = () => {
   if (mainWindow && !mainWindow.isDestroyed() && !mainWindow.isVisible()) {
     mainWindow.show();
@@ -105,7 +225,7 @@ const showWindow = () => {
 };
 
 mainWindow.once('ready-to-show', () => {
-  showWindow();
+  if (!hidden) showWindow();
 
   // Optional: initialize NFC after UI is visible, so the connection indicator can turn green quickly
   // without risking a "headless" startup on systems where PC/SC init blocks.
@@ -115,13 +235,15 @@ mainWindow.once('ready-to-show', () => {
 });
 
 // Fallback: if ready-to-show never fires, still show a window so users don't see only a Task Manager entry.
-setTimeout(showWindow, SHOW_TIMEOUT_MS);
+// A hidden start waits for the renderer to bring up the tray icon instead.
+setTimeout(() => { if (!hidden || !tray) showWindow(); }, hidden ? HIDDEN_SHOW_TIMEOUT_MS : SHOW_TIMEOUT_MS);
 
 
   // If the renderer fails to load, the window may never become visible.
   // Log the error and show the window as a fallback so users don't end up with a "headless" process.
   mainWindow.webContents.on('did-fail-load', (_event, errorCode, errorDescription, validatedURL) => {
     console.error('did-fail-load', { errorCode, errorDescription, validatedURL });
+    logDiagnostics('error', 'did-fail-load', { code: String(errorCode), details: errorDescription });
     if (!mainWindow.isVisible()) mainWindow.show();
   });
 
@@ -129,156 +251,1086 @@ setTimeout(showWindow, SHOW_TIMEOUT_MS);
     mainWindow.webContents.openDevTools();
   }
 
+  // In tray mode closing only hides the window; Quit in the tray menu ends the app
+  mainWindow.on('close', (event) => {
+    if (tray && !quitting) {
+      event.preventDefault();
+      mainWindow.hide();
+    }
+  });
   mainWindow.on('closed', () => { mainWindow = null; });
 }
 
+function openMainWindow() {
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    createMainWindow();
+    return;
+  }
+  if (mainWindow.isMinimized()) mainWindow.restore();
+  mainWindow.show();
+  mainWindow.focus();
+}
+
 function sendAutoStatus(payload) {
+  // `enabled` lets the UI follow auto-read changes made through the local API
+  const status = { ...payload, enabled: autoEnabled };
   if (mainWindow && !mainWindow.isDestroyed()) {
-    mainWindow.webContents.send('rfid-auto-status', payload);
+    mainWindow.webContents.send('rfid-auto-status', status);
   }
+  if (localApi) localApi.broadcast('auto-status', status);
+  updateTray();
 }
 
-function startAutoLoop() {
-  if (autoLoop) return;
-  autoLoop = setInterval(async () => {
-    try {
-      if (!autoEnabled) return;
-      if (isBusy) return;
-
-      const svc = tryGetNfcService();
-      if (!svc) return;
-      const uid = svc.getCurrentUID();
-      if (uid && uid !== lastAutoUID) {
-        // New tag appeared or changed
-        isBusy = true;
-        try {
-          const data = await svc.readTag();
-          lastAutoUID = uid;
-          sendAutoStatus({ present: true, tagData: data, error: null });
-        } catch (err) {
-          sendAutoStatus({ present: true, tagData: null, error: err.message || String(err) });
-        } finally {
-          isBusy = false;
-        }
-      } else if (!uid && lastAutoUID) {
-        // Tag removed
-        lastAutoUID = null;
-        sendAutoStatus({ present: false, tagData: null, error: null });
-      }
-    } catch (err) {
-      // On unexpected error, mark as not present
-      lastAutoUID = null;
-      sendAutoStatus({ present: false, tagData: null, error: err.message || String(err) });
-    }
-  }, 200); // fast, responsive
+function sendBatchProgress() {
+  if (!batchQueue) return;
+  const svc = tryGetNfcService();
+  const progress = { ...batchQueue.snapshot(), reader: batchQueue.reader, tagPresent: !!(svc && svc.getCurrentUID(batchQueue.reader)) };
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('batch-progress', progress);
+  }
+  if (localApi) localApi.broadcast('batch-progress', progress);
+}
+
+function endBatch() {
+  batchQueue = null;
 }
 
-function stopAutoLoop() {
-  if (autoLoop) {
-    clearInterval(autoLoop);
-    autoLoop = null;
+// Reader events (see NFCService EVENTS) go to the renderer and the local API as they are,
+// together with the reader status after the event, so neither has to poll.
+function sendReaderEvent(svc, event) {
+  const payload = { ...event, status: svc.getStatus() };
+  if (payload.type === 'read-completed') delete payload.data;
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('rfid-reader-event', payload);
   }
-  lastAutoUID = null;
+  if (localApi) localApi.broadcast('reader-event', payload);
+  updateTray();
 }
 
-// IPC handlers: RFID
-ipcMain.handle('rfid-write', async (_event, { materialCode, colorCode, manufacturerCode }) => {
-  if (isBusy) return { success: false, messageKey: 'busy' };
-  isBusy = true;
-  try {
-    await getNfcService({ forceRetry: true }).writeTag(
-      parseInt(materialCode, 10),
-      parseInt(colorCode, 10),
-      parseInt(manufacturerCode || 1, 10)
-    );
-    return { success: true };
+function attachReaderEvents(svc) {
+  NFCServiceCtor.EVENTS.forEach(type => svc.on(type, (event) => sendReaderEvent(svc, event)));
+  svc.on('reader-attached', ({ reader }) => logDiagnostics('info', 'reader-attached', { reader, backend: svc.backendName }));
+  svc.on('reader-detached', ({ reader }) => logDiagnostics('info', 'reader-detached', { reader }));
+  svc.on('reader-error', ({ reader, code, details }) => logDiagnostics('error', 'reader-error', { reader, code, messageKey: errors.toMessageKey(code || ''), details }));
+  svc.on('card-present', ({ reader, uid }) => onCardPresent(svc, reader, uid));
+  svc.on('card-removed', ({ reader }) => onCardRemoved(reader));
+  svc.on('reader-detached', ({ reader }) => onCardRemoved(reader));
+}
+
+function isWatched(reader) {
+  return !autoReaders || autoReaders.includes(reader);
+}
+
+function watchedReaders(svc) {
+  return svc.readerNames().filter(isWatched);
+}
+
+// Every card-present event counts, so a tag that is taken off and put back (or swapped for
+// another one) is handled again even when that happens quickly.
+function onCardPresent(svc, reader, uid) {
+  const presence = { uid, handled: false };
+  autoPresence.set(reader, presence);
+  if (batchQueue && reader === batchQueue.reader) {
+    presence.handled = true;
+    batchTag(svc, reader, uid);
+  } else if (autoEnabled && isWatched(reader)) {
+    autoRead(svc, reader, presence);
+  }
+}
+
+function onCardRemoved(reader) {
+  const presence = autoPresence.get(reader);
+  autoPresence.delete(reader);
+  if (batchQueue && reader === batchQueue.reader) {
+    sendBatchProgress();
+  } else if (autoEnabled && presence && presence.handled) {
+    sendAutoStatus({ reader, present: false, tagData: null, error: null });
+  }
+}
+
+// While a batch runs, every tag presented on the batch reader gets the next job written
+// instead of being read. A tag lying there when the batch starts has no card-present event and
+// is only written once it is presented again, unless it is the tag the jobs were cloned from
+// (see batch-queue.js).
+async function batchTag(svc, reader, uid) {
+  const queue = batchQueue;
+  const result = await queue.handleTag(uid, async (job) => {
+    const jobOptions = job.openspool ? { openspool: job.openspool } : {};
+    const res = await svc.writeTag(job.materialCode, job.colorCode, job.manufacturerCode, { ...queue.writeOptions, ...jobOptions, reader, uid });
+    await trackSpool('recordWrite', uid,
+      { material: job.materialCode, color: job.colorCode, manufacturer: job.manufacturerCode },
+      { attempts: res.attempts, source: 'batch' });
+  });
+  if (result && result.status === 'failed') logDiagnostics('warn', 'batch-write', { reader, uid, code: result.error });
+  if (batchQueue !== queue) return;
+  sendBatchProgress();
+  if (queue.finished) endBatch();
+}
+
+// Reads the tag of one presence once; events carry the reader name. A result that arrives
+// after the tag was removed or replaced is dropped.
+async function autoRead(svc, reader, presence) {
+  if (presence.handled) return;
+  presence.handled = true;
+  let status;
+  try {
+    const data = await svc.readTag({ reader, uid: presence.uid });
+    const spool = await trackSpool('recordRead', presence.uid, data);
+    status = { reader, present: true, tagData: data, spool, error: null };
   } catch (err) {
-    return { success: false, messageKey: toMessageKey(err), details: err && err.message ? String(err.message) : String(err) };
-  } finally {
-    isBusy = false;
+    status = { reader, present: true, tagData: null, error: err && err.message ? String(err.message) : String(err) };
+    logDiagnostics('warn', 'auto-read', { reader, uid: presence.uid, ...errors.describe(err) });
   }
-});
+  if (autoEnabled && autoPresence.get(reader) === presence) sendAutoStatus(status);
+}
+
+// Tag operations, shared by the IPC handlers and the local API. Operations on a reader wait
+// in its queue in NFCService, so a click during an auto-read runs right after it.
+// `reader` picks the reader by name; without it the reader with a tag on it is used.
+// `tables` are the renderer's material/color/manufacturer lists (names for name-based formats
+// and code lookup on reads), `format` forces a tag format (see tag-codecs.js) and `openspool`
+// carries explicit names for NTAG tags (see openspool.js).
+function tablesParam(tables) {
+  const isMap = (v) => v && typeof v === 'object' && !Array.isArray(v);
+  return isMap(tables) && isMap(tables.materials) && isMap(tables.manufacturers) && isMap(tables.colors) ? tables : undefined;
+}
 
-ipcMain.handle('rfid-read', async () => {
-  if (isBusy) return { success: false, messageKey: 'busy' };
-  isBusy = true;
+async function writeTagOperation({ materialCode, colorCode, manufacturerCode, retries, extended, openspool, tables, format, reader } = {}, source = 'manual') {
   try {
-    const data = await getNfcService({ forceRetry: true }).readTag();
-    return { success: true, data };
+    const svc = getNfcService({ forceRetry: true });
+    const uid = svc.getCurrentUID(reader);
+    const tagData = {
+      material: parseInt(materialCode, 10),
+      color: parseInt(colorCode, 10),
+      manufacturer: parseInt(manufacturerCode || 1, 10)
+    };
+    const writeOptions = retries !== undefined ? { retries: parseInt(retries, 10) || 0 } : {};
+    if (extended) writeOptions.extended = extended;
+    if (openspool) writeOptions.openspool = openspool;
+    if (tablesParam(tables)) writeOptions.tables = tablesParam(tables);
+    if (format) writeOptions.format = String(format);
+    if (reader) writeOptions.reader = reader;
+    // Written only onto the tag that was there when the write was asked for
+    if (uid) writeOptions.uid = uid;
+    const res = await svc.writeTag(tagData.material, tagData.color, tagData.manufacturer, writeOptions);
+    const spool = await trackSpool('recordWrite', uid, tagData, { attempts: res.attempts, source });
+    return { success: true, uid, attempts: res.attempts, spool };
   } catch (err) {
-    return { success: false, messageKey: toMessageKey(err), details: err && err.message ? String(err.message) : String(err) };
-  } finally {
-    isBusy = false;
+    return failure(err, `write-${source}`);
   }
-});
+}
 
-ipcMain.handle('rfid-status', () => {
+async function readTagOperation({ reader, tables } = {}) {
+  try {
+    const data = await getNfcService({ forceRetry: true }).readTag({ reader, tables: tablesParam(tables) });
+    const spool = await trackSpool('recordRead', data.uid, data);
+    return { success: true, data, spool };
+  } catch (err) {
+    return failure(err, 'read');
+  }
+}
+
+async function dumpTagOperation({ reader } = {}) {
+  try {
+    return { success: true, dump: await getNfcService({ forceRetry: true }).dumpTag({ reader }) };
+  } catch (err) {
+    return failure(err, 'dump');
+  }
+}
+
+function readerStatus() {
   // Do not initialize NFC on status polling; keep startup fast even without reader/driver.
   const svc = tryGetNfcService();
   if (!svc) {
-    return { connected: false, readerName: null, cardPresent: false, uid: null };
+    return { connected: false, readerName: null, cardPresent: false, uid: null, busy: false, readers: [] };
   }
   return svc.getStatus();
+}
+
+// IPC handlers: RFID
+ipcMain.handle('rfid-write', (_event, params) => writeTagOperation(params));
+
+ipcMain.handle('rfid-read', (_event, params) => readTagOperation(params));
+
+// Inspector: keys per sector, hex view and classification (see tag-inspector.js)
+ipcMain.handle('rfid-inspect', async (_event, { reader, tables } = {}) => {
+  try {
+    return { success: true, data: await getNfcService({ forceRetry: true }).inspectTag({ reader, tables: tablesParam(tables) }) };
+  } catch (err) {
+    return failure(err, 'inspect');
+  }
 });
-ipcMain.handle('rfid-auto', async (_event, { enable }) => {
+
+// Erase: zero the QIDI data blocks of the tag the inspector showed (uid), so a tag swapped in
+// the meantime is never touched. The inventory records it as a write of the blank codes.
+ipcMain.handle('rfid-erase', async (_event, { reader, uid, retries } = {}) => {
+  try {
+    const svc = getNfcService({ forceRetry: true });
+    const target = uid || svc.getCurrentUID(reader);
+    const options = { reader, uid: target };
+    if (retries !== undefined) options.retries = parseInt(retries, 10) || 0;
+    const res = await svc.eraseTag(options);
+    const spool = await trackSpool('recordWrite', target, { material: 0, color: 0, manufacturer: 0 }, { attempts: res.attempts, source: 'erase' });
+    return { success: true, uid: target, attempts: res.attempts, spool };
+  } catch (err) {
+    return failure(err, 'erase');
+  }
+});
+
+// Convert, step 1: read a tag in any supported format and map it to QIDI codes
+// (matching material names, nearest palette color) with the renderer's tables.
+ipcMain.handle('rfid-convert-read', async (_event, { reader, tables } = {}) => {
+  const res = await readTagOperation({ reader, tables });
+  if (!res.success) return res;
+  if (!res.data.filament) return { success: false, messageKey: 'convertNoFilament' };
+  return { ...res, target: tagCodecs.toQidi(res.data.filament, tablesParam(tables)) };
+});
+
+// Convert, step 2: write the (possibly adjusted) QIDI codes onto another, blank tag
+ipcMain.handle('rfid-convert-write', async (_event, { reader, sourceUid, target = {}, retries } = {}) => {
+  let uid;
+  try {
+    uid = getNfcService({ forceRetry: true }).getCurrentUID(reader);
+  } catch (err) {
+    return failure(err, 'rfid-convert-write');
+  }
+  if (uid && sourceUid && uid === sourceUid) return { success: false, messageKey: 'convertSameTag' };
+  return writeTagOperation({
+    materialCode: target.materialCode,
+    colorCode: target.colorCode,
+    manufacturerCode: target.manufacturerCode,
+    extended: target.extended || null,
+    format: 'qidi',
+    retries,
+    reader
+  }, 'convert');
+});
+
+// Backup: dump all readable sectors, then let the user pick where to save (.json or .mfd/.bin)
+ipcMain.handle('rfid-backup', async (event, { reader } = {}) => {
+  const dumped = await dumpTagOperation({ reader });
+  if (!dumped.success) return dumped;
+  const { dump } = dumped;
+
+  const sectorsRead = dump.sectors.filter(s => s.blocks).length;
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const win = BrowserWindow.fromWebContents(event.sender);
+  const result = await dialog.showSaveDialog(win, {
+    defaultPath: path.join(app.getPath('documents'), `tag-${dump.uid || 'unknown'}-${stamp}.json`),
+    filters: [
+      { name: 'BoxRFID JSON dump', extensions: ['json'] },
+      { name: 'MIFARE binary dump', extensions: ['mfd', 'bin'] }
+    ]
+  });
+  if (result.canceled || !result.filePath) return { success: false, canceled: true, sectorsRead };
+  try {
+    await fsp.writeFile(result.filePath, tagDump.serialize(dump, result.filePath));
+    return { success: true, filePath: result.filePath, uid: dump.uid, sectorsRead };
+  } catch (err) {
+    return failure(err, 'rfid-backup');
+  }
+});
+
+// Restore: pick a dump file and write it onto the presented tag
+const MAX_DUMP_BYTES = 256 * 1024;
+ipcMain.handle('rfid-restore', async (event, { includeManufacturerBlock = false, includeTrailers = false, reader } = {}) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  const result = await dialog.showOpenDialog(win, {
+    properties: ['openFile'],
+    filters: [
+      { name: 'Tag dumps', extensions: ['json', 'mfd', 'bin', 'dump'] },
+      { name: 'All files', extensions: ['*'] }
+    ]
+  });
+  if (result.canceled || !result.filePaths || !result.filePaths[0]) return { success: false, canceled: true };
+
+  try {
+    const filePath = result.filePaths[0];
+    const dump = tagDump.parse(await FileGrants.readChosenFile(filePath, { maxBytes: MAX_DUMP_BYTES }), filePath);
+    const res = await getNfcService({ forceRetry: true }).restoreTag(dump, { includeManufacturerBlock, includeTrailers, reader });
+    return { success: true, filePath, sourceUid: dump.uid, ...res };
+  } catch (err) {
+    return failure(err, 'rfid-restore');
+  }
+});
+
+ipcMain.handle('rfid-status', () => readerStatus());
+
+// Sector access: show, lock (write-protect) and unlock. Validation of the access bits happens
+// in NFCService before anything is written.
+async function sectorOperation(method, { sector = 1, reader, ...options } = {}) {
+  try {
+    const res = await getNfcService({ forceRetry: true })[method](parseInt(sector, 10), { ...options, reader });
+    if (method === 'lockSector' && res.keyB) {
+      // Without its key B a locked tag cannot be unlocked again, so keep it
+      await getKeyStore().add({ sector: res.sector, type: 'B', key: res.keyB, label: 'lock' });
+      applyExtraKeys();
+    }
+    return { success: true, ...res };
+  } catch (err) {
+    return failure(err, method);
+  }
+}
+
+ipcMain.handle('rfid-sector-access', (_event, params) => sectorOperation('sectorAccess', params));
+ipcMain.handle('rfid-lock', (_event, params) => sectorOperation('lockSector', params));
+ipcMain.handle('rfid-unlock', (_event, params) => sectorOperation('unlockSector', params));
+
+// readers: names of the readers to watch; omitted or empty = every attached reader
+async function setAutoRead(enable, readers) {
   autoEnabled = !!enable;
+  autoReaders = Array.isArray(readers) && readers.length ? readers.map(String) : null;
 
   if (autoEnabled) {
     // Auto-read should never block the UI: try to init NFC, otherwise fail fast.
     try {
       const svc = getNfcService({ forceRetry: true });
-      startAutoLoop();
-
-      // If a tag is already present, try a first read immediately
-      const uid = svc.getCurrentUID();
-      if (uid && !isBusy) {
-        isBusy = true;
-        try {
-          const data = await svc.readTag();
-          lastAutoUID = uid;
-          sendAutoStatus({ present: true, tagData: data, error: null });
-        } catch (err) {
-          sendAutoStatus({ present: true, tagData: null, error: err && err.message ? String(err.message) : String(err) });
-        } finally {
-          isBusy = false;
+
+      // Tags already present get a first read right away (later ones come as card-present events)
+      const reads = [];
+      for (const reader of watchedReaders(svc)) {
+        const uid = svc.getCurrentUID(reader);
+        if (!uid || (batchQueue && reader === batchQueue.reader)) continue;
+        let presence = autoPresence.get(reader);
+        if (!presence || presence.uid !== uid) {
+          presence = { uid, handled: false };
+          autoPresence.set(reader, presence);
         }
+        reads.push(autoRead(svc, reader, presence));
       }
+      await Promise.all(reads);
+      // Without a tag there is no status yet; the UI and the tray still have to follow
+      if (!reads.length) sendAutoStatus({ present: false, tagData: null, error: null });
 
-      return { enabled: true };
+      return { enabled: true, readers: autoReaders };
     } catch (err) {
       autoEnabled = false;
-      stopAutoLoop();
-      sendAutoStatus({ present: false, tagData: null, error: 'NFC_NOT_CONNECTED' });
-      return { enabled: false, messageKey: 'nfcNotConnected' };
+      const { code, messageKey } = failure(err, 'auto-read');
+      sendAutoStatus({ present: false, tagData: null, error: code || 'NFC_NOT_CONNECTED' });
+      return { enabled: false, messageKey };
     }
   } else {
-    stopAutoLoop();
+    // Switching auto-read on again reads the tags that are still there
+    autoPresence.forEach(presence => { presence.handled = false; });
     sendAutoStatus({ present: false, tagData: null, error: null });
     return { enabled: false };
   }
+}
+ipcMain.handle('rfid-auto', (_event, { enable, readers }) => setAutoRead(enable, readers));
+
+// IPC handlers: batch tagging. A batch runs on one reader (the given one or the default reader).
+ipcMain.handle('batch-start', (_event, { jobs, retries, reader } = {}) => {
+  if (batchQueue) return { success: false, messageKey: 'busy' };
+  if (!Array.isArray(jobs) || jobs.length === 0) return { success: false, messageKey: 'batchEmpty' };
+  let svc;
+  try {
+    svc = getNfcService({ forceRetry: true });
+  } catch (err) {
+    return failure(err, 'batch-start');
+  }
+  const batchReader = reader || svc.getStatus().readerName;
+  if (!batchReader || !svc.readerNames().includes(batchReader)) {
+    return { success: false, messageKey: batchReader ? 'readerNotFound' : 'nfcNotConnected' };
+  }
+  batchQueue = new BatchQueue(jobs);
+  batchQueue.reader = batchReader;
+  if (retries !== undefined) batchQueue.writeOptions = { retries: parseInt(retries, 10) || 0 };
+  sendBatchProgress();
+  return { success: true };
+});
+
+ipcMain.handle('batch-stop', () => {
+  if (!batchQueue) return { success: true };
+  batchQueue.stop();
+  sendBatchProgress();
+  endBatch();
+  return { success: true };
+});
+
+ipcMain.handle('batch-status', () => (batchQueue ? batchQueue.snapshot() : null));
+
+// IPC handlers: spool inventory
+ipcMain.handle('inventory-list', async () => {
+  try {
+    const inv = getInventory();
+    await inv.load();
+    return { success: true, spools: inv.list() };
+  } catch (err) {
+    return failure(err, 'inventory-list');
+  }
+});
+
+ipcMain.handle('inventory-update', async (_event, { uid, fields } = {}) => {
+  try {
+    const spool = await getInventory().update(uid, fields || {});
+    return { success: true, spool };
+  } catch (err) {
+    return failure(err, 'inventory-update');
+  }
 });
 
-// IPC handlers: File dialog and file system access for official cfg
-ipcMain.handle('dialog:openFile', async (event, options = {}) => {
+ipcMain.handle('inventory-delete', async (_event, { uid } = {}) => {
+  try {
+    return { success: await getInventory().remove(uid) };
+  } catch (err) {
+    return failure(err, 'inventory-delete');
+  }
+});
+
+// IPC handlers: key manager
+ipcMain.handle('keys-list', async () => {
+  try {
+    await getKeyStore().load();
+    return { success: true, keys: getKeyStore().list() };
+  } catch (err) {
+    return failure(err, 'keys-list');
+  }
+});
+
+ipcMain.handle('keys-add', async (_event, entry = {}) => {
+  try {
+    const key = await getKeyStore().add(entry);
+    applyExtraKeys();
+    return { success: true, key };
+  } catch (err) {
+    return failure(err, 'keys-add');
+  }
+});
+
+ipcMain.handle('keys-delete', async (_event, { id } = {}) => {
+  try {
+    const removed = await getKeyStore().remove(id);
+    applyExtraKeys();
+    return { success: removed };
+  } catch (err) {
+    return failure(err, 'keys-delete');
+  }
+});
+
+// IPC handlers: settings file and profiles
+// settings is null until the renderer has saved once (it then migrates its localStorage copy).
+ipcMain.handle('settings-load', async () => {
+  try {
+    await getSettingsStore().load();
+    return { success: true, settings: getSettingsStore().get(), version: SettingsStore.SCHEMA_VERSION };
+  } catch (err) {
+    return failure(err, 'settings-load');
+  }
+});
+
+ipcMain.handle('settings-save', async (_event, { settings } = {}) => {
+  try {
+    // Paths of persisted file grants are kept as they are: the renderer cannot point them elsewhere
+    const store = getSettingsStore();
+    await store.load();
+    const stored = store.get() || {};
+    const next = settings && typeof settings === 'object' && !Array.isArray(settings) ? { ...settings } : settings;
+    if (next !== settings) {
+      for (const key of Object.values(PERSISTED_GRANTS)) {
+        if (stored[key] === undefined) delete next[key];
+        else next[key] = stored[key];
+      }
+      // The same for the cfg paths kept in the printer profiles
+      if (Array.isArray(next.printerProfiles)) {
+        const storedProfiles = Array.isArray(stored.printerProfiles) ? stored.printerProfiles : [];
+        next.printerProfiles = next.printerProfiles.map(profile => {
+          if (!profile || typeof profile !== 'object') return profile;
+          const was = storedProfiles.find(p => p && p.id === profile.id);
+          const kept = { ...profile };
+          if (was && was.officialCfgPath !== undefined) kept.officialCfgPath = was.officialCfgPath;
+          else delete kept.officialCfgPath;
+          return kept;
+        });
+      }
+    }
+    await store.save(next);
+    return { success: true };
+  } catch (err) {
+    return failure(err, 'settings-save');
+  }
+});
+
+// Printer profiles (see settings-store.js). Switching changes the official cfg the window may
+// read, so it happens here: the renderer saves its state first and then applies the returned
+// settings.
+ipcMain.handle('printer-profile-switch', async (_event, { id } = {}) => {
+  try {
+    const store = getSettingsStore();
+    await store.load();
+    const settings = SettingsStore.switchPrinterProfile(store.get() || {}, id);
+    await store.save(settings);
+    (await getFileGrants()).grant('official-cfg', settings.officialCfgPath);
+    logDiagnostics('info', 'printer-profile', { details: id });
+    return { success: true, settings };
+  } catch (err) {
+    return failure(err, 'printer-profile-switch');
+  }
+});
+
+ipcMain.handle('settings-export', async (event) => {
+  try {
+    await getSettingsStore().load();
+    const settings = getSettingsStore().get() || {};
+    const stamp = new Date().toISOString().slice(0, 10);
+    const win = BrowserWindow.fromWebContents(event.sender);
+    const result = await dialog.showSaveDialog(win, {
+      defaultPath: path.join(app.getPath('documents'), `boxrfid-profile-${stamp}.json`),
+      filters: [{ name: 'BoxRFID profile', extensions: ['json'] }]
+    });
+    if (result.canceled || !result.filePath) return { success: false, canceled: true };
+    await fsp.writeFile(result.filePath, JSON.stringify(SettingsStore.exportProfile(settings), null, 2), 'utf8');
+    return { success: true, filePath: result.filePath };
+  } catch (err) {
+    return failure(err, 'settings-export');
+  }
+});
+
+// Import, step 1: pick and parse a profile, report the codes whose names differ
+const MAX_PROFILE_BYTES = 4 * 1024 * 1024;
+ipcMain.handle('settings-import-open', async (event) => {
   const win = BrowserWindow.fromWebContents(event.sender);
   const result = await dialog.showOpenDialog(win, {
     properties: ['openFile'],
-    ...options
+    filters: [
+      { name: 'BoxRFID profile', extensions: ['json'] },
+      { name: 'All files', extensions: ['*'] }
+    ]
   });
-  return result; // { canceled: boolean, filePaths: string[] }
+  if (result.canceled || !result.filePaths || !result.filePaths[0]) return { success: false, canceled: true };
+  try {
+    const profile = SettingsStore.parseProfile(await FileGrants.readChosenFile(result.filePaths[0], { maxBytes: MAX_PROFILE_BYTES, text: true }));
+    await getSettingsStore().load();
+    const conflicts = SettingsStore.findConflicts(getSettingsStore().get() || {}, profile);
+    return { success: true, filePath: result.filePaths[0], profile, conflicts };
+  } catch (err) {
+    return failure(err, 'settings-import-open');
+  }
+});
+
+// Import, step 2: merge (or replace) with the chosen resolutions and save
+ipcMain.handle('settings-import-apply', async (_event, { profile, mode, choices, preferences } = {}) => {
+  try {
+    // Round-trip through the parser so only known fields get in
+    const parsed = SettingsStore.parseProfile(JSON.stringify(profile || null));
+    await getSettingsStore().load();
+    const { settings, stats } = SettingsStore.mergeProfile(getSettingsStore().get() || {}, parsed, {
+      mode: mode === 'replace' ? 'replace' : 'merge',
+      choices: choices || {},
+      preferences: !!preferences
+    });
+    await getSettingsStore().save(settings);
+    return { success: true, settings, stats };
+  } catch (err) {
+    return failure(err, 'settings-import-apply');
+  }
 });
 
-ipcMain.handle('fs:readFile', async (_event, { path: filePath, encoding = 'utf8' }) => {
-  const data = await fsp.readFile(filePath, { encoding });
-  return data.toString();
+// IPC handlers: locale packs (locale-packs.js). Shipped packs are in locales/, the user drops
+// extra ones (or corrections of shipped ones) into userData/locales.
+function localeUserDir() {
+  return path.join(app.getPath('userData'), 'locales');
+}
+
+ipcMain.handle('locales-load', async () => {
+  try {
+    const { locales, errors: packErrors } = await localePacks.loadLocales({
+      appDir: path.join(__dirname, 'locales'),
+      userDir: localeUserDir()
+    });
+    const translations = {};
+    for (const locale of locales) translations[locale.code] = localePacks.resolve(locales, locale.code);
+    packErrors.forEach(e => logDiagnostics('warn', 'locale-load', { code: e.code, details: `${e.file}: ${e.details || ''}` }));
+    return {
+      success: true,
+      locales: locales.map(({ code, name, flag, source }) => ({ code, name, flag, source })),
+      translations,
+      userDir: localeUserDir(),
+      errors: packErrors
+    };
+  } catch (err) {
+    return failure(err, 'locales-load');
+  }
 });
 
-ipcMain.handle('fs:exists', async (_event, { path: filePath }) => {
+ipcMain.handle('locales-open-folder', async () => {
   try {
-    await fsp.access(filePath, fs.constants.R_OK);
-    return true;
-  } catch {
-    return false;
+    await fsp.mkdir(localeUserDir(), { recursive: true });
+    const message = await shell.openPath(localeUserDir());
+    return message ? { success: false, details: message } : { success: true };
+  } catch (err) {
+    return failure(err, 'locales-open-folder');
+  }
+});
+
+// IPC handlers: spool labels (labels.js). The document is rendered in a hidden window without
+// JavaScript; PNG uses an offscreen window at LABEL_PNG_DPI.
+const LABEL_PNG_DPI = 300;
+const MM_TO_CSS_PX = 96 / 25.4;
+
+async function withLabelWindow(doc, { offscreen = false } = {}, fn) {
+  const width = Math.ceil(doc.width * MM_TO_CSS_PX);
+  const height = Math.ceil(doc.height * doc.pages * MM_TO_CSS_PX);
+  const win = new BrowserWindow({
+    show: false,
+    width,
+    height,
+    useContentSize: true,
+    enableLargerThanScreen: true,
+    webPreferences: { javascript: false, sandbox: true, offscreen }
+  });
+  try {
+    await win.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(doc.html)}`);
+    return await fn(win, { width, height });
+  } finally {
+    win.destroy();
+  }
+}
+
+async function labelPng(doc) {
+  return withLabelWindow(doc, { offscreen: true }, async (win, { width, height }) => {
+    const zoom = LABEL_PNG_DPI / 96;
+    win.setContentSize(Math.ceil(width * zoom), Math.ceil(height * zoom));
+    win.webContents.setZoomFactor(zoom);
+    // Give the offscreen renderer a frame at the new size
+    await new Promise(resolve => setTimeout(resolve, 200));
+    return (await win.webContents.capturePage()).toPNG();
+  });
+}
+
+function labelPdf(doc) {
+  return withLabelWindow(doc, {}, (win) => win.webContents.printToPDF({
+    printBackground: true,
+    preferCSSPageSize: true,
+    margins: { top: 0, bottom: 0, left: 0, right: 0 }
+  }));
+}
+
+// System print dialog with the label (or sheet) size preselected
+function labelPrint(doc) {
+  return withLabelWindow(doc, {}, (win) => new Promise((resolve, reject) => {
+    win.webContents.print({
+      silent: false,
+      printBackground: true,
+      margins: { marginType: 'none' },
+      pageSize: { width: Math.round(doc.width * 1000), height: Math.round(doc.height * 1000) }
+    }, (success, failureReason) => {
+      if (success) resolve(true);
+      else if (failureReason === 'cancelled') resolve(false);
+      else {
+        reject(errors.codedError('LABEL_PRINT_FAILED', failureReason));
+      }
+    });
+  }));
+}
+
+ipcMain.handle('label-options', () => ({
+  success: true,
+  sizes: labels.SIZES,
+  defaultSize: labels.DEFAULT_SIZE,
+  sheets: labels.SHEETS,
+  placeholders: labels.PLACEHOLDERS,
+  defaultTemplate: labels.DEFAULT_TEMPLATE
+}));
+
+ipcMain.handle('label-preview', (_event, options = {}) => {
+  try {
+    const doc = labels.buildDocument(options);
+    return { success: true, html: doc.html, pages: doc.pages };
+  } catch (err) {
+    return failure(err, 'label-preview');
+  }
+});
+
+// output: 'pdf' | 'png' (save dialog) or 'print' (system print dialog)
+ipcMain.handle('label-output', async (event, { output, ...options } = {}) => {
+  try {
+    const doc = labels.buildDocument(options);
+    if (output === 'print') {
+      const printed = await labelPrint(doc);
+      return printed ? { success: true, pages: doc.pages } : { success: false, canceled: true };
+    }
+    const ext = output === 'png' ? 'png' : 'pdf';
+    const first = options.labels[0] || {};
+    const name = options.labels.length > 1 ? `labels-${options.labels.length}` : `label-${first.uid || 'tag'}`;
+    const stamp = new Date().toISOString().slice(0, 10);
+    const win = BrowserWindow.fromWebContents(event.sender);
+    const result = await dialog.showSaveDialog(win, {
+      defaultPath: path.join(app.getPath('documents'), `${name}-${stamp}.${ext}`),
+      filters: [ext === 'png' ? { name: 'PNG image', extensions: ['png'] } : { name: 'PDF', extensions: ['pdf'] }]
+    });
+    if (result.canceled || !result.filePath) return { success: false, canceled: true };
+    await fsp.writeFile(result.filePath, ext === 'png' ? await labelPng(doc) : await labelPdf(doc));
+    return { success: true, filePath: result.filePath, pages: doc.pages };
+  } catch (err) {
+    return failure(err, 'label-output');
+  }
+});
+
+// IPC handlers: diagnostics (Setup → Diagnostics)
+function appInfo() {
+  return {
+    name: app.getName(),
+    version: app.getVersion(),
+    electron: process.versions.electron,
+    chrome: process.versions.chrome,
+    node: process.versions.node,
+    platform: process.platform,
+    arch: process.arch,
+    os: `${os.type()} ${os.release()}`
+  };
+}
+
+async function diagnosticsInfo() {
+  return {
+    app: appInfo(),
+    status: readerStatus(),
+    nfcInitError: nfcInitLastErr ? errors.describe(nfcInitLastErr) : null,
+    logPath: getDiagnosticsLog().filePath
+  };
+}
+
+ipcMain.handle('diagnostics-info', async () => {
+  try {
+    return { success: true, ...(await diagnosticsInfo()), recentErrors: await getDiagnosticsLog().recentErrors(30) };
+  } catch (err) {
+    return failure(err, 'diagnostics-info');
+  }
+});
+
+// Support bundle: app and reader info, settings and the whole log in one JSON file. Secrets
+// (API token, printer API keys of all profiles) are left out, sector keys are never part of it.
+ipcMain.handle('diagnostics-export', async (event) => {
+  try {
+    const store = getSettingsStore();
+    await store.load();
+    const settings = SettingsStore.withoutSecrets(store.get() || {});
+    const bundle = {
+      type: 'boxrfid-support-bundle',
+      createdAt: new Date().toISOString(),
+      ...(await diagnosticsInfo()),
+      settings,
+      log: await getDiagnosticsLog().entries()
+    };
+    const win = BrowserWindow.fromWebContents(event.sender);
+    const result = await dialog.showSaveDialog(win, {
+      defaultPath: path.join(app.getPath('documents'), `boxrfid-support-${new Date().toISOString().slice(0, 10)}.json`),
+      filters: [{ name: 'BoxRFID support bundle', extensions: ['json'] }]
+    });
+    if (result.canceled || !result.filePath) return { success: false, canceled: true };
+    await fsp.writeFile(result.filePath, JSON.stringify(bundle, null, 2), 'utf8');
+    return { success: true, filePath: result.filePath };
+  } catch (err) {
+    return failure(err, 'diagnostics-export');
+  }
+});
+
+// Renderer-side failures (e.g. the official cfg that could not be handed over for parsing) go to the same log
+ipcMain.handle('diagnostics-log', (_event, { event: name, code, details } = {}) => {
+  logDiagnostics('error', `ui:${String(name || 'error').slice(0, 64)}`, {
+    code: code ? String(code).slice(0, 64) : null,
+    details: details ? String(details).slice(0, 1000) : null
+  });
+  return { success: true };
+});
+
+// Local API: the same operations as the UI, results in the IPC result shape
+const localApiOperations = {
+  status: async () => ({
+    success: true,
+    ...readerStatus(),
+    autoRead: autoEnabled,
+    autoReaders,
+    batchRunning: !!batchQueue
+  }),
+  read: (params) => readTagOperation(params),
+  write: (params) => writeTagOperation(params, 'api'),
+  dump: async (params) => {
+    const res = await dumpTagOperation(params);
+    return res.success ? { success: true, dump: JSON.parse(tagDump.toJson(res.dump)) } : res;
+  },
+  setAuto: async (enable, readers) => {
+    const res = await setAutoRead(enable, readers);
+    return { success: res.enabled === !!enable, ...res };
+  }
+};
+
+// (Re)starts or stops the local API. The bind address is localhost unless BOXRFID_API_HOST says otherwise.
+async function configureLocalApi({ enabled, port, token } = {}) {
+  const config = {
+    enabled: !!enabled,
+    port: parseInt(port, 10) || LocalApiServer.DEFAULT_PORT,
+    token: String(token || ''),
+    host: process.env.BOXRFID_API_HOST || LocalApiServer.DEFAULT_HOST
+  };
+  if (localApi && localApiConfig && JSON.stringify(config) === JSON.stringify(localApiConfig)) {
+    return { success: true, running: localApi.running, port: config.port, host: config.host };
+  }
+  if (localApi) {
+    await localApi.stop();
+    localApi = null;
+  }
+  localApiConfig = null;
+  if (!config.enabled) return { success: true, running: false };
+
+  const server = new LocalApiServer({ operations: localApiOperations, token: config.token, port: config.port, host: config.host });
+  try {
+    await server.start();
+  } catch (err) {
+    const res = failure(err, 'local-api');
+    if (err && err.code === 'EADDRINUSE') res.messageKey = 'apiPortInUse';
+    return { ...res, running: false, details: err && err.message ? String(err.message) : String(err) };
+  }
+  localApi = server;
+  localApiConfig = config;
+  return { success: true, running: true, port: config.port, host: config.host };
+}
+
+// IPC handlers: local API
+ipcMain.handle('api-configure', (_event, config) => configureLocalApi(config));
+ipcMain.handle('api-generate-token', () => LocalApiServer.generateToken());
+
+// Tray mode (see tray-menu.js). The menu is rebuilt from the current state on every reader
+// event and auto-read change.
+const trayActions = {
+  open: () => openMainWindow(),
+  toggleAutoRead: () => setAutoRead(!autoEnabled, autoReaders),
+  writePreset: () => writeTrayPreset(),
+  quit: () => app.quit()
+};
+
+function trayIcon() {
+  const image = nativeImage.createFromPath(APP_ICON);
+  // The macOS menu bar wants a small icon; Windows picks the size from the .ico
+  return process.platform === 'darwin' ? image.resize({ width: 16, height: 16 }) : image;
+}
+
+function updateTray() {
+  if (!tray) return;
+  const state = { autoRead: autoEnabled, reader: readerStatus(), preset: trayConfig.preset, busy: trayWriting };
+  tray.setToolTip(trayMenu.tooltip(state, trayConfig.labels));
+  tray.setContextMenu(Menu.buildFromTemplate(trayMenu.menuTemplate(state, trayConfig.labels, trayActions)));
+}
+
+// The renderer's last write: codes, extended record and OpenSpool names, plus the text shown in the menu
+function presetParam(preset) {
+  if (!preset || typeof preset !== 'object') return null;
+  const [materialCode, colorCode, manufacturerCode] = ['materialCode', 'colorCode', 'manufacturerCode'].map(key => parseInt(preset[key], 10));
+  if ([materialCode, colorCode, manufacturerCode].some(Number.isNaN)) return null;
+  return {
+    materialCode,
+    colorCode,
+    manufacturerCode,
+    retries: preset.retries,
+    extended: preset.extended || null,
+    openspool: preset.openspool || null,
+    label: String(preset.label || '')
+  };
+}
+
+// Written onto the tag on the reader like a click on Write; the renderer gets the result to
+// show it (and to turn it into a notification while the window is hidden)
+async function writeTrayPreset() {
+  if (!trayConfig.preset || trayWriting) return;
+  trayWriting = true;
+  updateTray();
+  const { label, ...preset } = trayConfig.preset;
+  const res = await writeTagOperation(preset, 'tray');
+  trayWriting = false;
+  updateTray();
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('tray-write-result', { ...res, preset: label });
+  }
+}
+
+// Start at login (Windows and macOS; Linux desktops use an autostart entry, see README).
+// An unpackaged app is started by Electron with the app folder as first argument.
+function setOpenAtLogin(openAtLogin) {
+  if (process.platform !== 'win32' && process.platform !== 'darwin') return;
+  const options = { args: app.isPackaged ? [HIDDEN_ARG] : [app.getAppPath(), HIDDEN_ARG] };
+  if (app.getLoginItemSettings(options).openAtLogin === openAtLogin) return;
+  app.setLoginItemSettings({ ...options, openAtLogin });
+  logDiagnostics('info', 'login-item', { details: openAtLogin ? 'on' : 'off' });
+}
+
+// Shows or removes the tray icon with the renderer's settings and texts. A window that was
+// started hidden is shown when tray mode is off, since nothing else could bring it back.
+function configureTray({ enabled, notifications, openAtLogin, labels, preset } = {}) {
+  trayConfig = {
+    enabled: !!enabled,
+    notifications: notifications !== false,
+    labels: labels && typeof labels === 'object' ? labels : {},
+    preset: presetParam(preset)
+  };
+  if (trayConfig.enabled && !tray) {
+    tray = new Tray(trayIcon());
+    tray.on('click', () => openMainWindow());
+  } else if (!trayConfig.enabled && tray) {
+    tray.destroy();
+    tray = null;
+  }
+  updateTray();
+  setOpenAtLogin(trayConfig.enabled && !!openAtLogin);
+  if (!tray && mainWindow && !mainWindow.isDestroyed() && !mainWindow.isVisible()) mainWindow.show();
+  return { success: true, active: !!tray, startedHidden };
+}
+
+// IPC handlers: tray mode. Notifications are for a window out of sight; in front of the user
+// the renderer shows the tag itself.
+ipcMain.handle('tray-configure', (_event, config) => configureTray(config));
+ipcMain.handle('tray-notify', (_event, { title, body } = {}) => {
+  if (!tray || !trayConfig.notifications || !Notification.isSupported()) return { success: true, shown: false };
+  if (mainWindow && !mainWindow.isDestroyed() && mainWindow.isVisible() && mainWindow.isFocused()) return { success: true, shown: false };
+  const notification = new Notification({ title: String(title || ''), body: String(body || ''), icon: path.join(__dirname, 'assets', 'icon.png') });
+  notification.on('click', () => openMainWindow());
+  notification.show();
+  return { success: true, shown: true };
+});
+
+// IPC handlers: filament tables (filament-data.js). The renderer has no copy of the built-in
+// tables or the cfg parser; a cfg it got from a file or the printer is parsed here.
+ipcMain.handle('filament-defaults', () => filamentData.buildTables());
+ipcMain.handle('filament-cfg-parse', (_event, { text } = {}) => {
+  try {
+    return { success: true, ...filamentData.parseOfficialCfgText(String(text || '')) };
+  } catch (err) {
+    return failure(err, 'official-cfg');
+  }
+});
+
+// IPC handlers: official cfg from the printer. On failure the cached copy (if any) is
+// returned alongside the error so the renderer can keep working offline.
+ipcMain.handle('printer-cfg-sync', async (_event, config = {}) => {
+  const sync = getPrinterCfgSync(config.profile);
+  try {
+    return { success: true, ...(await sync.sync(config)) };
+  } catch (err) {
+    return { ...failure(err, 'printer-cfg-sync'), cached: await sync.cached() };
+  }
+});
+
+ipcMain.handle('printer-cfg-cached', (_event, { profile } = {}) => getPrinterCfgSync(profile).cached());
+
+// IPC handlers: Spoolman (see spoolman.js). The renderer passes its server settings with
+// every call, like the printer sync; nothing is kept here between calls.
+ipcMain.handle('spoolman-info', async (_event, { config } = {}) => {
+  try {
+    return { success: true, info: await new SpoolmanClient(config).info() };
+  } catch (err) {
+    return failure(err, 'spoolman-info');
+  }
+});
+
+// Spools with the QIDI codes they map to in the renderer's tables, for picking one to write
+ipcMain.handle('spoolman-spools', async (_event, { config, tables } = {}) => {
+  try {
+    const spools = await new SpoolmanClient(config).spools();
+    return { success: true, spools: spools.map(s => SpoolmanClient.withTarget(s, tablesParam(tables))) };
+  } catch (err) {
+    return failure(err, 'spoolman-spools');
+  }
+});
+
+// Spool of a tag that was read; with `create`, a tag no spool has gets a new one from its
+// filament data (vendor and filament are reused when Spoolman already has them)
+ipcMain.handle('spoolman-lookup', async (_event, { config, uid, filament, create } = {}) => {
+  try {
+    const client = new SpoolmanClient(config);
+    const spool = await client.findByUid(uid);
+    if (spool || !create) return { success: true, spool, created: false };
+    return { success: true, spool: await client.createForTag(uid, filament), created: true };
+  } catch (err) {
+    return failure(err, 'spoolman-lookup');
+  }
+});
+
+ipcMain.handle('spoolman-link', async (_event, { config, spoolId, uid } = {}) => {
+  try {
+    return { success: true, spool: await new SpoolmanClient(config).linkUid(spoolId, uid) };
+  } catch (err) {
+    return failure(err, 'spoolman-link');
+  }
+});
+
+// IPC handlers: files for the renderer (official cfg), by purpose only - see file-access.js.
+// The dialog grants the picked file once its content passed the purpose's checks and returns it.
+ipcMain.handle('dialog:openFile', async (event, { purpose } = {}) => {
+  try {
+    const grants = await getFileGrants();
+    const spec = grants.purpose(purpose);
+    const win = BrowserWindow.fromWebContents(event.sender);
+    const result = await dialog.showOpenDialog(win, {
+      title: spec.title,
+      defaultPath: (spec.defaultFrom && grants.get(spec.defaultFrom)) || undefined,
+      properties: ['openFile'],
+      filters: spec.filters
+    });
+    if (result.canceled || !result.filePaths || !result.filePaths[0]) return { success: false, canceled: true };
+
+    const previous = grants.get(purpose);
+    grants.grant(purpose, result.filePaths[0]);
+    let file;
+    try {
+      file = await grants.read(purpose);
+    } catch (err) {
+      grants.grant(purpose, previous);
+      throw err;
+    }
+    const key = PERSISTED_GRANTS[purpose];
+    if (key) {
+      const store = getSettingsStore();
+      await store.load();
+      await store.save({ ...(store.get() || {}), [key]: file.filePath });
+    }
+    return { success: true, ...file };
+  } catch (err) {
+    return failure(err, 'dialog:openFile');
+  }
+});
+
+ipcMain.handle('fs:readFile', async (_event, { purpose } = {}) => {
+  try {
+    return { success: true, ...(await (await getFileGrants()).read(purpose)) };
+  } catch (err) {
+    return failure(err, 'fs:readFile');
+  }
+});
+
+ipcMain.handle('fs:exists', async (_event, { purpose } = {}) => (await getFileGrants()).exists(purpose));
+
+// IPC handlers: custom materials / manufacturers -> the cfg picked for 'cfg-export' (see
+// cfg-export.js). The preview returns the hash of the text it was made from; saving refuses
+// a file that changed since, so what is written is what the user looked at.
+ipcMain.handle('cfg-export-preview', async (_event, { entries, replace } = {}) => {
+  try {
+    const { filePath, text } = await (await getFileGrants()).read('cfg-export');
+    const { changed, plan, hunks } = cfgExport.exportToCfg(text, entries, { replace });
+    return { success: true, filePath, changed, plan, hunks, hash: cfgExport.hashOf(text) };
+  } catch (err) {
+    return failure(err, 'cfg-export-preview');
+  }
+});
+
+// Save: timestamped copy of the file next to it first (<name>.<stamp>.bak), then the new text
+// through a temporary file, so an interrupted write never leaves half a cfg behind.
+ipcMain.handle('cfg-export-save', async (_event, { entries, replace, hash } = {}) => {
+  try {
+    const grants = await getFileGrants();
+    const { filePath, text } = await grants.read('cfg-export');
+    if (hash && cfgExport.hashOf(text) !== hash) throw errors.codedError('CFG_CHANGED', filePath);
+    const result = cfgExport.exportToCfg(text, entries, { replace });
+    const isOfficialCfg = grants.get('official-cfg') === filePath;
+    if (!result.changed) return { success: true, filePath, changed: false, plan: result.plan, isOfficialCfg };
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const backupPath = `${filePath}.${stamp}.bak`;
+    await fsp.copyFile(filePath, backupPath);
+    const tmp = `${filePath}.tmp`;
+    await fsp.writeFile(tmp, result.text, 'utf8');
+    await fsp.rename(tmp, filePath);
+    logDiagnostics('info', 'cfg-export', { added: result.plan.added.length, replaced: result.plan.replaced.length });
+    return { success: true, filePath, backupPath, changed: true, plan: result.plan, isOfficialCfg };
+  } catch (err) {
+    return failure(err, 'cfg-export-save');
   }
 });
 
@@ -287,18 +1339,53 @@ ipcMain.handle('minimize-window', () => mainWindow && mainWindow.minimize());
 ipcMain.handle('maximize-window', () => mainWindow && mainWindow.maximize());
 ipcMain.handle('close-window', () => mainWindow && mainWindow.close());
 
+// Headless command-line mode (`boxrfid read|write|watch|dump|status`, see cli.js):
+// no window, the process exits with the command's exit code.
+const cliArgs = cli.parseArgs(process.argv.slice(app.isPackaged ? 1 : 2));
+
 // App lifecycle
-app.whenReady().then(() => {
-  createMainWindow();
+app.whenReady().then(async () => {
+  logDiagnostics('info', cliArgs ? 'cli-start' : 'app-start', { version: app.getVersion(), platform: process.platform, command: cliArgs ? cliArgs.command : undefined });
+  // Extra keys must be known before the first tag is touched
+  try {
+    await getKeyStore().load();
+  } catch (err) {
+    logDiagnostics('error', 'keys-load', errors.describe(err));
+  }
+  if (cliArgs) {
+    if (process.platform === 'darwin' && app.dock) app.dock.hide();
+    const code = await cli.run(cliArgs, {
+      createNfcService: () => getNfcService({ forceRetry: true }),
+      inventory: getInventory()
+    });
+    app.exit(code);
+    return;
+  }
+  createMainWindow({ hidden: startedHidden });
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) createMainWindow();
+    else if (tray) openMainWindow();
   });
 });
 
+app.on('before-quit', () => {
+  quitting = true;
+});
+
+app.on('will-quit', () => {
+  if (localApi) localApi.stop();
+  if (tray) tray.destroy();
+});
+
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') app.quit();
 });
 
+// No page may open windows, navigate away from the app or embed web views. The app has no
+// external links; label windows are loaded by the main process and run without JavaScript.
 app.on('web-contents-created', (_event, contents) => {
-  contents.on('new-window', (navigationEvent) => navigationEvent.preventDefault());
+  contents.setWindowOpenHandler(() => ({ action: 'deny' }));
+  contents.on('will-navigate', (navigationEvent) => navigationEvent.preventDefault());
+  contents.on('will-redirect', (navigationEvent) => navigationEvent.preventDefault());
+  contents.on('will-attach-webview', (attachEvent) => attachEvent.preventDefault());
 });
\ No newline at end of file
@@ -5,111 +5,818 @@
  * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
  */
 
-const { NFC } = require('nfc-pcsc');
+const { EventEmitter } = require('events');
+const dumpFormat = require('./tag-dump');
+const payload = require('./tag-payload');
+const access = require('./sector-access');
+const codecs = require('./tag-codecs');
+const inspector = require('./tag-inspector');
+const filamentData = require('./filament-data');
+const errors = require('./errors');
+const { codedError } = errors;
 
-class NFCService {
-  constructor() {
-    this.nfc = new NFC();
-    this.isConnected = false;
-    this.currentReader = null;
-    this.lastUID = null;
-    this._busy = false;
+// Built-in key sequence: Vendor (D3 F7 ...) then standard (FF ...). Keys from the key store
+// (setExtraKeys) are tried first.
+const KNOWN_KEYS = [
+  Buffer.from([0xD3, 0xF7, 0xD3, 0xF7, 0xD3, 0xF7]),
+  Buffer.from([0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF])
+];
+
+// Write verification: every write is read back and compared; on mismatch or a transient
+// error the write is repeated up to `writeRetries` times (on the same tag only).
+const DEFAULT_WRITE_RETRIES = 2;
+// Retries beyond this would hold the reader's queue (and everyone waiting in it) for minutes
+const MAX_WRITE_RETRIES = 10;
+const WRITE_RETRY_DELAY_MS = 150;
+
+function delay(ms) { return new Promise(resolve => setTimeout(resolve, ms)); }
+
+// Retry count from the UI, the local API or the command line -> 0..MAX_WRITE_RETRIES
+function clampRetries(value, fallback = DEFAULT_WRITE_RETRIES) {
+  const n = parseInt(value, 10);
+  if (Number.isNaN(n)) return fallback;
+  return Math.min(MAX_WRITE_RETRIES, Math.max(0, n));
+}
+
+// Card type from the PC/SC ATR of contactless storage cards (bytes 13..14 name the card,
+// PC/SC part 3), or from the SAK when a backend reports one. Anything not recognised as
+// Ultralight/NTAG is treated as MIFARE Classic, as before.
+const ATR_CARD_NAMES = { 0x0001: 'classic', 0x0002: 'classic', 0x0026: 'classic', 0x0003: 'ntag' };
+const SAK_TYPES = { 0x00: 'ntag', 0x08: 'classic', 0x09: 'classic', 0x18: 'classic', 0x88: 'classic' };
+const ATR_PRODUCT_NAMES = { 0x0001: 'MIFARE Classic 1K', 0x0002: 'MIFARE Classic 4K', 0x0026: 'MIFARE Mini', 0x0003: 'MIFARE Ultralight / NTAG' };
+
+function detectCardType(card = {}) {
+  const atr = card.atr ? Buffer.from(card.atr) : null;
+  if (atr && atr.length >= 15 && atr[4] === 0x80 && atr[5] === 0x4F) {
+    const type = ATR_CARD_NAMES[atr.readUInt16BE(13)];
+    if (type) return type;
+  }
+  if (typeof card.sak === 'number' && SAK_TYPES[card.sak]) return SAK_TYPES[card.sak];
+  return 'classic';
+}
+
+// Product name the ATR reports (null for readers/cards that do not follow PC/SC part 3)
+function cardNameOf(atrHex) {
+  const atr = atrHex ? Buffer.from(atrHex, 'hex') : null;
+  if (!atr || atr.length < 15 || atr[4] !== 0x80 || atr[5] !== 0x4F) return null;
+  return ATR_PRODUCT_NAMES[atr.readUInt16BE(13)] || null;
+}
+
+// NTAG21x: 4-byte pages, capability container in page 3, user memory from page 4
+const NTAG_PAGE_SIZE = 4;
+const NTAG_CC_PAGE = 3;
+const NTAG_FIRST_USER_PAGE = 4;
+const NDEF_CC_MAGIC = 0xE1;
+
+// Operations wait in a per-reader queue; past this many waiting ones new requests fail with 'Busy'
+const MAX_QUEUED_OPERATIONS = 16;
+
+// Events (each payload carries { type, at } plus the fields listed):
+//   reader-attached { reader }            reader-detached { reader }
+//   card-present    { reader, uid, cardType }
+//   card-removed    { reader, uid }
+//   read-completed  { reader, uid, cardType, format, data }   (data: the readTag result)
+//   reader-error    { reader, code, details }   (reader: null for the PC/SC layer itself)
+const EVENTS = ['reader-attached', 'reader-detached', 'card-present', 'card-removed', 'read-completed', 'reader-error'];
+
+// Reader backends. 'pcsc' talks to real readers through nfc-pcsc, 'sim' uses the in-memory
+// MIFARE Classic simulator from nfc-sim.js (no PC/SC service or hardware required).
+// Both are required lazily so the simulator works on machines without the native module.
+const BACKENDS = {
+  pcsc: () => {
+    const { NFC } = require('nfc-pcsc');
+    return new NFC();
+  },
+  sim: (options = {}) => {
+    const { SimNFC, optionsFromEnv } = require('./nfc-sim');
+    return new SimNFC({ ...optionsFromEnv(), ...options });
+  }
+};
+
+// Backend selection: --reader=<name> / --sim-reader on the command line, else BOXRFID_READER, else pcsc.
+function resolveBackendName(argv = process.argv, env = process.env) {
+  for (const arg of argv) {
+    if (arg === '--sim-reader') return 'sim';
+    if (arg.startsWith('--reader=')) return arg.slice('--reader='.length);
+  }
+  return env.BOXRFID_READER || 'pcsc';
+}
+
+// Every attached reader is tracked separately: { name, reader, uid, cardType, atr, sak, queue, pending }.
+// Operations take an optional reader name; without one they use the default reader
+// (see _resolve). Each reader has its own operation queue, so two readers can work at the
+// same time while operations on one reader run one after the other.
+class NFCService extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.backendName = options.backend || resolveBackendName();
+    const createBackend = BACKENDS[this.backendName];
+    if (!createBackend) throw new Error(`Unknown reader backend: ${this.backendName}`);
+    this.nfc = createBackend(options.backendOptions);
+    this.writeRetries = clampRetries(options.writeRetries);
+    this.readers = new Map();
+    this.extraKeys = [];
+    // Last error of the PC/SC layer (e.g. service not running), cleared when a reader attaches
+    this.backendError = null;
 
     this._init();
   }
 
+  // Extra key candidates: [{ sector: 0..15 | null, type: 'A'|'B', key: hex, label? }] (see key-store.js)
+  setExtraKeys(keys = []) {
+    this.extraKeys = keys.map(k => ({
+      sector: k.sector === undefined ? null : k.sector,
+      type: k.type === 'B' ? 'B' : 'A',
+      key: Buffer.from(k.key, 'hex'),
+      label: k.label ? String(k.label) : ''
+    }));
+  }
+
+  // Where a candidate key comes from: 'qidi' / 'default' for the built-in keys, else the
+  // key store label ('' when the key has none)
+  _keyLabel(candidate) {
+    if (candidate.key.equals(KNOWN_KEYS[0])) return 'qidi';
+    if (candidate.key.equals(KNOWN_KEYS[1])) return 'default';
+    const extra = this.extraKeys.find(k => k.type === candidate.type && k.key.equals(candidate.key));
+    return extra ? extra.label : '';
+  }
+
+  // Key candidates for a sector: sector-specific extra keys, then global extra keys, then the
+  // built-in keys. Plain reads and writes only use key A, so a key B stored for a locked
+  // sector never turns into a way around the write protection.
+  _candidates(sector, types = ['A']) {
+    const list = [];
+    const push = (type, key) => {
+      if (types.includes(type) && !list.some(c => c.type === type && c.key.equals(key))) list.push({ type, key });
+    };
+    this.extraKeys.filter(k => k.sector === sector).forEach(k => push(k.type, k.key));
+    this.extraKeys.filter(k => k.sector === null).forEach(k => push(k.type, k.key));
+    types.forEach(type => KNOWN_KEYS.forEach(key => push(type, key)));
+    return list;
+  }
+
+  _emitEvent(type, fields) {
+    this.emit(type, { type, at: new Date().toISOString(), ...fields });
+  }
+
+  // Forgets the tag on a reader and reports it as removed
+  _cardOff(entry) {
+    const uid = entry.uid;
+    entry.uid = null;
+    entry.cardType = null;
+    entry.atr = null;
+    entry.sak = null;
+    entry.reader.card = null;
+    if (uid) this._emitEvent('card-removed', { reader: entry.name, uid });
+  }
+
+  _detach(entry) {
+    this._cardOff(entry);
+    this.readers.delete(entry.name);
+    this._emitEvent('reader-detached', { reader: entry.name });
+  }
+
   _init() {
     this.nfc.on('reader', (reader) => {
-      this.currentReader = reader;
-      this.isConnected = true;
+      const name = reader.reader && reader.reader.name ? reader.reader.name : `Reader ${this.readers.size + 1}`;
+      const entry = { name, reader, uid: null, cardType: null, atr: null, sak: null, queue: Promise.resolve(), pending: 0 };
+      const previous = this.readers.get(name);
+      if (previous) this._detach(previous);
+      this.readers.set(name, entry);
+      this.backendError = null;
+      this._emitEvent('reader-attached', { reader: name });
 
       reader.on('card', (card) => {
-        this.lastUID = card?.uid || null;
+        // A swap without card.off in between still reports the old tag as removed
+        if (entry.uid && entry.uid !== card?.uid) this._cardOff(entry);
+        entry.uid = card?.uid || null;
+        entry.cardType = card ? detectCardType(card) : null;
+        entry.atr = card && card.atr ? Buffer.from(card.atr).toString('hex') : null;
+        entry.sak = card && typeof card.sak === 'number' ? card.sak : null;
         reader.card = card;
+        if (entry.uid) this._emitEvent('card-present', { reader: name, uid: entry.uid, cardType: entry.cardType });
       });
 
-      reader.on('card.off', () => {
-        this.lastUID = null;
-        reader.card = null;
-      });
+      reader.on('card.off', () => this._cardOff(entry));
 
-      reader.on('error', (_err) => {});
+      reader.on('error', (err) => {
+        const { code, details } = errors.describe(errors.fromReaderError(err, { attached: this._attached(entry) }));
+        this._emitEvent('reader-error', { reader: name, code, details });
+      });
       reader.on('end', () => {
-        this.isConnected = false;
-        this.currentReader = null;
-        this.lastUID = null;
+        // A reader with the same name may have been attached again in the meantime
+        if (this._attached(entry)) this._detach(entry);
       });
     });
 
-    this.nfc.on('error', (_err) => {
-      this.isConnected = false;
-      this.currentReader = null;
-      this.lastUID = null;
+    this.nfc.on('error', (err) => {
+      this.backendError = errors.describe(errors.fromBackendError(err));
+      Array.from(this.readers.values()).forEach(entry => this._detach(entry));
+      this._emitEvent('reader-error', { reader: null, code: this.backendError.code, details: this.backendError.details });
+    });
+  }
+
+  get isConnected() { return this.readers.size > 0; }
+
+  readerNames() { return Array.from(this.readers.keys()); }
+
+  // Reader entry by name; without a name the first reader with a tag on it, else the first one.
+  // Without any reader the PC/SC layer's own error is reported when there is one.
+  _resolve(readerName = null) {
+    const notConnected = () => (this.backendError && this.backendError.code
+      ? codedError(this.backendError.code, this.backendError.details)
+      : codedError('NFC_NOT_CONNECTED', readerName));
+    if (readerName) {
+      const entry = this.readers.get(readerName);
+      if (!entry) throw this.readers.size ? codedError('NFC_READER_NOT_FOUND', readerName) : notConnected();
+      return entry;
+    }
+    const entries = Array.from(this.readers.values());
+    const entry = entries.find(e => e.uid) || entries[0];
+    if (!entry) throw notConnected();
+    return entry;
+  }
+
+  // UID on the given reader; without a name the UID on any reader (the default reader's)
+  getCurrentUID(readerName = null) {
+    if (readerName) {
+      const entry = this.readers.get(readerName);
+      return (entry && entry.uid) || null;
+    }
+    const withTag = Array.from(this.readers.values()).find(e => e.uid);
+    return withTag ? withTag.uid : null;
+  }
+
+  // Runs fn after the operations already queued on this reader. options.uid: the tag the
+  // operation is meant for; when another tag (or none) is present by the time it runs, it
+  // fails with NFC_TAG_CHANGED instead of touching the wrong tag. `operation` ('read' or
+  // 'write') classifies errors of the reader library (see errors.fromReaderError).
+  async _withLock(entry, operation, fn, options = {}) {
+    if (entry.pending >= MAX_QUEUED_OPERATIONS) throw codedError('Busy');
+    entry.pending++;
+    const run = entry.queue.then(async () => {
+      if (!this._attached(entry)) throw codedError('NFC_READER_DISCONNECTED');
+      if (options.uid && entry.uid !== options.uid) throw codedError('NFC_TAG_CHANGED', `expected ${options.uid}, found ${entry.uid || 'no tag'}`);
+      const uid = entry.uid;
+      try {
+        return await fn();
+      } catch (e) {
+        throw errors.fromReaderError(e, { operation, attached: this._attached(entry), cardPresent: !!uid && entry.uid === uid });
+      }
     });
+    entry.queue = run.catch(() => {});
+    try { return await run; } finally { entry.pending--; }
   }
 
-  getCurrentUID() { return this.lastUID || null; }
+  _attached(entry) { return this.readers.get(entry.name) === entry; }
 
-  async _withLock(fn) {
-    if (this._busy) throw new Error('Busy');
-    this._busy = true;
-    try { return await fn(); } finally { this._busy = false; }
+  // Sector keys, dumps and access bits only exist on MIFARE Classic
+  _requireClassic(entry) {
+    if (entry.cardType === 'ntag') throw codedError('TAG_TYPE_UNSUPPORTED', 'NTAG');
   }
 
-  // key sequence: Vendor (D3 F7 ...) then standard (FF ...)
-  async _authenticateBlock(block = 4) {
-    if (!this.currentReader) throw new Error('NFC_NOT_CONNECTED');
-    const reader = this.currentReader;
-    const KEY_TYPE_A = reader.KEY_TYPE_A || 0x60;
-    const keys = [
-      Buffer.from([0xD3, 0xF7, 0xD3, 0xF7, 0xD3, 0xF7]),
-      Buffer.from([0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF])
-    ];
+  // Tries each candidate { type, key }; resolves with the one that opened the sector.
+  async _authenticateBlock(entry, block = 4, candidates = this._candidates(Math.floor(block / 4))) {
+    if (!this._attached(entry)) throw codedError('NFC_READER_DISCONNECTED');
+    const reader = entry.reader;
+    const keyTypes = { A: reader.KEY_TYPE_A || 0x60, B: reader.KEY_TYPE_B || 0x61 };
     let lastErr = null;
-    for (const key of keys) {
+    for (const candidate of candidates) {
       try {
-        await reader.authenticate(block, KEY_TYPE_A, key);
-        return true;
+        await reader.authenticate(block, keyTypes[candidate.type], candidate.key);
+        return candidate;
       } catch (e) {
         lastErr = e;
       }
     }
-    throw lastErr || new Error('NFC_AUTH_FAILED');
-  }
-
-  async readTag() {
-    if (!this.currentReader) throw new Error('NFC_NOT_CONNECTED');
-    return this._withLock(async () => {
-      await this._authenticateBlock(4);
-      const data = await this.currentReader.read(4, 16, 16);
-      const material = data[0] || 0;
-      const color = data[1] || 0;
-      const manufacturer = data[2] || 1;
-      return { material, color, manufacturer, rawData: Array.from(data) };
+    throw lastErr || codedError('NFC_AUTH_FAILED');
+  }
+
+  // Access bytes 6..8 of a sector trailer, read with key A
+  async _readAccessBytes(entry, sector, candidates = this._candidates(sector)) {
+    const trailerBlock = dumpFormat.firstBlockOfSector(sector) + 3;
+    const keyA = await this._authenticateBlock(entry, trailerBlock, candidates);
+    const trailer = await entry.reader.read(trailerBlock, 16, 16);
+    return { keyA, accessBytes: Buffer.from(trailer).subarray(6, 9) };
+  }
+
+  // Refuses to write into a write-protected sector with a clear error instead of the card's
+  // generic failure. Trailers that cannot be read are left to the write itself.
+  async _assertWritable(entry, sector) {
+    let accessBytes;
+    try {
+      ({ accessBytes } = await this._readAccessBytes(entry, sector));
+    } catch {
+      return;
+    }
+    if (access.isWriteProtected(accessBytes)) throw codedError('TAG_WRITE_PROTECTED', `sector ${sector}`);
+  }
+
+  // Raw content for the codecs (see tag-codecs.js): MIFARE Classic blocks 4..6, or the NTAG
+  // user memory (empty when the NTAG is not NDEF formatted).
+  async _readRaw(entry) {
+    if (entry.cardType === 'ntag') {
+      const capacity = await this._ntagCapacity(entry);
+      const data = capacity ? await entry.reader.read(NTAG_FIRST_USER_PAGE, capacity, NTAG_PAGE_SIZE) : Buffer.alloc(0);
+      return { cardType: 'ntag', data: Buffer.from(data) };
+    }
+    await this._authenticateBlock(entry, 4);
+    return { cardType: 'classic', data: Buffer.from(await entry.reader.read(4, payload.BLOCK_COUNT * 16, 16)) };
+  }
+
+  // options.reader: reader name (default reader when omitted)
+  // options.uid: only read this tag (see _withLock)
+  // options.tables: material/color/manufacturer tables for names and codes (default: built-in)
+  // Resolves with the detected format, the filament model and, for compatibility, its QIDI
+  // codes as material/color/manufacturer (null when the format's names are not in the tables).
+  async readTag(options = {}) {
+    const entry = this._resolve(options.reader);
+    const tables = options.tables || filamentData.buildTables();
+    const data = await this._withLock(entry, 'read', async () => {
+      const raw = await this._readRaw(entry);
+      const { format, filament } = codecs.decode(raw, tables);
+      return {
+        uid: entry.uid,
+        reader: entry.name,
+        cardType: raw.cardType,
+        format,
+        material: filament ? filament.materialCode : null,
+        color: filament ? filament.colorCode : null,
+        manufacturer: filament ? filament.manufacturerCode : null,
+        extended: filament ? filament.extended : null,
+        filament,
+        rawData: Array.from(raw.data.subarray(0, 16))
+      };
+    }, options);
+    this._emitEvent('read-completed', { reader: data.reader, uid: data.uid, cardType: data.cardType, format: data.format, data });
+    return data;
+  }
+
+  // Capability container: user memory size in bytes; null when the tag is not NDEF formatted
+  async _ntagCapacity(entry) {
+    const cc = await entry.reader.read(NTAG_CC_PAGE, NTAG_PAGE_SIZE, NTAG_PAGE_SIZE);
+    return cc[0] === NDEF_CC_MAGIC ? cc[2] * 8 : null;
+  }
+
+  // Writes pages from `page` on and reads them back, with the same retry rules as
+  // _writeBlockVerified. The first page goes last, so an interrupted write never leaves the
+  // new TLV length in front of stale data.
+  async _writePagesVerified(entry, page, buf, retries = this.writeRetries) {
+    const uid = entry.uid;
+    let lastErr = null;
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+      if (attempt > 1) {
+        await delay(WRITE_RETRY_DELAY_MS);
+        if (!this._attached(entry) || !entry.uid || entry.uid !== uid) break;
+      }
+      let written = false;
+      try {
+        if (buf.length > NTAG_PAGE_SIZE) await entry.reader.write(page + 1, buf.subarray(NTAG_PAGE_SIZE), NTAG_PAGE_SIZE);
+        await entry.reader.write(page, buf.subarray(0, NTAG_PAGE_SIZE), NTAG_PAGE_SIZE);
+        written = true;
+        const readBack = await entry.reader.read(page, buf.length, NTAG_PAGE_SIZE);
+        if (Buffer.from(readBack).equals(buf)) return attempt;
+        lastErr = codedError('NFC_VERIFY_FAILED', `pages ${page}..${page + buf.length / NTAG_PAGE_SIZE - 1}`);
+      } catch (e) {
+        if (!this._attached(entry)) throw codedError('NFC_READER_DISCONNECTED');
+        lastErr = written ? codedError('NFC_VERIFY_FAILED', e && e.message ? String(e.message) : String(e)) : e;
+      }
+    }
+    throw lastErr || codedError('NFC_VERIFY_FAILED');
+  }
+
+  // data: bytes from page 4 on (an NTAG codec's encode result); resolves with the attempts used
+  async _writeNtag(entry, data, retries) {
+    const capacity = await this._ntagCapacity(entry);
+    if (!capacity) throw codedError('TAG_TYPE_UNSUPPORTED', 'NTAG is not NDEF formatted');
+    if (data.length > capacity) throw codedError('PAYLOAD_INVALID', `NDEF record needs ${data.length} bytes, tag holds ${capacity}`);
+    const padded = Buffer.alloc(Math.ceil(data.length / NTAG_PAGE_SIZE) * NTAG_PAGE_SIZE, 0x00);
+    data.copy(padded);
+    return this._writePagesVerified(entry, NTAG_FIRST_USER_PAGE, padded, retries);
+  }
+
+  // Writes one block and reads it back. Resolves with the number of attempts used,
+  // rejects with NFC_VERIFY_FAILED when the tag never held the expected bytes.
+  // candidates: keys to open the sector with (default: the key A candidates)
+  async _writeBlockVerified(entry, block, buf, retries = this.writeRetries, candidates = undefined) {
+    const uid = entry.uid;
+    let lastErr = null;
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+      if (attempt > 1) {
+        await delay(WRITE_RETRY_DELAY_MS);
+        // Never retry onto a different (or no) tag
+        if (!this._attached(entry) || !entry.uid || entry.uid !== uid) break;
+      }
+      let written = false;
+      try {
+        await this._authenticateBlock(entry, block, candidates);
+        await entry.reader.write(block, buf, 16);
+        written = true;
+        const readBack = await entry.reader.read(block, 16, 16);
+        if (Buffer.from(readBack).equals(buf)) return attempt;
+        lastErr = codedError('NFC_VERIFY_FAILED', `block ${block}: expected ${buf.toString('hex')}, read ${Buffer.from(readBack).toString('hex')}`);
+      } catch (e) {
+        if (!this._attached(entry)) throw codedError('NFC_READER_DISCONNECTED');
+        if (written) {
+          lastErr = codedError('NFC_VERIFY_FAILED', e && e.message ? String(e.message) : String(e));
+        } else {
+          lastErr = e;
+        }
+      }
+    }
+    throw lastErr || codedError('NFC_VERIFY_FAILED');
+  }
+
+  // Writes the blocks a codec produced, each one verified.
+  async _writeClassic(entry, writes, retries) {
+    await this._assertWritable(entry, 1);
+    let attempts = 0;
+    for (const { block, data } of writes) {
+      attempts = Math.max(attempts, await this._writeBlockVerified(entry, block, data, retries));
+    }
+    return attempts;
+  }
+
+  // options.extended: optional extended record (tag-payload.js / the format's extra fields).
+  // options.format: codec id (see tag-codecs.js); default: 'qidi' on MIFARE Classic,
+  // 'openspool' on NTAG.
+  // options.tables: tables for the names written by name-based formats (default: built-in);
+  // options.openspool: explicit names { type, colorHex, brand } for NTAG tags.
+  // options.reader: reader name (default reader when omitted); options.uid: see _withLock
+  async writeTag(materialCode, colorCode, manufacturerCode = 1, options = {}) {
+    const entry = this._resolve(options.reader);
+    const retries = clampRetries(options.retries, this.writeRetries);
+    const tables = options.tables || filamentData.buildTables();
+    const cardType = entry.cardType || 'classic';
+    const codec = options.format ? codecs.get(options.format) : codecs.defaultFor(cardType);
+    if (!codec) throw codedError('PAYLOAD_INVALID', `Unknown tag format: ${options.format}`);
+    if (codec.cardType !== cardType) throw codedError('TAG_TYPE_UNSUPPORTED', `${codec.name} needs ${codec.cardType === 'ntag' ? 'an NTAG' : 'a MIFARE Classic'} tag`);
+
+    // QIDI writes manufacturer 0 as 1 (see the QIDI codec); name-based formats keep it
+    const manufacturer = parseInt(manufacturerCode, 10);
+    const filament = codecs.filamentFromCodes(tables, {
+      material: Number(materialCode) || 0,
+      color: Number(colorCode) || 0,
+      manufacturer: Number.isNaN(manufacturer) ? 1 : manufacturer
+    }, options.extended);
+    const names = options.openspool || {};
+    if (names.type) filament.materialName = names.type;
+    if (names.colorHex) filament.colorHex = names.colorHex;
+    if (names.brand) filament.manufacturerName = names.brand;
+    // Encode before queueing so invalid input fails without touching the tag
+    const encoded = codec.encode(filament, tables);
+
+    return this._withLock(entry, 'write', async () => {
+      // The tag may have been swapped for another type while the write was queued
+      if ((entry.cardType || 'classic') !== cardType) throw codedError('TAG_TYPE_UNSUPPORTED', `${codec.name} needs ${codec.cardType === 'ntag' ? 'an NTAG' : 'a MIFARE Classic'} tag`);
+      const attempts = codec.cardType === 'ntag'
+        ? await this._writeNtag(entry, encoded, retries)
+        : await this._writeClassic(entry, encoded, retries);
+      return { verified: true, attempts, cardType, format: codec.id };
+    }, options);
+  }
+
+  // Reads every sector one of the known keys can open. Sectors that stay closed are
+  // reported with key/blocks = null instead of failing the whole dump.
+  async dumpTag(options = {}) {
+    const entry = this._resolve(options.reader);
+    this._requireClassic(entry);
+    return this._withLock(entry, 'read', async () => {
+      const uid = entry.uid;
+      const sectors = [];
+      for (let sector = 0; sector < dumpFormat.SECTOR_COUNT; sector++) {
+        const first = dumpFormat.firstBlockOfSector(sector);
+        let candidate;
+        try {
+          candidate = await this._authenticateBlock(entry, first, this._candidates(sector, ['A', 'B']));
+        } catch {
+          sectors.push({ sector, keyType: null, key: null, blocks: null });
+          continue;
+        }
+        const data = await entry.reader.read(first, dumpFormat.BLOCKS_PER_SECTOR * 16, 16);
+        const blocks = [];
+        for (let i = 0; i < dumpFormat.BLOCKS_PER_SECTOR; i++) {
+          blocks.push(data.subarray(i * 16, (i + 1) * 16).toString('hex'));
+        }
+        const keyHex = candidate.key.toString('hex');
+        blocks[3] = dumpFormat.withKnownKeyA(blocks[3], candidate.type, keyHex);
+        sectors.push({ sector, keyType: candidate.type, key: keyHex, blocks });
+      }
+      return { uid, createdAt: new Date().toISOString(), sectors };
     });
   }
 
-  async writeTag(materialCode, colorCode, manufacturerCode = 1) {
-    if (!this.currentReader) throw new Error('NFC_NOT_CONNECTED');
-    return this._withLock(async () => {
-      await this._authenticateBlock(4);
-      const buf = Buffer.alloc(16, 0x00);
-      buf[0] = Number(materialCode) || 0;
-      buf[1] = Number(colorCode) || 0;
-      buf[2] = Number(manufacturerCode) || 1;
-      await this.currentReader.write(4, buf, 16);
-      return true;
+  // Which key opens which sector, and every block the opening key may read. Each candidate
+  // key is tried on its own (A and B), so the result also shows keys that are not needed.
+  // Resolves with { keys: [{ type, key, label, sectors }], blocks: [{ block, data: hex|null }] }
+  async _inspectClassic(entry) {
+    const keys = [];
+    const blocks = [];
+    for (let sector = 0; sector < dumpFormat.SECTOR_COUNT; sector++) {
+      const first = dumpFormat.firstBlockOfSector(sector);
+      const opening = [];
+      for (const candidate of this._candidates(sector, ['A', 'B'])) {
+        let opens = true;
+        try {
+          await this._authenticateBlock(entry, first, [candidate]);
+        } catch {
+          opens = false;
+        }
+        const keyHex = candidate.key.toString('hex');
+        let key = keys.find(k => k.type === candidate.type && k.key === keyHex);
+        if (!key) {
+          key = { type: candidate.type, key: keyHex, label: this._keyLabel(candidate), sectors: [] };
+          keys.push(key);
+        }
+        if (opens) {
+          key.sectors.push(sector);
+          opening.push(candidate);
+        }
+      }
+      // Key A first, as for plain reads
+      const opener = opening.find(c => c.type === 'A') || opening[0];
+      let authenticated = false;
+      for (let i = 0; i < dumpFormat.BLOCKS_PER_SECTOR; i++) {
+        const block = first + i;
+        let data = null;
+        if (opener) {
+          try {
+            if (!authenticated) await this._authenticateBlock(entry, block, [opener]);
+            authenticated = true;
+            data = Buffer.from(await entry.reader.read(block, 16, 16)).toString('hex');
+          } catch {
+            // A refused read leaves the tag unauthenticated
+            authenticated = false;
+          }
+        }
+        blocks.push({ block, data });
+      }
+    }
+    return { keys, blocks };
+  }
+
+  // Header pages 0..3 and the user memory the capability container announces (the first
+  // 12 pages when there is none), 4 pages per read
+  async _inspectNtag(entry) {
+    const read = async (page) => {
+      try {
+        return Buffer.from(await entry.reader.read(page, 16, NTAG_PAGE_SIZE));
+      } catch {
+        return null;
+      }
+    };
+    const header = await read(0);
+    const cc = header ? header.subarray(NTAG_CC_PAGE * NTAG_PAGE_SIZE) : null;
+    const capacity = cc && cc[0] === NDEF_CC_MAGIC ? cc[2] * 8 : 48;
+    const pages = [];
+    for (let page = 0; page < NTAG_FIRST_USER_PAGE + capacity / NTAG_PAGE_SIZE; page += 4) {
+      const chunk = page === 0 ? header : await read(page);
+      for (let i = 0; i < 4 && page + i < NTAG_FIRST_USER_PAGE + capacity / NTAG_PAGE_SIZE; i++) {
+        pages.push({ block: page + i, data: chunk ? chunk.subarray(i * NTAG_PAGE_SIZE, (i + 1) * NTAG_PAGE_SIZE).toString('hex') : null });
+      }
+    }
+    return { keys: [], blocks: pages };
+  }
+
+  // Everything the inspector shows (see tag-inspector.js): card identification, the keys per
+  // sector, the readable blocks (pages on NTAG) with their annotations and the classification
+  // of the data. classification is null when the data blocks could not be read.
+  // options.reader / options.uid: see readTag; options.tables: tables for the classification
+  async inspectTag(options = {}) {
+    const entry = this._resolve(options.reader);
+    const tables = options.tables || filamentData.buildTables();
+    return this._withLock(entry, 'read', async () => {
+      const cardType = entry.cardType || 'classic';
+      const { keys, blocks } = cardType === 'ntag' ? await this._inspectNtag(entry) : await this._inspectClassic(entry);
+      let raw = null;
+      if (cardType === 'ntag') {
+        const cc = blocks.find(b => b.block === NTAG_CC_PAGE);
+        const user = blocks.filter(b => b.block >= NTAG_FIRST_USER_PAGE);
+        if (cc && cc.data && user.every(b => b.data)) {
+          raw = { cardType, data: Buffer.from(cc.data, 'hex')[0] === NDEF_CC_MAGIC ? Buffer.from(user.map(b => b.data).join(''), 'hex') : Buffer.alloc(0) };
+        }
+      } else {
+        const data = blocks.filter(b => b.block >= payload.FIRST_BLOCK && b.block < payload.FIRST_BLOCK + payload.BLOCK_COUNT);
+        if (data.every(b => b.data)) raw = { cardType, data: Buffer.from(data.map(b => b.data).join(''), 'hex') };
+      }
+      const decoded = raw ? codecs.decode(raw, tables) : { format: null, filament: null };
+      const { classification, unknown } = raw ? inspector.classify(raw, tables) : { classification: null, unknown: [] };
+      return {
+        uid: entry.uid,
+        reader: entry.name,
+        atr: entry.atr,
+        sak: entry.sak,
+        cardType,
+        cardName: cardNameOf(entry.atr),
+        classification,
+        unknown,
+        format: decoded.format,
+        filament: decoded.filament,
+        keys,
+        blocks,
+        annotations: inspector.annotate(cardType, { extended: !!(decoded.filament && decoded.filament.extended && decoded.format === 'qidi') })
+      };
+    }, options);
+  }
+
+  // Zeroes the QIDI data blocks 4..6 (codes and extended record), each write verified. Block 4
+  // goes first, so an interrupted erase never leaves codes or a marker in front of old data.
+  // MIFARE Classic only; a write-protected sector 1 fails with TAG_WRITE_PROTECTED.
+  // options.reader / options.uid / options.retries: see writeTag
+  async eraseTag(options = {}) {
+    const entry = this._resolve(options.reader);
+    const retries = clampRetries(options.retries, this.writeRetries);
+    this._requireClassic(entry);
+    return this._withLock(entry, 'write', async () => {
+      this._requireClassic(entry);
+      const writes = [];
+      for (let i = 0; i < payload.BLOCK_COUNT; i++) writes.push({ block: payload.FIRST_BLOCK + i, data: Buffer.alloc(16, 0x00) });
+      const attempts = await this._writeClassic(entry, writes, retries);
+      return { verified: true, attempts, blocks: writes.map(w => w.block) };
+    }, options);
+  }
+
+  // Writes a dump back onto the presented tag, every block verified. The manufacturer block (0)
+  // and the sector trailers are skipped unless requested; trailers are written last in their
+  // sector and only after their access bits have been validated. A trailer whose key A or key B
+  // the dump does not hold (the card reads them back as zeros) is never written, as it would
+  // lock the sector with a key nobody knows; those sectors are listed in skippedTrailers.
+  // options.reader / options.retries: see writeTag
+  async restoreTag(dump, options = {}) {
+    const entry = this._resolve(options.reader);
+    const retries = clampRetries(options.retries, this.writeRetries);
+    const includeManufacturerBlock = !!options.includeManufacturerBlock;
+    const includeTrailers = !!options.includeTrailers;
+    this._requireClassic(entry);
+
+    if (includeTrailers) {
+      for (const s of dump.sectors) {
+        if (s.blocks && !dumpFormat.isValidAccessBits(Buffer.from(s.blocks[3], 'hex'))) {
+          throw codedError('INVALID_ACCESS_BITS', `sector ${s.sector}`);
+        }
+      }
+    }
+
+    return this._withLock(entry, 'write', async () => {
+      let blocksWritten = 0;
+      const skippedSectors = [];
+      const skippedTrailers = [];
+      for (const s of dump.sectors) {
+        if (!s.blocks) continue;
+        const first = dumpFormat.firstBlockOfSector(s.sector);
+        const candidates = this._candidates(s.sector, ['A', 'B']);
+        if (s.key) candidates.unshift({ type: s.keyType === 'B' ? 'B' : 'A', key: Buffer.from(s.key, 'hex') });
+        let opener;
+        try {
+          opener = await this._authenticateBlock(entry, first, candidates);
+        } catch {
+          skippedSectors.push(s.sector);
+          continue;
+        }
+        for (let i = 0; i < dumpFormat.BLOCKS_PER_SECTOR; i++) {
+          const block = first + i;
+          if (block === 0 && !includeManufacturerBlock) continue;
+          if (dumpFormat.isTrailerBlock(block)) continue;
+          await this._writeBlockVerified(entry, block, Buffer.from(s.blocks[i], 'hex'), retries, [opener]);
+          blocksWritten++;
+        }
+        if (!includeTrailers) continue;
+        const trailer = Buffer.from(s.blocks[dumpFormat.BLOCKS_PER_SECTOR - 1], 'hex');
+        const zeroKey = (from) => !trailer.subarray(from, from + 6).some(b => b !== 0);
+        if (zeroKey(0) || zeroKey(10)) {
+          skippedTrailers.push(s.sector);
+          continue;
+        }
+        await this._writeTrailer(entry, s.sector, {
+          keyA: trailer.subarray(0, 6).toString('hex'),
+          keyB: trailer.subarray(10, 16).toString('hex'),
+          accessBytes: trailer.subarray(6, 9),
+          gpb: trailer[9],
+          currentKeyB: s.keyType === 'B' ? s.key : undefined
+        });
+        blocksWritten++;
+      }
+      return { blocksWritten, skippedSectors, skippedTrailers };
     });
   }
 
+  // Access conditions of a sector: { sector, accessBits, conditions, writeProtected }
+  async sectorAccess(sector = 1, options = {}) {
+    const entry = this._resolve(options.reader);
+    this._requireClassic(entry);
+    return this._withLock(entry, 'read', async () => {
+      const { accessBytes } = await this._readAccessBytes(entry, sector);
+      return {
+        sector,
+        accessBits: accessBytes.toString('hex'),
+        conditions: access.decodeAccessBits(accessBytes),
+        writeProtected: access.isWriteProtected(accessBytes)
+      };
+    });
+  }
+
+  // Write-protects a sector: new trailer with options.access (preset name or 6 hex digits,
+  // default 'writeProtected'), key A (options.keyA, default: the current key A, so the QIDI Box
+  // keeps reading) and key B (options.keyB, required - it is needed to unlock again).
+  async lockSector(sector = 1, options = {}) {
+    const accessBytes = access.resolveAccess(options.access || 'writeProtected');
+    access.validateAccess(sector, accessBytes);
+    if (!options.keyB) throw codedError('KEY_INVALID', 'key B is required');
+    const keyB = access.normalizeKey(options.keyB);
+    const keyA = options.keyA ? access.normalizeKey(options.keyA) : null;
+    const entry = this._resolve(options.reader);
+    this._requireClassic(entry);
+    return this._withLock(entry, 'write', () => this._writeTrailer(entry, sector, { keyA, keyB, accessBytes, currentKeyB: options.currentKeyB }));
+  }
+
+  // Back to the transport configuration (read/write with key A). Needs key B of a locked
+  // sector: options.keyB, or a key B from the key store.
+  async unlockSector(sector = 1, options = {}) {
+    const accessBytes = access.encodeAccessBits(access.PRESETS.transport);
+    access.validateAccess(sector, accessBytes);
+    const entry = this._resolve(options.reader);
+    this._requireClassic(entry);
+    return this._withLock(entry, 'write', () => this._writeTrailer(entry, sector, {
+      keyA: options.keyA ? access.normalizeKey(options.keyA) : null,
+      keyB: access.DEFAULT_KEY,
+      accessBytes,
+      currentKeyB: options.keyB
+    }));
+  }
+
+  // Authenticates with the key the current trailer allows to rewrite it, writes the new trailer
+  // and checks that the sector opens with the new key A and shows the new access bits.
+  // gpb: general purpose byte (default: the current one)
+  async _writeTrailer(entry, sector, { keyA, keyB, accessBytes, currentKeyB, gpb }) {
+    const trailerBlock = dumpFormat.firstBlockOfSector(sector) + 3;
+    const current = await this._readAccessBytes(entry, sector);
+    const newKeyA = keyA || current.keyA.key.toString('hex');
+    const writerType = access.trailerWriteKeyType(current.accessBytes);
+    if (!writerType) throw codedError('ACCESS_UNSAFE', 'current trailer is permanent');
+
+    if (writerType === 'A') {
+      await this._authenticateBlock(entry, trailerBlock, [current.keyA]);
+    } else {
+      const candidates = this._candidates(sector, ['B']);
+      if (currentKeyB) candidates.unshift({ type: 'B', key: Buffer.from(access.normalizeKey(currentKeyB), 'hex') });
+      try {
+        await this._authenticateBlock(entry, trailerBlock, candidates);
+      } catch {
+        throw codedError('NFC_AUTH_FAILED', `key B of sector ${sector}`);
+      }
+    }
+    // Keep the general purpose byte
+    const newGpb = gpb !== undefined ? gpb : (await entry.reader.read(trailerBlock, 16, 16))[9];
+    await entry.reader.write(trailerBlock, access.buildTrailer({ keyA: newKeyA, keyB, accessBytes, gpb: newGpb }), 16);
+
+    let verified;
+    try {
+      const check = await this._readAccessBytes(entry, sector, [{ type: 'A', key: Buffer.from(newKeyA, 'hex') }]);
+      verified = check.accessBytes.equals(accessBytes);
+    } catch {
+      verified = false;
+    }
+    if (!verified) {
+      throw codedError('NFC_VERIFY_FAILED', `trailer of sector ${sector}`);
+    }
+    return {
+      sector,
+      accessBits: accessBytes.toString('hex'),
+      writeProtected: access.isWriteProtected(accessBytes),
+      keyA: newKeyA,
+      keyB: access.trailerWriteKeyType(accessBytes) === 'B' ? keyB : null
+    };
+  }
+
+  close() {
+    if (this.nfc && typeof this.nfc.close === 'function') this.nfc.close();
+  }
+
+  // readerName/cardPresent/uid describe the default reader; `readers` lists all of them.
   getStatus() {
+    let current = null;
+    try { current = this._resolve(); } catch {}
     return {
+      backend: this.backendName,
       connected: this.isConnected,
-      readerName: this.currentReader ? this.currentReader.reader.name : null,
-      cardPresent: !!(this.currentReader && this.currentReader.card),
-      uid: this.lastUID
+      readerName: current ? current.name : null,
+      cardPresent: !!(current && current.uid),
+      uid: current ? current.uid : null,
+      cardType: current ? current.cardType : null,
+      atr: current ? current.atr : null,
+      backendError: this.backendError,
+      busy: Array.from(this.readers.values()).some(e => e.pending > 0),
+      readers: Array.from(this.readers.values()).map(e => ({ name: e.name, cardPresent: !!e.uid, uid: e.uid, cardType: e.cardType, atr: e.atr, queued: e.pending }))
     };
   }
 }
 
-module.exports = NFCService;
\ No newline at end of file
+module.exports = NFCService;
+module.exports.BACKENDS = BACKENDS;
+module.exports.MAX_WRITE_RETRIES = MAX_WRITE_RETRIES;
+module.exports.clampRetries = clampRetries;
+module.exports.EVENTS = EVENTS;
+module.exports.KNOWN_KEYS = KNOWN_KEYS;
+module.exports.resolveBackendName = resolveBackendName;
+module.exports.detectCardType = detectCardType;
+module.exports.cardNameOf = cardNameOf;
@@ -0,0 +1,473 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+// Simulated PC/SC backend: mimics the small part of the nfc-pcsc API that NFCService uses
+// (NFC 'reader' event, reader.authenticate/read/write, 'card'/'card.off'/'end' events),
+// backed by a virtual MIFARE Classic 1K image in memory or in a .mfd file on disk, or by a
+// virtual NTAG213/215/216 (card option `type: 'ntag215'`, 4-byte pages, no authentication).
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const { decodeAccessBits } = require('./sector-access');
+
+const BLOCK_SIZE = 16;
+const BLOCK_COUNT = 64;
+const IMAGE_SIZE = BLOCK_SIZE * BLOCK_COUNT;
+const KEY_TYPE_A = 0x60;
+const KEY_TYPE_B = 0x61;
+const DEFAULT_KEY = 'FFFFFFFFFFFF';
+// Transport configuration: key A/B readable via key A, data blocks read/write with key A or B
+const DEFAULT_ACCESS_BITS = [0xFF, 0x07, 0x80, 0x69];
+const DEFAULT_UID = '04a1b2c3';
+const DEFAULT_NTAG_UID = '04a1b2c3d4e5f6';
+const PAGE_SIZE = 4;
+const NTAG_FIRST_USER_PAGE = 4;
+// Total pages, user pages and the capability container size byte (user bytes / 8)
+const NTAG_TYPES = {
+  ntag213: { pages: 45, userPages: 36, ccSize: 0x12 },
+  ntag215: { pages: 135, userPages: 126, ccSize: 0x3E },
+  ntag216: { pages: 231, userPages: 222, ccSize: 0x6D }
+};
+// PC/SC ATRs as reported by an ACR122U (bytes 13..14: 0001 MIFARE Classic 1K, 0003 Ultralight/NTAG)
+const ATR_CLASSIC_1K = '3b8f8001804f0ca000000306030001000000006a';
+const ATR_ULTRALIGHT = '3b8f8001804f0ca0000003060300030000000068';
+
+function toKeyBuffer(key) {
+  const buf = Buffer.isBuffer(key) ? key : Buffer.from(String(key).replace(/[^0-9a-f]/gi, ''), 'hex');
+  if (buf.length !== 6) throw new Error(`Invalid key length: ${buf.length}`);
+  return buf;
+}
+
+function sectorOfBlock(block) { return Math.floor(block / 4); }
+function trailerOfSector(sector) { return sector * 4 + 3; }
+
+// Access conditions as enforced by a real card (see the table in sector-access.js).
+// Inconsistent access bits leave the sector without any access, like a bricked sector.
+const DATA_READ = { A: [0, 2, 4, 6, 1], B: [0, 2, 4, 6, 1, 3, 5] };
+const DATA_WRITE = { A: [0], B: [0, 4, 6, 3] };
+const TRAILER_KEYS_WRITE = { 0: 'A', 1: 'A', 3: 'B', 4: 'B' };
+const TRAILER_ACCESS_WRITE = { 1: 'A', 3: 'B', 5: 'B' };
+// Key B is readable (and thus not usable as a key) with these trailer conditions
+const KEY_B_READABLE = [0, 2, 1];
+
+// Builds a factory-fresh 1K image: manufacturer block from the UID, zeroed data, default trailers.
+// `keys` is either one key for every sector or a { [sector]: { a, b } } map.
+function createBlankImage(uid = DEFAULT_UID, keys = null) {
+  const image = Buffer.alloc(IMAGE_SIZE, 0x00);
+  const uidBuf = Buffer.from(uid, 'hex').subarray(0, 4);
+  uidBuf.copy(image, 0);
+  image[4] = uidBuf.reduce((bcc, b) => bcc ^ b, 0);
+  image[5] = 0x08; // SAK
+  image[6] = 0x04; image[7] = 0x00; // ATQA
+  for (let sector = 0; sector < BLOCK_COUNT / 4; sector++) {
+    const entry = (keys && typeof keys === 'object' && !Buffer.isBuffer(keys)) ? (keys[sector] || {}) : { a: keys };
+    const off = trailerOfSector(sector) * BLOCK_SIZE;
+    toKeyBuffer(entry.a || DEFAULT_KEY).copy(image, off);
+    Buffer.from(DEFAULT_ACCESS_BITS).copy(image, off + 6);
+    toKeyBuffer(entry.b || DEFAULT_KEY).copy(image, off + 10);
+  }
+  return image;
+}
+
+// Not a coded error (errors.js): it imitates nfc-pcsc's errors, a library message plus its error
+// code, so the simulated reader goes through the same fromReaderError mapping as a real one.
+function simError(message, code) {
+  const err = new Error(message);
+  if (code) err.code = code;
+  return err;
+}
+
+class SimCard {
+  constructor(options = {}) {
+    this.uid = (options.uid || DEFAULT_UID).toLowerCase();
+    this.imagePath = options.imagePath || null;
+    // Magic (gen1) cards allow writing block 0; regular cards reject it.
+    this.magic = !!options.magic;
+
+    if (Buffer.isBuffer(options.image)) {
+      this.image = Buffer.from(options.image);
+    } else if (this.imagePath && fs.existsSync(this.imagePath)) {
+      this.image = fs.readFileSync(this.imagePath);
+    } else {
+      this.image = createBlankImage(this.uid, options.keys || null);
+      this._persist();
+    }
+    if (this.image.length !== IMAGE_SIZE) {
+      throw new Error(`Invalid MIFARE Classic 1K image size: ${this.image.length}`);
+    }
+    if (!options.uid) this.uid = this.image.subarray(0, 4).toString('hex');
+  }
+
+  getBlock(block) {
+    return Buffer.from(this.image.subarray(block * BLOCK_SIZE, (block + 1) * BLOCK_SIZE));
+  }
+
+  setBlock(block, data) {
+    Buffer.from(data).copy(this.image, block * BLOCK_SIZE, 0, BLOCK_SIZE);
+    this._persist();
+  }
+
+  keyFor(sector, keyType) {
+    const off = trailerOfSector(sector) * BLOCK_SIZE;
+    return keyType === KEY_TYPE_B
+      ? this.image.subarray(off + 10, off + 16)
+      : this.image.subarray(off, off + 6);
+  }
+
+  // [c0, c1, c2, c3] for the sector, null when the access bits are inconsistent
+  conditions(sector) {
+    return decodeAccessBits(this.getBlock(trailerOfSector(sector)));
+  }
+
+  _persist() {
+    if (this.imagePath) fs.writeFileSync(this.imagePath, this.image);
+  }
+}
+
+// NTAG21x: page 0..2 UID, check bytes and static lock bytes, page 3 capability container
+// (NDEF formatted, as shipped), user memory from page 4, configuration pages at the end.
+function createBlankNtagImage(uid, spec) {
+  const image = Buffer.alloc(spec.pages * PAGE_SIZE, 0x00);
+  const uidBuf = Buffer.from(uid, 'hex').subarray(0, 7);
+  uidBuf.copy(image, 0, 0, 3);
+  image[3] = 0x88 ^ uidBuf[0] ^ uidBuf[1] ^ uidBuf[2];
+  uidBuf.copy(image, 4, 3, 7);
+  image[8] = uidBuf[3] ^ uidBuf[4] ^ uidBuf[5] ^ uidBuf[6];
+  image[12] = 0xE1; image[13] = 0x10; image[14] = spec.ccSize; image[15] = 0x00;
+  // Empty NDEF message, like a factory-fresh tag
+  image[16] = 0x03; image[17] = 0x00; image[18] = 0xFE;
+  return image;
+}
+
+class SimNtag {
+  constructor(options = {}) {
+    this.type = String(options.type).toLowerCase();
+    this.spec = NTAG_TYPES[this.type];
+    if (!this.spec) throw new Error(`Unknown simulated tag type: ${options.type}`);
+    this.isNtag = true;
+    this.uid = (options.uid || DEFAULT_NTAG_UID).toLowerCase();
+    this.imagePath = options.imagePath || null;
+    const size = this.spec.pages * PAGE_SIZE;
+
+    if (Buffer.isBuffer(options.image)) {
+      this.image = Buffer.from(options.image);
+    } else if (this.imagePath && fs.existsSync(this.imagePath)) {
+      this.image = fs.readFileSync(this.imagePath);
+    } else {
+      this.image = createBlankNtagImage(this.uid, this.spec);
+      this._persist();
+    }
+    if (this.image.length !== size) throw new Error(`Invalid ${this.type} image size: ${this.image.length}`);
+    if (!options.uid) this.uid = Buffer.concat([this.image.subarray(0, 3), this.image.subarray(4, 8)]).toString('hex');
+  }
+
+  get lastUserPage() { return NTAG_FIRST_USER_PAGE + this.spec.userPages - 1; }
+
+  getPages(page, count) {
+    return Buffer.from(this.image.subarray(page * PAGE_SIZE, (page + count) * PAGE_SIZE));
+  }
+
+  setPage(page, data) {
+    Buffer.from(data).copy(this.image, page * PAGE_SIZE, 0, PAGE_SIZE);
+    this._persist();
+  }
+
+  _persist() {
+    if (this.imagePath) fs.writeFileSync(this.imagePath, this.image);
+  }
+}
+
+function createCard(options = {}) {
+  if (options instanceof SimCard || options instanceof SimNtag) return options;
+  return options.type && String(options.type).toLowerCase().startsWith('ntag') ? new SimNtag(options) : new SimCard(options);
+}
+
+class SimReader extends EventEmitter {
+  constructor(name, nfc) {
+    super();
+    this.reader = { name };
+    this.nfc = nfc;
+    this.card = null;
+    this.KEY_TYPE_A = KEY_TYPE_A;
+    this.KEY_TYPE_B = KEY_TYPE_B;
+    this._simCard = null;
+    this._authSector = null;
+    this._authKey = null; // 'A' | 'B'
+    this._faults = [];
+  }
+
+  insertCard(options = {}) {
+    if (this._simCard) this.removeCard();
+    this._simCard = createCard(options);
+    this._authSector = null;
+    this.emit('card', {
+      type: 'TAG_ISO_14443_3',
+      standard: 'TAG_ISO_14443_3',
+      uid: this._simCard.uid,
+      atr: Buffer.from(this._simCard.isNtag ? ATR_ULTRALIGHT : ATR_CLASSIC_1K, 'hex')
+    });
+    return this._simCard;
+  }
+
+  removeCard() {
+    if (!this._simCard) return;
+    this._simCard = null;
+    this._authSector = null;
+    this.emit('card.off', {});
+  }
+
+  getCard() { return this._simCard; }
+
+  // Queue a failure for the next matching operation.
+  //   op:    'authenticate' | 'read' | 'write' | '*'
+  //   error: 'auth' | 'busy' | 'removed' | 'io' | 'corrupt' (write succeeds but stores wrong bytes)
+  //   count: how many matching operations fail (default 1)
+  //   afterBlocks: for 'removed' on write, number of blocks written before the card is pulled
+  injectFault(fault) {
+    this._faults.push({ op: '*', error: 'io', count: 1, ...fault });
+  }
+
+  clearFaults() { this._faults = []; }
+
+  _takeFault(op) {
+    const idx = this._faults.findIndex(f => f.op === op || f.op === '*');
+    if (idx === -1) return null;
+    const fault = this._faults[idx];
+    fault.count -= 1;
+    if (fault.count <= 0) this._faults.splice(idx, 1);
+    return fault;
+  }
+
+  _raise(fault) {
+    switch (fault.error) {
+      case 'auth':
+        throw simError('Authentication error after failed key load.', 'failure');
+      case 'busy':
+        throw simError('Busy');
+      case 'removed':
+        this.removeCard();
+        throw simError('Card was removed during operation.', 'card_not_connected');
+      default:
+        throw simError('Simulated transmission error.', 'operation_failed');
+    }
+  }
+
+  _requireCard() {
+    if (!this._simCard) throw simError('No card in field.', 'card_not_connected');
+    return this._simCard;
+  }
+
+  _requireAuth(block) {
+    if (this._authSector !== sectorOfBlock(block)) {
+      throw simError(`Sector of block ${block} is not authenticated.`, 'failure');
+    }
+  }
+
+  async authenticate(blockNumber, keyType, key) {
+    const card = this._requireCard();
+    const fault = this._takeFault('authenticate');
+    if (fault) this._raise(fault);
+    if (card.isNtag) throw simError('Authentication error after failed key load.', 'failure');
+    const sector = sectorOfBlock(blockNumber);
+    const conditions = card.conditions(sector);
+    const keyBUnusable = keyType === KEY_TYPE_B && (!conditions || KEY_B_READABLE.includes(conditions[3]));
+    if (keyBUnusable || !toKeyBuffer(key).equals(card.keyFor(sector, keyType))) {
+      this._authSector = null;
+      throw simError('Authentication error after failed key load.', 'failure');
+    }
+    this._authSector = sector;
+    this._authKey = keyType === KEY_TYPE_B ? 'B' : 'A';
+    return true;
+  }
+
+  async read(blockNumber, length, blockSize = 4) {
+    const card = this._requireCard();
+    const fault = this._takeFault('read');
+    if (fault) this._raise(fault);
+    if (card.isNtag) return this._readPages(card, blockNumber, length);
+    const blocks = Math.ceil(length / blockSize);
+    const out = Buffer.alloc(blocks * BLOCK_SIZE);
+    for (let i = 0; i < blocks; i++) {
+      const block = blockNumber + i;
+      this._requireAuth(block);
+      const conditions = card.conditions(sectorOfBlock(block));
+      if (!conditions) throw simError(`Read of block ${block} rejected.`, 'operation_failed');
+      const data = card.getBlock(block);
+      if (block % 4 === 3) {
+        // Key A never reads back; key B only when the trailer conditions make it plain data
+        data.fill(0, 0, 6);
+        if (!KEY_B_READABLE.includes(conditions[3]) || this._authKey !== 'A') data.fill(0, 10, 16);
+      } else if (!DATA_READ[this._authKey].includes(conditions[block % 4])) {
+        throw simError(`Read of block ${block} rejected.`, 'operation_failed');
+      }
+      data.copy(out, i * BLOCK_SIZE);
+    }
+    return out.subarray(0, length);
+  }
+
+  async write(blockNumber, data, blockSize = 4) {
+    const card = this._requireCard();
+    if (data.length < blockSize || data.length % blockSize !== 0) {
+      throw simError('Invalid data length. You can only update the entire data block(s).', 'invalid_data_length');
+    }
+    const fault = this._takeFault('write');
+    if (fault && fault.error !== 'removed' && fault.error !== 'corrupt') this._raise(fault);
+    if (card.isNtag) return this._writePages(card, blockNumber, data, fault);
+    const blocks = data.length / blockSize;
+    for (let i = 0; i < blocks; i++) {
+      if (fault && fault.error === 'removed' && i >= (fault.afterBlocks || 0)) this._raise(fault);
+      const block = blockNumber + i;
+      this._requireAuth(block);
+      if (block === 0 && !card.magic) throw simError('Write to manufacturer block rejected.', 'operation_failed');
+      const chunk = Buffer.from(data.subarray(i * blockSize, (i + 1) * blockSize));
+      this._checkWrite(card, block, chunk);
+      if (fault && fault.error === 'corrupt') chunk[0] ^= 0xFF;
+      card.setBlock(block, chunk);
+    }
+    if (fault && fault.error === 'removed') this._raise(fault);
+    return true;
+  }
+
+  _readPages(card, page, length) {
+    const count = Math.ceil(length / PAGE_SIZE);
+    if (page + count > card.spec.pages) throw simError(`Read of page ${page + count - 1} rejected.`, 'operation_failed');
+    return card.getPages(page, count).subarray(0, length);
+  }
+
+  // Only the user memory is writable; UID, lock bytes, capability container and the
+  // configuration pages are left alone.
+  _writePages(card, page, data, fault) {
+    const pages = data.length / PAGE_SIZE;
+    for (let i = 0; i < pages; i++) {
+      if (fault && fault.error === 'removed' && i >= (fault.afterBlocks || 0)) this._raise(fault);
+      const target = page + i;
+      if (target < NTAG_FIRST_USER_PAGE || target > card.lastUserPage) {
+        throw simError(`Write to page ${target} rejected.`, 'operation_failed');
+      }
+      const chunk = Buffer.from(data.subarray(i * PAGE_SIZE, (i + 1) * PAGE_SIZE));
+      if (fault && fault.error === 'corrupt') chunk[0] ^= 0xFF;
+      card.setPage(target, chunk);
+    }
+    if (fault && fault.error === 'removed') this._raise(fault);
+    return true;
+  }
+
+  _checkWrite(card, block, chunk) {
+    const conditions = card.conditions(sectorOfBlock(block));
+    const rejected = () => simError(`Write to block ${block} rejected.`, 'operation_failed');
+    if (!conditions) throw rejected();
+    if (block % 4 !== 3) {
+      if (!DATA_WRITE[this._authKey].includes(conditions[block % 4])) throw rejected();
+      return;
+    }
+    const current = card.getBlock(block);
+    const keysChanged = !chunk.subarray(0, 6).equals(current.subarray(0, 6)) || !chunk.subarray(10).equals(current.subarray(10));
+    const accessChanged = !chunk.subarray(6, 10).equals(current.subarray(6, 10));
+    if (keysChanged && TRAILER_KEYS_WRITE[conditions[3]] !== this._authKey) throw rejected();
+    if (accessChanged && TRAILER_ACCESS_WRITE[conditions[3]] !== this._authKey) throw rejected();
+  }
+
+  close() {
+    this.removeCard();
+    this.emit('end');
+  }
+}
+
+class SimNFC extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = options;
+    this.readers = [];
+    this._timers = [];
+
+    // Defer attach so listeners registered right after construction see the reader (like nfc-pcsc).
+    // Only the first reader gets the configured card; further readers start empty.
+    setImmediate(() => {
+      const names = options.readerNames && options.readerNames.length
+        ? options.readerNames : [options.readerName || 'BoxRFID Simulated Reader 00 00'];
+      const [reader] = names.map(name => this.attachReader(name));
+      if (options.script) {
+        this.runScript(options.script);
+      } else if (options.cardPresent !== false) {
+        reader.insertCard(this._cardOptions());
+      }
+    });
+  }
+
+  // The image file belongs to the first reader's card; cards on other readers stay in memory.
+  _cardOptions(overrides = {}, reader = this.readers[0]) {
+    const { uid, imagePath, keys, magic, type } = this.options;
+    const base = reader === this.readers[0] ? { uid, imagePath, keys, magic, type } : { keys, magic, type };
+    return { ...base, ...overrides };
+  }
+
+  // Reader by index or name
+  getReader(ref = 0) {
+    return typeof ref === 'number' ? this.readers[ref] : this.readers.find(r => r.reader.name === ref);
+  }
+
+  attachReader(name) {
+    const reader = new SimReader(name, this);
+    this.readers.push(reader);
+    reader.once('end', () => { this.readers = this.readers.filter(r => r !== reader); });
+    this.emit('reader', reader);
+    return reader;
+  }
+
+  // Runs a scenario: [{ delay, action: 'insert'|'remove'|'fault'|'detach', reader, ...args }].
+  // Delays are relative to the previous step; `reader` is an index or name (default: first reader).
+  runScript(steps) {
+    let at = 0;
+    for (const step of steps) {
+      at += Number(step.delay) || 0;
+      this._timers.push(setTimeout(() => {
+        const reader = this.getReader(step.reader !== undefined ? step.reader : 0);
+        if (!reader) return;
+        switch (step.action) {
+          case 'insert': reader.insertCard(this._cardOptions(step.card || {}, reader)); break;
+          case 'remove': reader.removeCard(); break;
+          case 'fault': reader.injectFault(step.fault || {}); break;
+          case 'detach': reader.close(); break;
+          default: break;
+        }
+      }, at));
+    }
+  }
+
+  close() {
+    this._timers.forEach(clearTimeout);
+    this._timers = [];
+    this.readers.slice().forEach(r => r.close());
+  }
+}
+
+// Build SimNFC options from BOXRFID_SIM_* environment variables.
+function optionsFromEnv(env = process.env) {
+  const options = {};
+  if (env.BOXRFID_SIM_UID) options.uid = env.BOXRFID_SIM_UID;
+  if (env.BOXRFID_SIM_READERS) options.readerNames = env.BOXRFID_SIM_READERS.split(',').map(n => n.trim()).filter(Boolean);
+  if (env.BOXRFID_SIM_IMAGE) options.imagePath = env.BOXRFID_SIM_IMAGE;
+  if (env.BOXRFID_SIM_KEY) options.keys = env.BOXRFID_SIM_KEY;
+  if (env.BOXRFID_SIM_TAG_TYPE) options.type = env.BOXRFID_SIM_TAG_TYPE;
+  if (env.BOXRFID_SIM_CARD === 'absent') options.cardPresent = false;
+  if (env.BOXRFID_SIM_SCRIPT) {
+    options.script = JSON.parse(fs.readFileSync(env.BOXRFID_SIM_SCRIPT, 'utf8'));
+  }
+  return options;
+}
+
+module.exports = {
+  SimNFC,
+  SimReader,
+  SimCard,
+  SimNtag,
+  NTAG_TYPES,
+  createBlankImage,
+  optionsFromEnv,
+  KEY_TYPE_A,
+  KEY_TYPE_B
+};
@@ -0,0 +1,237 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+// OpenSpool filament records on NTAG21x tags. The user memory (from page 4) holds an NDEF
+// message TLV (0x03 length message) followed by the terminator TLV (0xFE); the message is one
+// MIME record "application/json" with the OpenSpool JSON:
+//
+//   { "protocol": "openspool", "version": "1.0", "type": "PLA", "color_hex": "FFAABB",
+//     "brand": "Generic", "min_temp": "220", "max_temp": "240" }
+//
+// BoxRFID adds bed_min_temp, bed_max_temp, weight (g) and diameter (mm) when they are set;
+// other readers ignore fields they do not know. In JS the record uses camelCase fields:
+// { type, colorHex: '#RRGGBB', brand, minTemp, maxTemp, bedMinTemp, bedMaxTemp, weight, diameter }.
+
+const filamentData = require('./filament-data');
+const { codedError } = require('./errors');
+
+const MIME_TYPE = 'application/json';
+const PROTOCOL = 'openspool';
+const VERSION = '1.0';
+
+const TLV_NULL = 0x00;
+const TLV_NDEF = 0x03;
+const TLV_TERMINATOR = 0xFE;
+const TNF_MIME = 0x02;
+
+// JSON field <-> record field, all optional numbers
+const NUMBER_FIELDS = {
+  min_temp: 'minTemp',
+  max_temp: 'maxTemp',
+  bed_min_temp: 'bedMinTemp',
+  bed_max_temp: 'bedMaxTemp',
+  weight: 'weight',
+  diameter: 'diameter'
+};
+
+function invalidRecord(reason) {
+  return codedError('PAYLOAD_INVALID', reason);
+}
+
+// One NDEF record (MB and ME set); short record when the payload fits in 255 bytes
+function encodeRecord(tnf, type, payload) {
+  const typeBuf = Buffer.from(type, 'ascii');
+  const short = payload.length < 256;
+  const header = Buffer.alloc(short ? 3 : 6);
+  header[0] = 0x80 | 0x40 | (short ? 0x10 : 0) | tnf;
+  header[1] = typeBuf.length;
+  if (short) header[2] = payload.length;
+  else header.writeUInt32BE(payload.length, 2);
+  return Buffer.concat([header, typeBuf, payload]);
+}
+
+// NDEF message -> [{ tnf, type, id, payload }]; null when the message is malformed
+function parseRecords(message) {
+  const records = [];
+  let off = 0;
+  while (off < message.length) {
+    const flags = message[off];
+    const short = !!(flags & 0x10);
+    const hasId = !!(flags & 0x08);
+    let p = off + 1;
+    if (p + 1 > message.length) return null;
+    const typeLength = message[p++];
+    let payloadLength;
+    if (short) {
+      payloadLength = message[p++];
+    } else {
+      if (p + 4 > message.length) return null;
+      payloadLength = message.readUInt32BE(p);
+      p += 4;
+    }
+    const idLength = hasId ? message[p++] : 0;
+    const end = p + typeLength + idLength + payloadLength;
+    if (end > message.length) return null;
+    records.push({
+      tnf: flags & 0x07,
+      type: message.subarray(p, p + typeLength).toString('ascii'),
+      id: message.subarray(p + typeLength, p + typeLength + idLength),
+      payload: message.subarray(p + typeLength + idLength, end)
+    });
+    off = end;
+    if (flags & 0x40) break;
+  }
+  return records;
+}
+
+// First NDEF message TLV in the user memory; null when there is none
+function findMessage(memory) {
+  let off = 0;
+  while (off < memory.length) {
+    const tag = memory[off];
+    if (tag === TLV_NULL) { off++; continue; }
+    if (tag === TLV_TERMINATOR || off + 2 > memory.length) return null;
+    if (memory[off + 1] === 0xFF && off + 4 > memory.length) return null;
+    let length = memory[off + 1];
+    let start = off + 2;
+    if (length === 0xFF) {
+      length = memory.readUInt16BE(off + 2);
+      start = off + 4;
+    }
+    if (start + length > memory.length) return null;
+    if (tag === TLV_NDEF) return memory.subarray(start, start + length);
+    off = start + length;
+  }
+  return null;
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+// Record fields -> OpenSpool JSON object. Type and color are required.
+function toJson(record) {
+  const type = String(record.type || '').trim();
+  const colorHex = filamentData.normalizeHex(record.colorHex);
+  if (!type) throw invalidRecord('OpenSpool record needs a material type');
+  if (!colorHex) throw invalidRecord(`Invalid color: ${record.colorHex}`);
+  const json = {
+    protocol: PROTOCOL,
+    version: VERSION,
+    type,
+    color_hex: colorHex.slice(1),
+    brand: String(record.brand || 'Generic')
+  };
+  for (const [key, field] of Object.entries(NUMBER_FIELDS)) {
+    const n = toNumber(record[field]);
+    if (n !== null) json[key] = String(n);
+  }
+  return json;
+}
+
+// OpenSpool JSON object -> record fields; null when it is not an OpenSpool record
+function fromJson(json) {
+  if (!json || typeof json !== 'object' || String(json.protocol).toLowerCase() !== PROTOCOL) return null;
+  const record = {
+    version: json.version ? String(json.version) : null,
+    type: json.type ? String(json.type) : null,
+    colorHex: filamentData.normalizeHex(json.color_hex),
+    brand: json.brand ? String(json.brand) : null
+  };
+  for (const [key, field] of Object.entries(NUMBER_FIELDS)) record[field] = toNumber(json[key]);
+  return record;
+}
+
+// Record fields -> bytes for the user memory: NDEF TLV plus terminator
+function encode(record) {
+  const payload = Buffer.from(JSON.stringify(toJson(record)), 'utf8');
+  const message = encodeRecord(TNF_MIME, MIME_TYPE, payload);
+  const tlvHeader = message.length < 0xFF
+    ? Buffer.from([TLV_NDEF, message.length])
+    : Buffer.from([TLV_NDEF, 0xFF, message.length >> 8, message.length & 0xFF]);
+  return Buffer.concat([tlvHeader, message, Buffer.from([TLV_TERMINATOR])]);
+}
+
+// User memory -> { format, record }. format: 'openspool', 'ndef' (another NDEF message)
+// or 'empty' (no NDEF message, or an empty one).
+function decode(memory) {
+  const message = memory ? findMessage(Buffer.from(memory)) : null;
+  if (!message || !message.length) return { format: 'empty', record: null };
+  const records = parseRecords(message) || [];
+  for (const r of records) {
+    if (r.tnf !== TNF_MIME || r.type.toLowerCase() !== MIME_TYPE) continue;
+    let json;
+    try { json = JSON.parse(r.payload.toString('utf8')); } catch { continue; }
+    const record = fromJson(json);
+    if (record) return { format: 'openspool', record };
+  }
+  return { format: 'ndef', record: null };
+}
+
+// QIDI codes (plus the optional extended data, see tag-payload.js) -> record fields,
+// with names from the given tables (filament-data.js buildTables shape).
+function recordFromCodes(tables, qidi, extended = null) {
+  const record = {
+    type: tables.materials[qidi.material] || null,
+    colorHex: filamentData.colorHexOf(tables, qidi.color),
+    brand: tables.manufacturers[qidi.manufacturer] || 'Generic'
+  };
+  if (extended) {
+    record.minTemp = extended.nozzleTempMin;
+    record.maxTemp = extended.nozzleTempMax;
+    record.bedMinTemp = extended.bedTempMin;
+    record.bedMaxTemp = extended.bedTempMax;
+    record.weight = extended.nominalWeight;
+    record.diameter = extended.diameter;
+  }
+  return record;
+}
+
+// Record fields -> QIDI codes through the tables; unknown names give null
+function codesFromRecord(tables, record) {
+  const hex = filamentData.normalizeHex(record.colorHex);
+  return {
+    material: record.type ? filamentData.resolveMaterial(tables, record.type) : null,
+    color: hex && tables.colors[hex] !== undefined ? Number(tables.colors[hex]) : null,
+    manufacturer: record.brand ? filamentData.resolveManufacturer(tables, record.brand) : null
+  };
+}
+
+// The temperatures, weight and diameter of a record in the shape of tag-payload.js decode();
+// null when none of them is set.
+function toExtended(record) {
+  if (!record) return null;
+  const extended = {
+    nominalWeight: record.weight,
+    remainingWeight: null,
+    diameter: record.diameter,
+    nozzleTempMin: record.minTemp,
+    nozzleTempMax: record.maxTemp,
+    bedTempMin: record.bedMinTemp,
+    bedTempMax: record.bedMaxTemp,
+    date: null,
+    dateType: null,
+    lot: null
+  };
+  return Object.values(extended).some(v => v !== null && v !== undefined) ? extended : null;
+}
+
+module.exports = {
+  MIME_TYPE,
+  encode,
+  decode,
+  encodeRecord,
+  parseRecords,
+  findMessage,
+  toJson,
+  fromJson,
+  recordFromCodes,
+  codesFromRecord,
+  toExtended
+};
@@ -10,9 +10,71 @@ const { contextBridge, ipcRenderer } = require('electron');
 contextBridge.exposeInMainWorld('electronAPI', {
   // RFID operations
   writeTag: (data) => ipcRenderer.invoke('rfid-write', data),
-  readTag: () => ipcRenderer.invoke('rfid-read'),
+  readTag: (options = {}) => ipcRenderer.invoke('rfid-read', options),
+  convertReadTag: (options = {}) => ipcRenderer.invoke('rfid-convert-read', options),
+  convertWriteTag: (options = {}) => ipcRenderer.invoke('rfid-convert-write', options),
   getStatus: () => ipcRenderer.invoke('rfid-status'),
-  setAutoRead: (enable) => ipcRenderer.invoke('rfid-auto', { enable }),
+  setAutoRead: (enable, readers = []) => ipcRenderer.invoke('rfid-auto', { enable, readers }),
+  backupTag: (options = {}) => ipcRenderer.invoke('rfid-backup', options),
+  restoreTag: (options = {}) => ipcRenderer.invoke('rfid-restore', options),
+  getSectorAccess: (options = {}) => ipcRenderer.invoke('rfid-sector-access', options),
+  lockTag: (options = {}) => ipcRenderer.invoke('rfid-lock', options),
+  unlockTag: (options = {}) => ipcRenderer.invoke('rfid-unlock', options),
+  inspectTag: (options = {}) => ipcRenderer.invoke('rfid-inspect', options),
+  eraseTag: (options = {}) => ipcRenderer.invoke('rfid-erase', options),
+
+  // Batch tagging
+  startBatch: (jobs, options = {}) => ipcRenderer.invoke('batch-start', { jobs, ...options }),
+  stopBatch: () => ipcRenderer.invoke('batch-stop'),
+  getBatchStatus: () => ipcRenderer.invoke('batch-status'),
+  onBatchProgress: (callback) => {
+    ipcRenderer.removeAllListeners('batch-progress');
+    ipcRenderer.on('batch-progress', (_event, progress) => callback(progress));
+  },
+
+  // Spool inventory
+  listInventory: () => ipcRenderer.invoke('inventory-list'),
+  updateInventory: (uid, fields) => ipcRenderer.invoke('inventory-update', { uid, fields }),
+  deleteInventory: (uid) => ipcRenderer.invoke('inventory-delete', { uid }),
+
+  // Key manager
+  listKeys: () => ipcRenderer.invoke('keys-list'),
+  addKey: (entry) => ipcRenderer.invoke('keys-add', entry),
+  deleteKey: (id) => ipcRenderer.invoke('keys-delete', { id }),
+
+  // Settings file, profiles and printer profiles
+  loadSettings: () => ipcRenderer.invoke('settings-load'),
+  saveSettings: (settings) => ipcRenderer.invoke('settings-save', { settings }),
+  exportProfile: () => ipcRenderer.invoke('settings-export'),
+  openProfile: () => ipcRenderer.invoke('settings-import-open'),
+  applyProfile: (options) => ipcRenderer.invoke('settings-import-apply', options),
+  switchPrinterProfile: (id) => ipcRenderer.invoke('printer-profile-switch', { id }),
+
+  // Filament tables: built-in defaults, official cfg parsing
+  getDefaultTables: () => ipcRenderer.invoke('filament-defaults'),
+  parseOfficialCfg: (text) => ipcRenderer.invoke('filament-cfg-parse', { text }),
+
+  // Spool labels
+  getLabelOptions: () => ipcRenderer.invoke('label-options'),
+  previewLabels: (options) => ipcRenderer.invoke('label-preview', options),
+  outputLabels: (options) => ipcRenderer.invoke('label-output', options),
+
+  // Diagnostics
+  getDiagnostics: () => ipcRenderer.invoke('diagnostics-info'),
+  exportSupportBundle: () => ipcRenderer.invoke('diagnostics-export'),
+  logError: (entry) => ipcRenderer.invoke('diagnostics-log', entry),
+
+  // Local HTTP API
+  configureApi: (config) => ipcRenderer.invoke('api-configure', config),
+  generateApiToken: () => ipcRenderer.invoke('api-generate-token'),
+
+  // Tray mode: icon and login item settings with the menu texts, notifications, writes from the tray menu
+  configureTray: (config) => ipcRenderer.invoke('tray-configure', config),
+  trayNotify: (notification) => ipcRenderer.invoke('tray-notify', notification),
+  onTrayWriteResult: (callback) => {
+    ipcRenderer.removeAllListeners('tray-write-result');
+    ipcRenderer.on('tray-write-result', (_event, result) => callback(result));
+  },
 
   // Auto-read status stream
   onAutoStatus: (callback) => {
@@ -20,10 +82,34 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ipcRenderer.on('rfid-auto-status', (_event, status) => callback(status));
   },
 
-  // File dialog and file system (for official cfg)
-  openFileDialog: (options = {}) => ipcRenderer.invoke('dialog:openFile', options),
-  readFile: (path, encoding = 'utf8') => ipcRenderer.invoke('fs:readFile', { path, encoding }),
-  exists: (path) => ipcRenderer.invoke('fs:exists', { path }),
+  // Reader events: reader attached/detached, card present/removed, read completed (with the reader status)
+  onReaderEvent: (callback) => {
+    ipcRenderer.removeAllListeners('rfid-reader-event');
+    ipcRenderer.on('rfid-reader-event', (_event, event) => callback(event));
+  },
+
+  // Official cfg from the printer (Moonraker), cached per printer profile
+  syncPrinterCfg: (config) => ipcRenderer.invoke('printer-cfg-sync', config),
+  getCachedPrinterCfg: (profile) => ipcRenderer.invoke('printer-cfg-cached', { profile }),
+
+  // Spoolman: connection test, spools to pick from, spool of a tag (optionally created), link a tag
+  spoolmanInfo: (config) => ipcRenderer.invoke('spoolman-info', { config }),
+  getSpoolmanSpools: (options) => ipcRenderer.invoke('spoolman-spools', options),
+  spoolmanLookup: (options) => ipcRenderer.invoke('spoolman-lookup', options),
+  spoolmanLink: (options) => ipcRenderer.invoke('spoolman-link', options),
+
+  // Files by purpose ('official-cfg', 'cfg-export'): only what the user picked in the dialog can be read
+  openFileDialog: (purpose) => ipcRenderer.invoke('dialog:openFile', { purpose }),
+  readFile: (purpose) => ipcRenderer.invoke('fs:readFile', { purpose }),
+  exists: (purpose) => ipcRenderer.invoke('fs:exists', { purpose }),
+
+  // Custom materials / manufacturers -> the cfg picked for 'cfg-export' (preview, then save with backup)
+  cfgExportPreview: (options) => ipcRenderer.invoke('cfg-export-preview', options),
+  cfgExportSave: (options) => ipcRenderer.invoke('cfg-export-save', options),
+
+  // Locale packs (shipped and userData/locales), with English filled in for missing keys
+  loadLocales: () => ipcRenderer.invoke('locales-load'),
+  openLocaleFolder: () => ipcRenderer.invoke('locales-open-folder'),
 
   // System info
   platform: process.platform,
@@ -0,0 +1,131 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+// Fetch officiall_filas_list.cfg from the printer through Moonraker's file API
+// (GET /server/files/<root>/<path>) and keep the last good copy in userData for offline use.
+// Every successful sync is compared with the previous copy, so the UI can show what changed.
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const crypto = require('crypto');
+const { parseOfficialCfgText } = require('./filament-data');
+const { codedError } = require('./errors');
+
+const DEFAULT_PORT = 7125;
+const DEFAULT_FILE_PATH = 'config/officiall_filas_list.cfg';
+const FETCH_TIMEOUT_MS = 8000;
+const CACHE_FILE = 'officiall_filas_list.cfg';
+const META_FILE = 'meta.json';
+
+// Host may be "192.168.1.50", "printer.local:7125" or a full "http(s)://..." base URL.
+function buildFileUrl({ host, port, filePath } = {}) {
+  const raw = String(host || '').trim();
+  if (!raw) throw codedError('PRINTER_HOST_MISSING');
+  const base = /^https?:\/\//i.test(raw) ? raw : `http://${raw}`;
+  let url;
+  try { url = new URL(base); } catch { throw codedError('PRINTER_HOST_MISSING', raw); }
+  if (!url.port && !/^https?:\/\/[^/]+:\d+/i.test(base)) url.port = String(parseInt(port, 10) || DEFAULT_PORT);
+  const file = String(filePath || DEFAULT_FILE_PATH).replace(/^\/+/, '').split('/').map(encodeURIComponent).join('/');
+  url.pathname = `${url.pathname.replace(/\/+$/, '')}/server/files/${file}`;
+  return url.toString();
+}
+
+async function fetchCfgText(config) {
+  const url = buildFileUrl(config);
+  const headers = config.apiKey ? { 'X-Api-Key': String(config.apiKey) } : {};
+  let res;
+  try {
+    res = await fetch(url, { headers, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  } catch (e) {
+    throw codedError('PRINTER_UNREACHABLE', `${url}: ${e && e.cause && e.cause.code ? e.cause.code : e.message}`);
+  }
+  if (res.status === 401 || res.status === 403) throw codedError('PRINTER_AUTH_FAILED', `HTTP ${res.status}`);
+  if (res.status === 404) throw codedError('PRINTER_FILE_NOT_FOUND', url);
+  if (!res.ok) throw codedError('PRINTER_UNREACHABLE', `HTTP ${res.status}`);
+  return res.text();
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+// Compares two code -> name maps: added, removed and renamed entries by code.
+function diffMaps(before, after) {
+  const added = [];
+  const removed = [];
+  const renamed = [];
+  for (const [code, name] of Object.entries(after)) {
+    if (before[code] === undefined) added.push({ code: Number(code), name });
+    else if (before[code] !== name) renamed.push({ code: Number(code), from: before[code], to: name });
+  }
+  for (const [code, name] of Object.entries(before)) {
+    if (after[code] === undefined) removed.push({ code: Number(code), name });
+  }
+  const byCode = (a, b) => a.code - b.code;
+  return { added: added.sort(byCode), removed: removed.sort(byCode), renamed: renamed.sort(byCode) };
+}
+
+function diffCfg(oldText, newText) {
+  const before = oldText ? parseOfficialCfgText(oldText) : { materialsMap: {}, vendorsMap: {} };
+  const after = parseOfficialCfgText(newText);
+  const materials = diffMaps(before.materialsMap, after.materialsMap);
+  const vendors = diffMaps(before.vendorsMap, after.vendorsMap);
+  const count = (d) => d.added.length + d.removed.length + d.renamed.length;
+  return { materials, vendors, changes: count(materials) + count(vendors) };
+}
+
+class PrinterCfgSync {
+  constructor(cacheDir) {
+    this.cacheDir = cacheDir;
+  }
+
+  // Last good copy: { text, fetchedAt, host, filePath } or null
+  async cached() {
+    try {
+      const [text, meta] = await Promise.all([
+        fsp.readFile(path.join(this.cacheDir, CACHE_FILE), 'utf8'),
+        fsp.readFile(path.join(this.cacheDir, META_FILE), 'utf8').then(JSON.parse)
+      ]);
+      return { text, fetchedAt: meta.fetchedAt, host: meta.host, filePath: meta.filePath };
+    } catch {
+      return null;
+    }
+  }
+
+  // Downloads the cfg, validates it and replaces the cached copy. An invalid download never
+  // overwrites the cache. Resolves with the text plus the diff against the previous copy.
+  async sync(config) {
+    const text = await fetchCfgText(config);
+    try {
+      parseOfficialCfgText(text);
+    } catch (err) {
+      throw codedError('CFG_INVALID', `Downloaded file is not a valid officiall_filas_list.cfg${err.details ? `: ${err.details}` : ''}`);
+    }
+    const previous = await this.cached();
+    const changed = !previous || sha256(previous.text) !== sha256(text);
+    const diff = changed ? diffCfg(previous ? previous.text : null, text) : null;
+    const fetchedAt = new Date().toISOString();
+
+    await fsp.mkdir(this.cacheDir, { recursive: true });
+    await fsp.writeFile(path.join(this.cacheDir, CACHE_FILE), text, 'utf8');
+    await fsp.writeFile(path.join(this.cacheDir, META_FILE), JSON.stringify({
+      host: config.host,
+      filePath: config.filePath || DEFAULT_FILE_PATH,
+      fetchedAt,
+      sha256: sha256(text)
+    }, null, 2), 'utf8');
+
+    return { text, fetchedAt, changed, firstSync: !previous, diff };
+  }
+}
+
+module.exports = PrinterCfgSync;
+module.exports.DEFAULT_PORT = DEFAULT_PORT;
+module.exports.DEFAULT_FILE_PATH = DEFAULT_FILE_PATH;
+module.exports.buildFileUrl = buildFileUrl;
+module.exports.diffCfg = diffCfg;
@@ -0,0 +1,346 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+// Minimal QR code encoder for the spool labels (ISO/IEC 18004): byte mode, error correction
+// level M, versions 1..10 (up to 213 bytes, enough for the label payload). The smallest version
+// that fits is used and the mask with the lowest penalty is chosen.
+//
+//   encode(text)         -> { version, size, modules }   modules[y][x], true = dark
+//   toSvg(text, options) -> SVG markup that scales to its container
+
+const { codedError } = require('./errors');
+
+// Error correction level M per version: EC codewords per block, [block count, data codewords]...
+const EC_BLOCKS_M = [
+  null,
+  [10, [1, 16]],
+  [16, [1, 28]],
+  [26, [1, 44]],
+  [18, [2, 32]],
+  [24, [2, 43]],
+  [16, [4, 27]],
+  [18, [4, 31]],
+  [22, [2, 38], [2, 39]],
+  [22, [3, 36], [2, 37]],
+  [26, [4, 43], [1, 44]]
+];
+const ALIGNMENT_POSITIONS = [
+  null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+  [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+];
+const MAX_VERSION = EC_BLOCKS_M.length - 1;
+const EC_LEVEL_BITS_M = 0b00;
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+// ---- Reed-Solomon over GF(256), polynomial 0x11D ----
+
+const EXP = new Array(512);
+const LOG = new Array(256);
+(() => {
+  let v = 1;
+  for (let i = 0; i < 255; i++) {
+    EXP[i] = v;
+    LOG[v] = i;
+    v <<= 1;
+    if (v & 0x100) v ^= 0x11D;
+  }
+  for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+})();
+
+function gfMul(a, b) {
+  return a && b ? EXP[LOG[a] + LOG[b]] : 0;
+}
+
+// Generator polynomial (x - a^0)(x - a^1)...(x - a^(degree-1)), leading coefficient dropped
+function rsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMul(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMul(root, 0x02);
+  }
+  return result;
+}
+
+function rsRemainder(data, divisor) {
+  const result = new Array(divisor.length).fill(0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMul(coef, factor); });
+  }
+  return result;
+}
+
+// ---- Data codewords ----
+
+function capacity(version) {
+  const [, ...groups] = EC_BLOCKS_M[version];
+  return groups.reduce((sum, [count, data]) => sum + count * data, 0);
+}
+
+function countBits(version) {
+  return version < 10 ? 8 : 16;
+}
+
+function chooseVersion(length) {
+  for (let v = 1; v <= MAX_VERSION; v++) {
+    if (4 + countBits(v) + length * 8 <= capacity(v) * 8) return v;
+  }
+  throw codedError('QR_TOO_LONG', `${length} bytes`);
+}
+
+function dataCodewords(bytes, version) {
+  const bits = [];
+  const push = (value, length) => { for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1); };
+  push(0b0100, 4);
+  push(bytes.length, countBits(version));
+  for (const b of bytes) push(b, 8);
+  const capacityBits = capacity(version) * 8;
+  push(0, Math.min(4, capacityBits - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+  for (let pad = 0xEC; codewords.length < capacity(version); pad ^= 0xEC ^ 0x11) codewords.push(pad);
+  return codewords;
+}
+
+// Split into blocks, add the EC codewords, interleave
+function finalCodewords(data, version) {
+  const [ecLength, ...groups] = EC_BLOCKS_M[version];
+  const divisor = rsDivisor(ecLength);
+  const blocks = [];
+  let off = 0;
+  for (const [count, length] of groups) {
+    for (let i = 0; i < count; i++) {
+      const block = data.slice(off, off + length);
+      off += length;
+      blocks.push({ data: block, ec: rsRemainder(block, divisor) });
+    }
+  }
+  const result = [];
+  const maxData = Math.max(...blocks.map(b => b.data.length));
+  for (let i = 0; i < maxData; i++) {
+    for (const b of blocks) if (i < b.data.length) result.push(b.data[i]);
+  }
+  for (let i = 0; i < ecLength; i++) {
+    for (const b of blocks) result.push(b.ec[i]);
+  }
+  return result;
+}
+
+// ---- Matrix ----
+
+class Matrix {
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.reserved[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const { size } = this;
+    for (let i = 0; i < size; i++) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+    this.drawFinder(3, 3);
+    this.drawFinder(size - 4, 3);
+    this.drawFinder(3, size - 4);
+
+    const positions = ALIGNMENT_POSITIONS[this.version];
+    const last = positions.length - 1;
+    positions.forEach((x, i) => positions.forEach((y, j) => {
+      // Skip the three corners taken by the finder patterns
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      this.drawAlignment(x, y);
+    }));
+
+    this.drawFormatBits(0);
+    this.drawVersion();
+  }
+
+  // Finder pattern with its separator, centred at (cx, cy)
+  drawFinder(cx, cy) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx, y = cy + dy;
+        if (x < 0 || y < 0 || x >= this.size || y >= this.size) continue;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        this.setFunction(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+
+  drawAlignment(cx, cy) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+
+  drawFormatBits(mask) {
+    const data = (EC_LEVEL_BITS_M << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) !== 0;
+    const { size } = this;
+
+    for (let i = 0; i <= 5; i++) this.setFunction(8, i, bit(i));
+    this.setFunction(8, 7, bit(6));
+    this.setFunction(8, 8, bit(7));
+    this.setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, bit(i));
+
+    for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, bit(i));
+    this.setFunction(8, size - 8, true);
+  }
+
+  drawVersion() {
+    if (this.version < 7) return;
+    let rem = this.version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    const bits = (this.version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) !== 0;
+      const a = this.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.setFunction(a, b, dark);
+      this.setFunction(b, a, dark);
+    }
+  }
+
+  // Zigzag from the bottom right corner, two columns at a time, skipping the timing column
+  drawCodewords(codewords) {
+    const { size } = this;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (this.reserved[y][x]) continue;
+          if (i < codewords.length * 8) {
+            this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    const fn = MASKS[mask];
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.reserved[y][x] && fn(x, y)) this.modules[y][x] = !this.modules[y][x];
+      }
+    }
+  }
+
+  penalty() {
+    const { size, modules } = this;
+    let score = 0;
+    const line = (get) => {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && get(i) === get(i - 1)) { run++; continue; }
+        if (run >= 5) score += 3 + (run - 5);
+        run = 1;
+      }
+      // 1:1:3:1:1 finder-like pattern with four light modules on one side
+      for (let i = 0; i + 11 <= size; i++) {
+        const w = Array.from({ length: 11 }, (_, k) => get(i + k));
+        const core = w[0] && !w[1] && w[2] && w[3] && w[4] && !w[5] && w[6];
+        const coreAt4 = w[4] && !w[5] && w[6] && w[7] && w[8] && !w[9] && w[10];
+        if (core && !w[7] && !w[8] && !w[9] && !w[10]) score += 40;
+        if (coreAt4 && !w[0] && !w[1] && !w[2] && !w[3]) score += 40;
+      }
+    };
+    for (let y = 0; y < size; y++) line((x) => modules[y][x]);
+    for (let x = 0; x < size; x++) line((y) => modules[y][x]);
+
+    for (let y = 0; y + 1 < size; y++) {
+      for (let x = 0; x + 1 < size; x++) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+      }
+    }
+
+    const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return score;
+  }
+}
+
+function encode(text, { mask = null } = {}) {
+  const bytes = Buffer.from(String(text), 'utf8');
+  const version = chooseVersion(bytes.length);
+  const codewords = finalCodewords(dataCodewords(bytes, version), version);
+
+  const build = (m) => {
+    const matrix = new Matrix(version);
+    matrix.drawFunctionPatterns();
+    matrix.drawCodewords(codewords);
+    matrix.applyMask(m);
+    matrix.drawFormatBits(m);
+    return matrix;
+  };
+
+  let best = null;
+  for (let m = 0; m < MASKS.length; m++) {
+    if (mask !== null && m !== mask) continue;
+    const matrix = build(m);
+    const score = matrix.penalty();
+    if (!best || score < best.score) best = { matrix, score, mask: m };
+  }
+  return { version, size: best.matrix.size, mask: best.mask, modules: best.matrix.modules };
+}
+
+// One path for all dark modules; `margin` is the quiet zone in modules (4 per the standard)
+function toSvg(text, { margin = 4, color = '#000', background = '#fff' } = {}) {
+  const { size, modules } = encode(text);
+  const full = size + margin * 2;
+  let path = '';
+  modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) path += `M${x + margin},${y + margin}h1v1h-1z`;
+  }));
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${full} ${full}" shape-rendering="crispEdges">` +
+    `<rect width="${full}" height="${full}" fill="${background}"/><path d="${path}" fill="${color}"/></svg>`;
+}
+
+module.exports = {
+  MAX_VERSION,
+  encode,
+  toSvg
+};
@@ -0,0 +1,131 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+// MIFARE Classic sector trailers: access conditions, presets and the safety checks that run
+// before any trailer is written by the lock / unlock actions.
+//
+// Access conditions are three bits (C1 C2 C3) per block of a sector. For the data blocks:
+//   000  read A|B, write A|B (transport)      100  read A|B, write B
+//   010  read A|B, never written              110  read A|B, write B, value ops
+//   001  read A|B, decrement only             011  read B,   write B
+//   101  read B,   never written              111  no access
+// For the trailer (block 3) what matters here is who may rewrite it later:
+//   001  key A writes keys and access bits (transport)
+//   011  key B writes keys and access bits
+//   101  key B writes access bits, keys frozen
+//   every other value makes the access bits permanent.
+
+const { isValidAccessBits } = require('./tag-dump');
+const { codedError } = require('./errors');
+
+const SECTOR_COUNT = 16;
+const DEFAULT_GPB = 0x69;
+const DEFAULT_KEY = 'ffffffffffff';
+
+// Trailer conditions that keep the access bits rewritable, and the key needed to do so
+const REWRITABLE_TRAILER = { 0b001: 'A', 0b011: 'B', 0b101: 'B' };
+// Data block conditions that still let key A read (the QIDI Box authenticates with key A)
+const READABLE_WITH_KEY_A = [0b000, 0b010, 0b100, 0b110, 0b001];
+// Data block conditions that let key A write
+const WRITABLE_WITH_KEY_A = [0b000];
+
+// [data block 0, 1, 2, trailer] conditions
+const PRESETS = {
+  // Factory default: everything read/write with key A
+  transport: [0b000, 0b000, 0b000, 0b001],
+  // Readable with key A or B, writes (data and trailer) only with key B
+  writeProtected: [0b100, 0b100, 0b100, 0b011]
+};
+
+function normalizeKey(value) {
+  const key = String(value || '').replace(/[\s:-]/g, '').toLowerCase();
+  if (!/^[0-9a-f]{12}$/.test(key)) throw codedError('KEY_INVALID', String(value || ''));
+  return key;
+}
+
+// [c0, c1, c2, c3] -> access bytes 6..8
+function encodeAccessBits(conditions) {
+  let c1 = 0, c2 = 0, c3 = 0;
+  conditions.forEach((cond, block) => {
+    if (cond & 0b100) c1 |= 1 << block;
+    if (cond & 0b010) c2 |= 1 << block;
+    if (cond & 0b001) c3 |= 1 << block;
+  });
+  return Buffer.from([
+    ((~c2 & 0x0F) << 4) | (~c1 & 0x0F),
+    (c1 << 4) | (~c3 & 0x0F),
+    (c3 << 4) | c2
+  ]);
+}
+
+// Access bytes 6..8 (or a full trailer) -> [c0, c1, c2, c3]; null when the bits are inconsistent
+function decodeAccessBits(bytes) {
+  const trailer = bytes.length >= 9 ? bytes : Buffer.concat([Buffer.alloc(6), bytes]);
+  if (!isValidAccessBits(trailer)) return null;
+  const c1 = (trailer[7] >> 4) & 0x0F, c2 = trailer[8] & 0x0F, c3 = (trailer[8] >> 4) & 0x0F;
+  return [0, 1, 2, 3].map(block =>
+    (((c1 >> block) & 1) << 2) | (((c2 >> block) & 1) << 1) | ((c3 >> block) & 1));
+}
+
+// Rejects everything that could lock the tag for good: inconsistent bits, a trailer that can
+// never be rewritten, data key A can no longer read, or sector 0.
+function validateAccess(sector, accessBytes) {
+  if (!Number.isInteger(sector) || sector < 1 || sector >= SECTOR_COUNT) {
+    throw codedError('ACCESS_UNSAFE', `sector ${sector}`);
+  }
+  const conditions = decodeAccessBits(accessBytes);
+  if (!conditions) throw codedError('INVALID_ACCESS_BITS', `sector ${sector}`);
+  if (!REWRITABLE_TRAILER[conditions[3]]) throw codedError('ACCESS_UNSAFE', 'trailer would become permanent');
+  if (conditions.slice(0, 3).some(c => !READABLE_WITH_KEY_A.includes(c))) {
+    throw codedError('ACCESS_UNSAFE', 'data blocks would no longer be readable with key A');
+  }
+  return conditions;
+}
+
+// 16-byte trailer: key A, access bytes, general purpose byte, key B
+function buildTrailer({ keyA, keyB, accessBytes, gpb = DEFAULT_GPB }) {
+  return Buffer.concat([
+    Buffer.from(normalizeKey(keyA), 'hex'),
+    Buffer.from(accessBytes),
+    Buffer.from([gpb & 0xFF]),
+    Buffer.from(normalizeKey(keyB), 'hex')
+  ]);
+}
+
+// Preset name or 6 hex digits -> access bytes
+function resolveAccess(access) {
+  if (PRESETS[access]) return encodeAccessBits(PRESETS[access]);
+  const hex = String(access || '').replace(/\s/g, '');
+  if (!/^[0-9a-f]{6}$/i.test(hex)) throw codedError('INVALID_ACCESS_BITS', String(access || ''));
+  return Buffer.from(hex, 'hex');
+}
+
+// Key type that must authenticate to rewrite a trailer with these access bytes
+function trailerWriteKeyType(accessBytes) {
+  const conditions = decodeAccessBits(accessBytes);
+  return conditions ? (REWRITABLE_TRAILER[conditions[3]] || null) : null;
+}
+
+function isWriteProtected(accessBytes) {
+  const conditions = decodeAccessBits(accessBytes);
+  return !!conditions && conditions.slice(0, 3).some(c => !WRITABLE_WITH_KEY_A.includes(c));
+}
+
+module.exports = {
+  SECTOR_COUNT,
+  DEFAULT_KEY,
+  DEFAULT_GPB,
+  PRESETS,
+  normalizeKey,
+  encodeAccessBits,
+  decodeAccessBits,
+  validateAccess,
+  buildTrailer,
+  resolveAccess,
+  trailerWriteKeyType,
+  isWriteProtected
+};
@@ -0,0 +1,297 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+// App settings (the renderer's lists and preferences), stored as JSON in the app's userData folder.
+//
+// File:    { version: SCHEMA_VERSION, savedAt, settings: { language, materials, manufacturers, colors,
+//            colorNames, useManufacturer, writeRetries, ... } }
+// Profile: { type: 'boxrfid-profile', version, exportedAt, materials, manufacturers, colors, colorNames,
+//            preferences }   (export / import between workstations)
+//
+// materials / manufacturers map code -> name, colors map '#RRGGBB' -> code, colorNames
+// '#RRGGBB' -> { [language]: name } (a plain name from older versions is read as the English one).
+// Version 0 is the plain object the renderer used to keep in localStorage ('rfidSettings').
+//
+// Printer profiles: the settings in PRINTER_PROFILE_KEYS exist once per printer (e.g. a Plus 4
+// and a Q2 with different firmware cfgs). The top-level keys always hold the active profile's
+// values, so everything that reads the settings (profile export, older app versions) sees the
+// active printer.
+//   printerProfiles:      [{ id, name, tables?, ...PRINTER_PROFILE_KEYS }]   tables: the lists the
+//                         profile used when it was last active (cfg included), { materials,
+//                         manufacturers, colors }
+//   activePrinterProfile: id   (settings without profiles have the one profile DEFAULT_PRINTER_PROFILE)
+
+const JsonFile = require('./json-file');
+const { codedError } = require('./errors');
+
+const SCHEMA_VERSION = 1;
+const PROFILE_TYPE = 'boxrfid-profile';
+const TABLES = ['materials', 'manufacturers', 'colors'];
+// Preferences that make sense on another workstation. Language, reader, API token, printer
+// API key and local file paths stay on the machine they were set on.
+const SHARED_PREFERENCES = [
+  'useManufacturer', 'writeRetries', 'writeExtended',
+  'useOfficialCfg', 'officialCfgSource', 'printerHost', 'printerPort', 'printerCfgPath',
+  'spoolmanUrl', 'spoolmanUidField', 'spoolmanAutoCreate',
+  'labelSize', 'labelSheet', 'labelTemplate'
+];
+
+const PRINTER_PROFILE_KEYS = [
+  'materials', 'manufacturers', 'colors', 'colorNames', 'useManufacturer',
+  'useOfficialCfg', 'officialCfgSource', 'officialCfgPath', 'officialCfgIsEphemeral',
+  'printerHost', 'printerPort', 'printerCfgPath', 'printerApiKey'
+];
+// Never leave the machine, not even in a support bundle (printerApiKey also sits in every profile)
+const SECRET_SETTINGS = ['apiToken', 'printerApiKey'];
+const DEFAULT_PRINTER_PROFILE = 'default';
+// Ids name folders (printer cfg cache), so they are kept to safe characters
+const PRINTER_PROFILE_ID_PATTERN = /^[a-z0-9_-]{1,40}$/i;
+
+function invalidProfile(details) {
+  return codedError('PROFILE_INVALID', details);
+}
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function normalizeColorNames(map) {
+  const out = {};
+  if (!isObject(map)) return out;
+  for (const [hex, entry] of Object.entries(map)) {
+    if (typeof entry === 'string') {
+      if (entry) out[hex] = { en: entry };
+    } else if (isObject(entry)) {
+      out[hex] = { ...entry };
+    }
+  }
+  return out;
+}
+
+function withColorNames(settings) {
+  if (settings.colorNames !== undefined) settings.colorNames = normalizeColorNames(settings.colorNames);
+  if (Array.isArray(settings.printerProfiles)) {
+    settings.printerProfiles = settings.printerProfiles.map(p => (isObject(p) && p.colorNames !== undefined
+      ? { ...p, colorNames: normalizeColorNames(p.colorNames) }
+      : p));
+  }
+  return settings;
+}
+
+// Older file contents -> current schema. Unknown newer versions are read as they are.
+function migrate(obj) {
+  if (!isObject(obj)) return {};
+  if (obj.version === undefined) return withColorNames({ ...obj });
+  return isObject(obj.settings) ? withColorNames({ ...obj.settings }) : {};
+}
+
+// Tables keyed by code: code -> value. Colors are stored the other way round (hex -> code).
+function byCode(settings, table) {
+  const map = isObject(settings[table]) ? settings[table] : {};
+  if (table !== 'colors') return { ...map };
+  const out = {};
+  for (const [hex, code] of Object.entries(map)) out[String(code)] = String(hex).toUpperCase();
+  return out;
+}
+
+function fromCode(table, map) {
+  if (table !== 'colors') return map;
+  const out = {};
+  for (const [code, hex] of Object.entries(map)) out[hex] = Number(code);
+  return out;
+}
+
+function sameValue(a, b) {
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+function exportProfile(settings) {
+  const preferences = {};
+  for (const key of SHARED_PREFERENCES) {
+    if (settings[key] !== undefined) preferences[key] = settings[key];
+  }
+  return {
+    type: PROFILE_TYPE,
+    version: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    materials: settings.materials || {},
+    manufacturers: settings.manufacturers || {},
+    colors: settings.colors || {},
+    colorNames: normalizeColorNames(settings.colorNames),
+    preferences
+  };
+}
+
+// Profile text -> profile. A settings file or an old localStorage copy is accepted as well.
+function parseProfile(text) {
+  let obj;
+  try {
+    obj = JSON.parse(String(text).replace(/^\uFEFF/, ''));
+  } catch (err) {
+    throw invalidProfile(err.message);
+  }
+  if (!isObject(obj)) throw invalidProfile('not a JSON object');
+  const source = obj.type === PROFILE_TYPE ? obj : migrate(obj);
+  if (!TABLES.some(table => isObject(source[table]))) throw invalidProfile('no materials, manufacturers or colors');
+  const profile = exportProfile(source);
+  profile.exportedAt = obj.exportedAt || null;
+  if (obj.type === PROFILE_TYPE && isObject(obj.preferences)) {
+    profile.preferences = {};
+    for (const key of SHARED_PREFERENCES) {
+      if (obj.preferences[key] !== undefined) profile.preferences[key] = obj.preferences[key];
+    }
+  }
+  return profile;
+}
+
+// Codes both sides have with different names (colors: different hex values)
+function findConflicts(settings, profile) {
+  const conflicts = [];
+  for (const table of TABLES) {
+    const mine = byCode(settings, table);
+    const theirs = byCode(profile, table);
+    for (const [code, value] of Object.entries(theirs)) {
+      if (mine[code] !== undefined && !sameValue(mine[code], value)) {
+        conflicts.push({ table, code, current: mine[code], imported: value });
+      }
+    }
+  }
+  return conflicts;
+}
+
+// Merges a profile into the settings. mode 'merge' adds new codes and resolves conflicts with
+// `choices` ({ 'materials:5': 'imported' }, default: keep the current value); mode 'replace'
+// takes the profile's lists as they are. Shared preferences are applied when `preferences` is set.
+function mergeProfile(settings, profile, { mode = 'merge', choices = {}, preferences = false } = {}) {
+  const merged = { ...settings };
+  const stats = { added: 0, replaced: 0, kept: 0 };
+  const colorNames = normalizeColorNames(settings.colorNames);
+
+  for (const table of TABLES) {
+    const theirs = byCode(profile, table);
+    if (mode === 'replace') {
+      merged[table] = fromCode(table, theirs);
+      stats.added += Object.keys(theirs).length;
+      continue;
+    }
+    const mine = byCode(settings, table);
+    for (const [code, value] of Object.entries(theirs)) {
+      if (mine[code] === undefined) {
+        mine[code] = value;
+        stats.added++;
+      } else if (!sameValue(mine[code], value)) {
+        if (choices[`${table}:${code}`] === 'imported') {
+          if (table === 'colors') delete colorNames[mine[code]];
+          mine[code] = value;
+          stats.replaced++;
+        } else {
+          stats.kept++;
+        }
+      }
+    }
+    merged[table] = fromCode(table, mine);
+  }
+
+  // Color names follow the colors that ended up in the merged palette; when merging, names in
+  // languages the current settings have none for are taken over
+  const importedNames = normalizeColorNames(profile.colorNames);
+  merged.colorNames = mode === 'replace' ? {} : colorNames;
+  for (const hex of Object.keys(merged.colors)) {
+    if (importedNames[hex]) merged.colorNames[hex] = mode === 'replace' ? importedNames[hex] : { ...importedNames[hex], ...(colorNames[hex] || {}) };
+  }
+  for (const hex of Object.keys(merged.colorNames)) {
+    if (merged.colors[hex] === undefined) delete merged.colorNames[hex];
+  }
+
+  if (preferences) Object.assign(merged, profile.preferences || {});
+  return { settings: merged, stats };
+}
+
+function isPrinterProfileId(id) {
+  return typeof id === 'string' && PRINTER_PROFILE_ID_PATTERN.test(id);
+}
+
+// Copy of the settings without the secrets, top-level and in the printer profiles
+function withoutSecrets(settings) {
+  const strip = obj => {
+    const copy = { ...obj };
+    SECRET_SETTINGS.forEach(key => { delete copy[key]; });
+    return copy;
+  };
+  const result = strip(settings);
+  if (Array.isArray(result.printerProfiles)) {
+    result.printerProfiles = result.printerProfiles.map(p => (isObject(p) ? strip(p) : p));
+  }
+  return result;
+}
+
+// Settings with another printer profile active: the top-level values go into the entry of the
+// profile that was active, the target's values become the top-level ones.
+function switchPrinterProfile(settings, id) {
+  const profiles = Array.isArray(settings.printerProfiles) ? settings.printerProfiles.filter(isObject) : [];
+  const target = profiles.find(p => p.id === id);
+  if (!target || !isPrinterProfileId(id)) throw codedError('PRINTER_PROFILE_NOT_FOUND', String(id));
+  const current = settings.activePrinterProfile || DEFAULT_PRINTER_PROFILE;
+  const copy = (from, to) => {
+    for (const key of PRINTER_PROFILE_KEYS) {
+      if (from[key] === undefined) delete to[key];
+      else to[key] = from[key];
+    }
+    return to;
+  };
+  const next = copy(target, { ...settings });
+  next.printerProfiles = profiles.map(p => (p.id === current && p.id !== id ? copy(settings, { ...p }) : p));
+  next.activePrinterProfile = id;
+  return next;
+}
+
+class SettingsStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.file = new JsonFile(filePath);
+    this.settings = null;
+    this._loaded = false;
+  }
+
+  // settings stays null while there is no (valid, see json-file.js) file yet; the renderer
+  // then migrates its localStorage copy.
+  async load() {
+    if (this._loaded) return;
+    const obj = await this.file.read();
+    this.settings = obj === null ? null : migrate(obj);
+    this._loaded = true;
+  }
+
+  get() {
+    return this.settings ? { ...this.settings } : null;
+  }
+
+  async save(settings) {
+    await this.load();
+    if (!isObject(settings)) throw invalidProfile('settings must be an object');
+    this.settings = { ...settings };
+    await this._save();
+    return this.get();
+  }
+
+  _save() {
+    return this.file.write({ version: SCHEMA_VERSION, savedAt: new Date().toISOString(), settings: this.settings });
+  }
+}
+
+module.exports = SettingsStore;
+module.exports.SCHEMA_VERSION = SCHEMA_VERSION;
+module.exports.PRINTER_PROFILE_KEYS = PRINTER_PROFILE_KEYS;
+module.exports.DEFAULT_PRINTER_PROFILE = DEFAULT_PRINTER_PROFILE;
+module.exports.isPrinterProfileId = isPrinterProfileId;
+module.exports.switchPrinterProfile = switchPrinterProfile;
+module.exports.withoutSecrets = withoutSecrets;
+module.exports.migrate = migrate;
+module.exports.exportProfile = exportProfile;
+module.exports.parseProfile = parseProfile;
+module.exports.findConflicts = findConflicts;
+module.exports.mergeProfile = mergeProfile;
@@ -0,0 +1,268 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+// Spoolman (filament spool tracking for Klipper) through its REST API (/api/v1). A tag is
+// linked to a spool by its UID, kept in an extra field of the spool (default key 'nfc_uid').
+// Spoolman stores extra values JSON encoded, so the UID 04A1B2C3 is sent as '"04A1B2C3"'.
+// The field is created on the server the first time a tag is linked.
+//
+// config: { url, uidField? }   url: "192.168.1.50", "spoolman.local:7912" or a full base URL
+// spool:  { id, filamentId, name, material, colorHex, vendor, remainingWeight, initialWeight,
+//           diameter, extruderTemp, bedTemp, location, lot, archived, uid }
+//         (the shape handed to the renderer; weights in g, colorHex '#RRGGBB' or null)
+//
+// Errors: SPOOLMAN_URL_MISSING, SPOOLMAN_UNREACHABLE, SPOOLMAN_REQUEST_FAILED (HTTP error,
+// details: status and Spoolman's message), SPOOLMAN_SPOOL_NOT_FOUND.
+
+const { codedError } = require('./errors');
+const filamentData = require('./filament-data');
+const tagCodecs = require('./tag-codecs');
+
+const DEFAULT_PORT = 7912;
+const DEFAULT_UID_FIELD = 'nfc_uid';
+const FIELD_KEY_PATTERN = /^[a-z0-9_]{1,64}$/;
+const FETCH_TIMEOUT_MS = 8000;
+const DEFAULT_DIAMETER = 1.75;
+const LOT_LENGTH = 14;
+// Spoolman needs a density for every filament; typical values by base material (g/cm³)
+const DENSITIES = { PLA: 1.24, PETG: 1.27, ABS: 1.04, ASA: 1.07, TPU: 1.21, PA: 1.14, PC: 1.2, PVA: 1.23, HIPS: 1.04 };
+const DEFAULT_DENSITY = DENSITIES.PLA;
+
+// Host may be "192.168.1.50", "spoolman.local:7912" or "http(s)://host[:port][/prefix]".
+// A bare host gets Spoolman's default port; a full URL is taken as it is (reverse proxy).
+function buildBaseUrl(url) {
+  const raw = String(url || '').trim();
+  if (!raw) throw codedError('SPOOLMAN_URL_MISSING');
+  const full = /^https?:\/\//i.test(raw);
+  let parsed;
+  try { parsed = new URL(full ? raw : `http://${raw}`); } catch { throw codedError('SPOOLMAN_URL_MISSING', raw); }
+  if (!full && !/^[^/]+:\d+/.test(raw)) parsed.port = String(DEFAULT_PORT);
+  parsed.pathname = `${parsed.pathname.replace(/\/+$/, '').replace(/\/api\/v1$/, '')}/api/v1`;
+  parsed.search = '';
+  parsed.hash = '';
+  return parsed.toString();
+}
+
+function normalizeUid(uid) {
+  return String(uid || '').replace(/[^0-9a-f]/gi, '').toUpperCase();
+}
+
+function extraValue(extra, key) {
+  if (!extra || extra[key] === undefined) return null;
+  try {
+    const value = JSON.parse(extra[key]);
+    return value === null || value === undefined ? null : String(value);
+  } catch {
+    return String(extra[key]);
+  }
+}
+
+function round(value) {
+  return value === null || value === undefined || Number.isNaN(Number(value)) ? null : Math.round(Number(value));
+}
+
+function baseMaterial(name) {
+  return String(name || '').trim().split(/\s+/)[0].toUpperCase();
+}
+
+function sameName(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+// Spoolman spool object -> spool (see above)
+function summarize(spool, uidField = DEFAULT_UID_FIELD) {
+  const filament = spool.filament || {};
+  const uid = normalizeUid(extraValue(spool.extra, uidField));
+  return {
+    id: spool.id,
+    filamentId: filament.id === undefined ? null : filament.id,
+    name: filament.name || null,
+    material: filament.material || null,
+    colorHex: filamentData.normalizeHex(filament.color_hex),
+    vendor: filament.vendor ? filament.vendor.name || null : null,
+    remainingWeight: round(spool.remaining_weight),
+    initialWeight: round(spool.initial_weight !== undefined && spool.initial_weight !== null ? spool.initial_weight : filament.weight),
+    diameter: filament.diameter || null,
+    extruderTemp: filament.settings_extruder_temp || null,
+    bedTemp: filament.settings_bed_temp || null,
+    location: spool.location || null,
+    lot: spool.lot_nr || null,
+    archived: !!spool.archived,
+    uid: uid || null
+  };
+}
+
+// Spool -> filament model (tag-codecs.js), e.g. for toQidi(). The filament name is used when
+// the tables know it ("PLA Rapido"), Spoolman's material ("PLA") otherwise.
+function toFilament(spool, tables = filamentData.buildTables()) {
+  const materialName = spool.name && filamentData.resolveMaterial(tables, spool.name) !== null
+    ? spool.name
+    : (spool.material || spool.name);
+  const lot = spool.lot && spool.lot.length <= LOT_LENGTH && /^[\x20-\x7E]*$/.test(spool.lot) ? spool.lot : null;
+  const extended = {
+    nominalWeight: spool.initialWeight,
+    remainingWeight: spool.remainingWeight,
+    diameter: spool.diameter,
+    nozzleTempMin: spool.extruderTemp,
+    nozzleTempMax: spool.extruderTemp,
+    bedTempMin: spool.bedTemp,
+    bedTempMax: spool.bedTemp,
+    date: null,
+    dateType: null,
+    lot
+  };
+  return {
+    materialCode: null,
+    materialName: materialName || null,
+    colorCode: null,
+    colorHex: spool.colorHex,
+    manufacturerCode: null,
+    manufacturerName: spool.vendor,
+    extended: Object.values(extended).some(v => v !== null && v !== undefined) ? extended : null
+  };
+}
+
+class SpoolmanClient {
+  constructor({ url, uidField } = {}, fetchImpl = fetch) {
+    this.baseUrl = buildBaseUrl(url);
+    this.uidField = uidField ? String(uidField).trim() : DEFAULT_UID_FIELD;
+    if (!FIELD_KEY_PATTERN.test(this.uidField)) throw codedError('SPOOLMAN_REQUEST_FAILED', `Invalid extra field key: ${this.uidField}`);
+    this.fetch = fetchImpl;
+  }
+
+  async _request(method, pathname, body) {
+    const url = `${this.baseUrl}${pathname}`;
+    let res;
+    try {
+      res = await this.fetch(url, {
+        method,
+        headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+      });
+    } catch (e) {
+      throw codedError('SPOOLMAN_UNREACHABLE', `${url}: ${e && e.cause && e.cause.code ? e.cause.code : e.message}`);
+    }
+    const text = await res.text();
+    let data = null;
+    try { data = text ? JSON.parse(text) : null; } catch { data = null; }
+    if (res.status === 404 && /^\/spool\/\d+$/.test(pathname)) throw codedError('SPOOLMAN_SPOOL_NOT_FOUND', pathname.slice(7));
+    if (!res.ok) {
+      const message = data && (data.message || data.detail) ? JSON.stringify(data.message || data.detail) : text.slice(0, 200);
+      throw codedError('SPOOLMAN_REQUEST_FAILED', `${method} ${pathname}: HTTP ${res.status}${message ? ` ${message}` : ''}`);
+    }
+    return data;
+  }
+
+  // Server info ({ version, ... }); doubles as the connection test
+  info() {
+    return this._request('GET', '/info');
+  }
+
+  async spools({ archived = false } = {}) {
+    const list = await this._request('GET', `/spool${archived ? '?allow_archived=true' : ''}`);
+    return (Array.isArray(list) ? list : []).map(s => summarize(s, this.uidField));
+  }
+
+  async spool(id) {
+    return summarize(await this._request('GET', `/spool/${parseInt(id, 10)}`), this.uidField);
+  }
+
+  // Spool linked to the UID, or null
+  async findByUid(uid) {
+    const wanted = normalizeUid(uid);
+    if (!wanted) return null;
+    return (await this.spools()).find(s => s.uid === wanted) || null;
+  }
+
+  async ensureUidField() {
+    const fields = await this._request('GET', '/field/spool');
+    if ((fields || []).some(f => f.key === this.uidField)) return;
+    await this._request('POST', `/field/spool/${this.uidField}`, { name: 'NFC tag UID', field_type: 'text' });
+  }
+
+  async _setUid(id, uid) {
+    const current = await this._request('GET', `/spool/${id}`);
+    const extra = { ...(current.extra || {}), [this.uidField]: JSON.stringify(uid) };
+    return this._request('PATCH', `/spool/${id}`, { extra });
+  }
+
+  // Links the UID to a spool; a spool that had it before loses it (one spool per tag)
+  async linkUid(id, uid) {
+    const wanted = normalizeUid(uid);
+    if (!wanted) throw codedError('SPOOLMAN_REQUEST_FAILED', 'No tag UID');
+    await this.ensureUidField();
+    for (const other of await this.spools()) {
+      if (other.uid === wanted && other.id !== Number(id)) await this._setUid(other.id, '');
+    }
+    return summarize(await this._setUid(parseInt(id, 10), wanted), this.uidField);
+  }
+
+  async _vendorId(name) {
+    if (!name) return null;
+    const vendors = await this._request('GET', '/vendor');
+    const hit = (vendors || []).find(v => sameName(v.name, name));
+    return hit ? hit.id : (await this._request('POST', '/vendor', { name })).id;
+  }
+
+  // Filament with the same vendor, name and color, created when there is none
+  async _filamentId(filament) {
+    const name = filament.materialName;
+    const vendorId = await this._vendorId(filament.manufacturerName);
+    const hex = filament.colorHex ? filament.colorHex.replace(/^#/, '').toUpperCase() : null;
+    const filaments = await this._request('GET', '/filament');
+    const hit = (filaments || []).find(f => sameName(f.name, name)
+      && ((f.vendor ? f.vendor.id : null) === vendorId)
+      && String(f.color_hex || '').toUpperCase() === String(hex || ''));
+    if (hit) return hit.id;
+    const extended = filament.extended || {};
+    const material = baseMaterial(name);
+    const created = await this._request('POST', '/filament', {
+      name,
+      material,
+      vendor_id: vendorId === null ? undefined : vendorId,
+      color_hex: hex || undefined,
+      density: DENSITIES[material] || DEFAULT_DENSITY,
+      diameter: extended.diameter || DEFAULT_DIAMETER,
+      weight: extended.nominalWeight || undefined,
+      settings_extruder_temp: extended.nozzleTempMax || extended.nozzleTempMin || undefined,
+      settings_bed_temp: extended.bedTempMax || extended.bedTempMin || undefined
+    });
+    return created.id;
+  }
+
+  // New spool for a tag, from its filament model (names, color, extended record)
+  async createForTag(uid, filament) {
+    const wanted = normalizeUid(uid);
+    if (!wanted) throw codedError('SPOOLMAN_REQUEST_FAILED', 'No tag UID');
+    if (!filament || !filament.materialName) throw codedError('SPOOLMAN_REQUEST_FAILED', 'The tag has no material to create a spool from');
+    await this.ensureUidField();
+    const extended = filament.extended || {};
+    const spool = await this._request('POST', '/spool', {
+      filament_id: await this._filamentId(filament),
+      initial_weight: extended.nominalWeight || undefined,
+      remaining_weight: extended.remainingWeight === null || extended.remainingWeight === undefined ? undefined : extended.remainingWeight,
+      lot_nr: extended.lot || undefined,
+      extra: { [this.uidField]: JSON.stringify(wanted) }
+    });
+    return summarize(spool, this.uidField);
+  }
+}
+
+// Spool with the QIDI codes it maps to in the given tables (see tag-codecs.js toQidi)
+function withTarget(spool, tables) {
+  return { ...spool, target: tagCodecs.toQidi(toFilament(spool, tables), tables) };
+}
+
+module.exports = SpoolmanClient;
+module.exports.DEFAULT_PORT = DEFAULT_PORT;
+module.exports.DEFAULT_UID_FIELD = DEFAULT_UID_FIELD;
+module.exports.buildBaseUrl = buildBaseUrl;
+module.exports.normalizeUid = normalizeUid;
+module.exports.summarize = summarize;
+module.exports.toFilament = toFilament;
+module.exports.withTarget = withTarget;
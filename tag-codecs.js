@@ -0,0 +1,249 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+// Tag formats. Every codec turns the raw tag content into the common filament model and back:
+//
+//   codec: { id, name, cardType: 'classic'|'ntag', detect(raw), decode(raw, tables), encode(filament, tables) }
+//   raw:   { cardType, data }  classic: blocks 4..6 (48 bytes), ntag: user memory from page 4
+//   encode result: classic: [{ block, data }] in write order, ntag: bytes from page 4
+//
+//   filament: { materialCode, materialName, colorCode, colorHex, manufacturerCode,
+//               manufacturerName, extended }   (null where the format has no value)
+//
+// `tables` has the filament-data.js buildTables() shape ({ materials, manufacturers, colors });
+// the renderer passes its own lists so names and codes match what the user sees.
+// Codecs are tried in registration order; the first whose detect() accepts the content wins.
+
+const filamentData = require('./filament-data');
+const payload = require('./tag-payload');
+const openspool = require('./openspool');
+
+const codecs = [];
+
+function register(codec) {
+  if (codecs.some(c => c.id === codec.id)) throw new Error(`Codec already registered: ${codec.id}`);
+  codecs.push(codec);
+  return codec;
+}
+
+function get(id) {
+  return codecs.find(c => c.id === id) || null;
+}
+
+function list() {
+  return codecs.map(({ id, name, cardType }) => ({ id, name, cardType }));
+}
+
+// Default codec for writing to a card type
+function defaultFor(cardType) {
+  return codecs.find(c => c.cardType === cardType) || null;
+}
+
+function nameOf(map, code) {
+  return code === null || code === undefined ? null : (map[code] || null);
+}
+
+// Filament model from QIDI codes, names from the tables
+function filamentFromCodes(tables, qidi, extended = null) {
+  return {
+    materialCode: qidi.material,
+    materialName: nameOf(tables.materials, qidi.material),
+    colorCode: qidi.color,
+    colorHex: filamentData.colorHexOf(tables, qidi.color),
+    manufacturerCode: qidi.manufacturer,
+    manufacturerName: nameOf(tables.manufacturers, qidi.manufacturer),
+    extended: extended || null
+  };
+}
+
+// Blocks 4..6 all zero: a blank (or erased) MIFARE Classic tag
+function isBlankClassic(data) {
+  return !Buffer.from(data || []).some(b => b !== 0);
+}
+
+// QIDI layout: the codes in block 4 bytes 0..2 and zeros after them, or the extended record
+// (marker and checksum valid). Other data on a MIFARE Classic tag, e.g. a tag of another
+// printer brand, is foreign and not read as QIDI codes.
+function isQidiClassic(data) {
+  const buf = Buffer.from(data || []);
+  if (isBlankClassic(buf)) return false;
+  return !buf.subarray(3).some(b => b !== 0) || !!payload.decode(buf);
+}
+
+// ---- QIDI (MIFARE Classic, block 4 bytes 0..2 plus the optional extended record) ----
+
+register({
+  id: 'qidi',
+  name: 'QIDI',
+  cardType: 'classic',
+  // Codes the tables do not know are still QIDI; they show up as unknown entries
+  detect: (raw) => raw.cardType === 'classic' && isQidiClassic(raw.data),
+  decode(raw, tables) {
+    const data = Buffer.from(raw.data);
+    return filamentFromCodes(tables, {
+      material: data[0],
+      color: data[1],
+      manufacturer: data[2]
+    }, payload.decode(data));
+  },
+  // Without extended data only block 4 is written (bytes 3..15 zeroed). With it, block 4
+  // (with the marker) goes last, so an interrupted write never leaves a marker in front of
+  // stale data; the checksum catches the remaining cases.
+  encode(filament) {
+    const qidi = {
+      material: Number(filament.materialCode) || 0,
+      color: Number(filament.colorCode) || 0,
+      manufacturer: Number(filament.manufacturerCode) || 1
+    };
+    if (!filament.extended) {
+      const buf = Buffer.alloc(16, 0x00);
+      buf[0] = qidi.material;
+      buf[1] = qidi.color;
+      buf[2] = qidi.manufacturer;
+      return [{ block: 4, data: buf }];
+    }
+    const data = payload.encode(qidi, filament.extended);
+    return [5, 6, 4].map(block => {
+      const off = (block - payload.FIRST_BLOCK) * 16;
+      return { block, data: data.subarray(off, off + 16) };
+    });
+  }
+});
+
+// ---- OpenSpool (NTAG, NDEF application/json record, see openspool.js) ----
+
+register({
+  id: 'openspool',
+  name: 'OpenSpool',
+  cardType: 'ntag',
+  detect: (raw) => raw.cardType === 'ntag' && openspool.decode(raw.data).format === 'openspool',
+  decode(raw, tables) {
+    const { record } = openspool.decode(raw.data);
+    const codes = openspool.codesFromRecord(tables, record);
+    return {
+      materialCode: codes.material,
+      materialName: record.type,
+      colorCode: codes.color,
+      colorHex: record.colorHex,
+      manufacturerCode: codes.manufacturer,
+      manufacturerName: record.brand,
+      extended: openspool.toExtended(record)
+    };
+  },
+  encode(filament, tables) {
+    const record = openspool.recordFromCodes(tables, {
+      material: filament.materialCode,
+      color: filament.colorCode,
+      manufacturer: filament.manufacturerCode
+    }, filament.extended);
+    if (filament.materialName) record.type = filament.materialName;
+    if (filament.colorHex) record.colorHex = filament.colorHex;
+    if (filament.manufacturerName) record.brand = filament.manufacturerName;
+    return openspool.encode(record);
+  }
+});
+
+// Raw tag content -> { format, filament }. Content no codec recognises is reported as
+// 'empty' (blank tag), 'ndef' (NTAG with other NDEF data) or 'foreign' (MIFARE Classic with
+// other data) with filament = null.
+function decode(raw, tables = filamentData.buildTables()) {
+  const codec = codecs.find(c => c.cardType === raw.cardType && c.detect(raw));
+  if (codec) return { format: codec.id, filament: codec.decode(raw, tables) };
+  if (raw.cardType === 'ntag') return { format: openspool.decode(raw.data).format, filament: null };
+  return { format: isBlankClassic(raw.data) ? 'empty' : 'foreign', filament: null };
+}
+
+// ---- Conversion to QIDI codes ----
+
+function rgbOf(hex) {
+  const v = filamentData.normalizeHex(hex);
+  return v ? [1, 3, 5].map(i => parseInt(v.slice(i, i + 2), 16)) : null;
+}
+
+// Palette entry closest to `hex` (weighted RGB distance, close to perceived difference)
+function nearestColor(tables, hex) {
+  const rgb = rgbOf(hex);
+  if (!rgb) return null;
+  let best = null;
+  for (const [paletteHex, code] of Object.entries(tables.colors)) {
+    const p = rgbOf(paletteHex);
+    if (!p) continue;
+    const rMean = (rgb[0] + p[0]) / 2;
+    const [dr, dg, db] = [rgb[0] - p[0], rgb[1] - p[1], rgb[2] - p[2]];
+    const distance = Math.sqrt((2 + rMean / 256) * dr * dr + 4 * dg * dg + (2 + (255 - rMean) / 256) * db * db);
+    if (!best || distance < best.distance) best = { code: Number(code), hex: paletteHex, distance };
+  }
+  return best;
+}
+
+function simplify(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Material by name: exact, then ignoring case/spaces/dashes, then the longest known name the
+// foreign one starts with ("PLA Silk+" -> "PLA Silk"), then the base type ("PETG-HF" -> "PETG").
+function matchMaterial(tables, name) {
+  if (!name) return { code: null, match: 'none' };
+  const exact = filamentData.resolveMaterial(tables, name);
+  if (exact !== null) return { code: exact, match: 'exact' };
+  const wanted = simplify(name);
+  const entries = Object.entries(tables.materials).map(([code, n]) => ({ code: Number(code), key: simplify(n) }));
+  const same = entries.find(e => e.key === wanted);
+  if (same) return { code: same.code, match: 'approximate' };
+  const prefix = entries.filter(e => e.key && wanted.startsWith(e.key)).sort((a, b) => b.key.length - a.key.length)[0];
+  if (prefix) return { code: prefix.code, match: 'approximate' };
+  const base = simplify(String(name).split(/[\s\-_+/]/)[0]);
+  const baseHit = entries.find(e => e.key === base);
+  return baseHit ? { code: baseHit.code, match: 'approximate' } : { code: null, match: 'none' };
+}
+
+// Filament model (any format) -> QIDI codes for the given tables. `matches` tells how each
+// value was found: 'exact', 'approximate' / 'nearest', 'default' or 'none'.
+function toQidi(filament, tables = filamentData.buildTables()) {
+  const material = filament.materialCode !== null && tables.materials[filament.materialCode] !== undefined
+    && (!filament.materialName || simplify(tables.materials[filament.materialCode]) === simplify(filament.materialName))
+    ? { code: filament.materialCode, match: 'exact' }
+    : matchMaterial(tables, filament.materialName);
+
+  let color = { code: null, hex: null, match: 'none' };
+  const hex = filamentData.normalizeHex(filament.colorHex);
+  if (hex && tables.colors[hex] !== undefined) {
+    color = { code: Number(tables.colors[hex]), hex, match: 'exact' };
+  } else if (hex) {
+    const nearest = nearestColor(tables, hex);
+    if (nearest) color = { code: nearest.code, hex: nearest.hex, match: 'nearest' };
+  }
+
+  let manufacturer = { code: filament.manufacturerName ? filamentData.resolveManufacturer(tables, filament.manufacturerName) : null, match: 'exact' };
+  if (manufacturer.code === null) {
+    const generic = filamentData.resolveManufacturer(tables, 'Generic');
+    manufacturer = { code: generic !== null ? generic : 1, match: 'default' };
+  }
+
+  return {
+    materialCode: material.code,
+    colorCode: color.code,
+    colorHex: color.hex,
+    manufacturerCode: manufacturer.code,
+    extended: filament.extended || null,
+    matches: { material: material.match, color: color.match, manufacturer: manufacturer.match }
+  };
+}
+
+module.exports = {
+  register,
+  get,
+  list,
+  defaultFor,
+  decode,
+  isBlankClassic,
+  isQidiClassic,
+  filamentFromCodes,
+  nearestColor,
+  matchMaterial,
+  toQidi
+};
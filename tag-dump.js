@@ -0,0 +1,120 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+// MIFARE Classic 1K dump model and file formats.
+//
+// Dump model (what NFCService.dumpTag() returns and restoreTag() accepts):
+//   { uid: '04a1b2c3', sectors: [{ sector, keyType: 'A'|'B'|null, key: 'FFFFFFFFFFFF'|null, blocks: [hex32 x4]|null }] }
+// A sector none of the known keys could open has key/blocks set to null.
+
+const { codedError } = require('./errors');
+
+const SECTOR_COUNT = 16;
+const BLOCKS_PER_SECTOR = 4;
+const BLOCK_SIZE = 16;
+const IMAGE_SIZE = SECTOR_COUNT * BLOCKS_PER_SECTOR * BLOCK_SIZE;
+const JSON_FORMAT = 'boxrfid-dump';
+const JSON_VERSION = 1;
+
+function isTrailerBlock(block) { return block % BLOCKS_PER_SECTOR === BLOCKS_PER_SECTOR - 1; }
+function firstBlockOfSector(sector) { return sector * BLOCKS_PER_SECTOR; }
+
+function invalidDump(reason) {
+  return codedError('DUMP_INVALID', reason);
+}
+
+// Access bits (trailer bytes 6..8) carry every bit twice, once inverted. A trailer that
+// violates this makes the sector permanently inaccessible, so never write one.
+function isValidAccessBits(trailer) {
+  const b6 = trailer[6], b7 = trailer[7], b8 = trailer[8];
+  const c1 = (b7 >> 4) & 0x0F, c2 = b8 & 0x0F, c3 = (b8 >> 4) & 0x0F;
+  const nc1 = b6 & 0x0F, nc2 = (b6 >> 4) & 0x0F, nc3 = b7 & 0x0F;
+  return (c1 ^ nc1) === 0x0F && (c2 ^ nc2) === 0x0F && (c3 ^ nc3) === 0x0F;
+}
+
+// Fill key A into a trailer read from the tag: the card always returns key A as zeros.
+function withKnownKeyA(trailerHex, keyType, key) {
+  if (keyType !== 'A' || !key) return trailerHex;
+  return key.toLowerCase() + trailerHex.slice(12);
+}
+
+function toMfd(dump) {
+  const image = Buffer.alloc(IMAGE_SIZE, 0x00);
+  for (const s of dump.sectors) {
+    if (!s.blocks) continue;
+    s.blocks.forEach((hex, i) => {
+      Buffer.from(hex, 'hex').copy(image, (firstBlockOfSector(s.sector) + i) * BLOCK_SIZE);
+    });
+  }
+  return image;
+}
+
+function fromMfd(buf) {
+  // 4K dumps are accepted, only the 1K part is used
+  if (!Buffer.isBuffer(buf) || buf.length < IMAGE_SIZE) throw invalidDump(`Unexpected image size ${buf && buf.length}`);
+  const sectors = [];
+  for (let sector = 0; sector < SECTOR_COUNT; sector++) {
+    const blocks = [];
+    for (let i = 0; i < BLOCKS_PER_SECTOR; i++) {
+      const off = (firstBlockOfSector(sector) + i) * BLOCK_SIZE;
+      blocks.push(buf.subarray(off, off + BLOCK_SIZE).toString('hex'));
+    }
+    const keyA = blocks[3].slice(0, 12);
+    sectors.push({ sector, keyType: 'A', key: /^0+$/.test(keyA) ? null : keyA, blocks });
+  }
+  return { uid: buf.subarray(0, 4).toString('hex'), sectors };
+}
+
+function toJson(dump) {
+  return JSON.stringify({
+    format: JSON_FORMAT,
+    version: JSON_VERSION,
+    cardType: 'MIFARE Classic 1K',
+    createdAt: dump.createdAt || new Date().toISOString(),
+    uid: dump.uid,
+    sectors: dump.sectors
+  }, null, 2);
+}
+
+function fromJson(text) {
+  let obj;
+  try { obj = JSON.parse(text); } catch (e) { throw invalidDump(e.message); }
+  if (!obj || obj.format !== JSON_FORMAT || !Array.isArray(obj.sectors)) throw invalidDump('Not a BoxRFID dump');
+  if (obj.version > JSON_VERSION) throw invalidDump(`Unsupported dump version ${obj.version}`);
+  for (const s of obj.sectors) {
+    if (!Number.isInteger(s.sector) || s.sector < 0 || s.sector >= SECTOR_COUNT) throw invalidDump(`Bad sector ${s.sector}`);
+    if (s.blocks && (s.blocks.length !== BLOCKS_PER_SECTOR || s.blocks.some(b => !/^[0-9a-f]{32}$/i.test(b)))) {
+      throw invalidDump(`Bad block data in sector ${s.sector}`);
+    }
+  }
+  return { uid: obj.uid || null, createdAt: obj.createdAt || null, sectors: obj.sectors };
+}
+
+// Pick the format from the file extension: .json is JSON, everything else (.mfd/.bin/.dump) binary.
+function serialize(dump, filePath) {
+  return /\.json$/i.test(filePath) ? toJson(dump) : toMfd(dump);
+}
+
+function parse(buf, filePath) {
+  return /\.json$/i.test(filePath) ? fromJson(buf.toString('utf8')) : fromMfd(buf);
+}
+
+module.exports = {
+  SECTOR_COUNT,
+  BLOCKS_PER_SECTOR,
+  BLOCK_SIZE,
+  isTrailerBlock,
+  firstBlockOfSector,
+  isValidAccessBits,
+  withKnownKeyA,
+  toMfd,
+  fromMfd,
+  toJson,
+  fromJson,
+  serialize,
+  parse
+};
@@ -0,0 +1,135 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+// Tag inspector: what a tag holds, independent of the format the codecs read it as.
+//
+// Classification of the raw content (tag-codecs.js raw shape):
+//   'blank'          MIFARE Classic blocks 4..6 all zero, NTAG without an NDEF message
+//   'valid'          QIDI codes (plain or with the extended record) / an OpenSpool record,
+//                    every code known to the tables
+//   'unknown-codes'  the same, but with codes (names) the tables do not know
+//   'foreign'        other data: bytes after the QIDI codes without a valid extended record,
+//                    NDEF messages that are not OpenSpool
+//
+// Annotations name the byte ranges of the hex view: { block, from, to, field, label }
+// (block = page on NTAG, from/to inclusive). `field` matches the filament model where there
+// is one (material, color, manufacturer, extended record fields); `label` is the technical name.
+
+const filamentData = require('./filament-data');
+const payload = require('./tag-payload');
+const codecs = require('./tag-codecs');
+const openspool = require('./openspool');
+const dumpFormat = require('./tag-dump');
+
+const CLASSES = ['blank', 'valid', 'unknown-codes', 'foreign'];
+
+const LABELS = {
+  uid: 'UID',
+  bcc: 'BCC',
+  manufacturerData: 'Manufacturer data',
+  material: 'Material',
+  color: 'Color',
+  manufacturer: 'Manufacturer',
+  marker: 'Marker "BX"',
+  layoutVersion: 'Layout version',
+  nominalWeight: 'Nominal weight',
+  remainingWeight: 'Remaining weight',
+  diameter: 'Diameter',
+  nozzleTempMin: 'Nozzle temp. min',
+  nozzleTempMax: 'Nozzle temp. max',
+  bedTempMin: 'Bed temp. min',
+  bedTempMax: 'Bed temp. max',
+  date: 'Date',
+  dateType: 'Date type',
+  reserved: 'Reserved',
+  lot: 'Lot',
+  crc: 'CRC-16',
+  keyA: 'Key A',
+  accessBits: 'Access bits',
+  gpb: 'General purpose byte',
+  keyB: 'Key B',
+  internal: 'Internal',
+  lockBytes: 'Lock bytes',
+  cc: 'Capability container',
+  ndef: 'NDEF TLV'
+};
+
+function unknownQidiCodes(tables, data) {
+  const unknown = [];
+  if (tables.materials[data[0]] === undefined) unknown.push({ field: 'material', code: data[0] });
+  if (filamentData.colorHexOf(tables, data[1]) === null) unknown.push({ field: 'color', code: data[1] });
+  if (tables.manufacturers[data[2]] === undefined) unknown.push({ field: 'manufacturer', code: data[2] });
+  return unknown;
+}
+
+// Raw content -> { classification, unknown: [{ field, code?, name? }] }
+function classify(raw, tables = filamentData.buildTables()) {
+  const data = Buffer.from(raw.data || []);
+  if (raw.cardType === 'ntag') {
+    const { format, record } = openspool.decode(data);
+    if (format === 'empty') return { classification: 'blank', unknown: [] };
+    if (format !== 'openspool') return { classification: 'foreign', unknown: [] };
+    const codes = openspool.codesFromRecord(tables, record);
+    const unknown = [
+      ['material', record.type],
+      ['color', record.colorHex],
+      ['manufacturer', record.brand]
+    ].filter(([field, name]) => name && codes[field] === null).map(([field, name]) => ({ field, name }));
+    return { classification: unknown.length ? 'unknown-codes' : 'valid', unknown };
+  }
+  if (codecs.isBlankClassic(data)) return { classification: 'blank', unknown: [] };
+  if (!codecs.isQidiClassic(data)) return { classification: 'foreign', unknown: [] };
+  const unknown = unknownQidiCodes(tables, data);
+  return { classification: unknown.length ? 'unknown-codes' : 'valid', unknown };
+}
+
+function range(block, from, to, field) {
+  return { block, from, to, field, label: LABELS[field] || field };
+}
+
+// Byte ranges of a MIFARE Classic 1K; the extended record fields only when the tag has one
+function classicAnnotations({ extended = false } = {}) {
+  const list = [
+    range(0, 0, 3, 'uid'),
+    range(0, 4, 4, 'bcc'),
+    range(0, 5, 15, 'manufacturerData'),
+    range(payload.FIRST_BLOCK, 0, 0, 'material'),
+    range(payload.FIRST_BLOCK, 1, 1, 'color'),
+    range(payload.FIRST_BLOCK, 2, 2, 'manufacturer')
+  ];
+  if (extended) payload.FIELDS.forEach(f => list.push(range(f.block, f.from, f.to, f.field)));
+  for (let sector = 0; sector < dumpFormat.SECTOR_COUNT; sector++) {
+    const trailer = dumpFormat.firstBlockOfSector(sector) + 3;
+    list.push(range(trailer, 0, 5, 'keyA'), range(trailer, 6, 8, 'accessBits'), range(trailer, 9, 9, 'gpb'), range(trailer, 10, 15, 'keyB'));
+  }
+  return list;
+}
+
+// NTAG21x header pages 0..3 and the start of the NDEF TLV
+function ntagAnnotations() {
+  return [
+    range(0, 0, 2, 'uid'),
+    range(0, 3, 3, 'bcc'),
+    range(1, 0, 3, 'uid'),
+    range(2, 0, 0, 'bcc'),
+    range(2, 1, 1, 'internal'),
+    range(2, 2, 3, 'lockBytes'),
+    range(3, 0, 3, 'cc'),
+    range(4, 0, 3, 'ndef')
+  ];
+}
+
+function annotate(cardType, options = {}) {
+  return cardType === 'ntag' ? ntagAnnotations() : classicAnnotations(options);
+}
+
+module.exports = {
+  CLASSES,
+  LABELS,
+  classify,
+  annotate
+};
@@ -0,0 +1,171 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+// Extended filament record in the bytes of sector 1 the QIDI Box does not use.
+// Block 4 bytes 0..2 (material, color, manufacturer) are never touched by this module.
+//
+// Layout version 1 (all multi-byte values big-endian, 0 = not set):
+//   block 4  3..4   marker 'BX'
+//            5      layout version
+//            6..7   nominal weight (g)
+//            8..9   remaining weight (g)
+//           10..11  diameter (1/100 mm)
+//           12..13  nozzle temperature min (°C)
+//           14..15  nozzle temperature max (°C)
+//   block 5  0..1   bed temperature min (°C)
+//            2..3   bed temperature max (°C)
+//            4..5   date year, 6 month, 7 day
+//            8      date type (1 = production, 2 = opened)
+//            9..15  reserved
+//   block 6  0..13  lot number (ASCII, zero padded)
+//           14..15  CRC-16/CCITT-FALSE over block 4 bytes 3..15, block 5 and block 6 bytes 0..13
+
+const { codedError } = require('./errors');
+
+const BLOCK_SIZE = 16;
+const FIRST_BLOCK = 4;
+const BLOCK_COUNT = 3;
+const QIDI_BYTES = 3;
+const MARKER = Buffer.from('BX', 'ascii');
+const LAYOUT_VERSION = 1;
+const LOT_LENGTH = 14;
+const DATE_TYPES = { production: 1, opened: 2 };
+
+// The layout above as byte ranges (inclusive), for the inspector's hex view
+const FIELDS = [
+  { field: 'marker', block: 4, from: 3, to: 4 },
+  { field: 'layoutVersion', block: 4, from: 5, to: 5 },
+  { field: 'nominalWeight', block: 4, from: 6, to: 7 },
+  { field: 'remainingWeight', block: 4, from: 8, to: 9 },
+  { field: 'diameter', block: 4, from: 10, to: 11 },
+  { field: 'nozzleTempMin', block: 4, from: 12, to: 13 },
+  { field: 'nozzleTempMax', block: 4, from: 14, to: 15 },
+  { field: 'bedTempMin', block: 5, from: 0, to: 1 },
+  { field: 'bedTempMax', block: 5, from: 2, to: 3 },
+  { field: 'date', block: 5, from: 4, to: 7 },
+  { field: 'dateType', block: 5, from: 8, to: 8 },
+  { field: 'reserved', block: 5, from: 9, to: 15 },
+  { field: 'lot', block: 6, from: 0, to: 13 },
+  { field: 'crc', block: 6, from: 14, to: 15 }
+];
+
+function invalidPayload(reason) {
+  return codedError('PAYLOAD_INVALID', reason);
+}
+
+function crc16(buf) {
+  let crc = 0xFFFF;
+  for (const byte of buf) {
+    crc ^= byte << 8;
+    for (let i = 0; i < 8; i++) crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+  }
+  return crc;
+}
+
+// The checksum covers everything from the marker up to (not including) the CRC itself.
+function checksumOf(data) {
+  return crc16(data.subarray(QIDI_BYTES, BLOCK_COUNT * BLOCK_SIZE - 2));
+}
+
+function toUint16(value, field) {
+  if (value === undefined || value === null || value === '') return 0;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0 || n > 0xFFFF) throw invalidPayload(`${field} out of range: ${value}`);
+  return n;
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+  if (!m) throw invalidPayload(`Invalid date: ${value}`);
+  const [year, month, day] = [Number(m[1]), Number(m[2]), Number(m[3])];
+  const d = new Date(Date.UTC(year, month - 1, day));
+  if (d.getUTCMonth() !== month - 1 || d.getUTCDate() !== day) throw invalidPayload(`Invalid date: ${value}`);
+  return { year, month, day };
+}
+
+// Builds blocks 4..6 (48 bytes) from the QIDI codes and the extended fields.
+function encode(qidi, extended) {
+  const data = Buffer.alloc(BLOCK_COUNT * BLOCK_SIZE, 0x00);
+  data[0] = qidi.material;
+  data[1] = qidi.color;
+  data[2] = qidi.manufacturer;
+
+  const b4 = 0, b5 = BLOCK_SIZE, b6 = 2 * BLOCK_SIZE;
+  MARKER.copy(data, b4 + 3);
+  data[b4 + 5] = LAYOUT_VERSION;
+  data.writeUInt16BE(toUint16(extended.nominalWeight, 'nominalWeight'), b4 + 6);
+  data.writeUInt16BE(toUint16(extended.remainingWeight, 'remainingWeight'), b4 + 8);
+  const diameter = extended.diameter ? Math.round(Number(extended.diameter) * 100) : 0;
+  data.writeUInt16BE(toUint16(diameter, 'diameter'), b4 + 10);
+  data.writeUInt16BE(toUint16(extended.nozzleTempMin, 'nozzleTempMin'), b4 + 12);
+  data.writeUInt16BE(toUint16(extended.nozzleTempMax, 'nozzleTempMax'), b4 + 14);
+
+  data.writeUInt16BE(toUint16(extended.bedTempMin, 'bedTempMin'), b5);
+  data.writeUInt16BE(toUint16(extended.bedTempMax, 'bedTempMax'), b5 + 2);
+  const date = parseDate(extended.date);
+  if (date) {
+    data.writeUInt16BE(date.year, b5 + 4);
+    data[b5 + 6] = date.month;
+    data[b5 + 7] = date.day;
+    data[b5 + 8] = DATE_TYPES[extended.dateType] || DATE_TYPES.production;
+  }
+
+  const lot = String(extended.lot || '');
+  if (lot.length > LOT_LENGTH || !/^[\x20-\x7E]*$/.test(lot)) throw invalidPayload(`Invalid lot number: ${lot}`);
+  Buffer.from(lot, 'ascii').copy(data, b6);
+
+  data.writeUInt16BE(checksumOf(data), b6 + 14);
+  return data;
+}
+
+// Decodes blocks 4..6. Returns null when there is no valid extended record
+// (no marker, unknown layout version or checksum mismatch).
+function decode(data) {
+  if (!data || data.length < BLOCK_COUNT * BLOCK_SIZE) return null;
+  const buf = Buffer.from(data);
+  if (!buf.subarray(3, 5).equals(MARKER) || buf[5] !== LAYOUT_VERSION) return null;
+  const b5 = BLOCK_SIZE, b6 = 2 * BLOCK_SIZE;
+  if (buf.readUInt16BE(b6 + 14) !== checksumOf(buf)) return null;
+
+  const orNull = (n) => (n === 0 ? null : n);
+  const year = buf.readUInt16BE(b5 + 4);
+  let date = null;
+  let dateType = null;
+  if (year) {
+    date = `${String(year).padStart(4, '0')}-${String(buf[b5 + 6]).padStart(2, '0')}-${String(buf[b5 + 7]).padStart(2, '0')}`;
+    dateType = Object.keys(DATE_TYPES).find(k => DATE_TYPES[k] === buf[b5 + 8]) || null;
+  }
+  const lotEnd = buf.indexOf(0, b6);
+  const lot = buf.subarray(b6, lotEnd === -1 || lotEnd > b6 + LOT_LENGTH ? b6 + LOT_LENGTH : lotEnd).toString('ascii');
+
+  return {
+    version: buf[5],
+    nominalWeight: orNull(buf.readUInt16BE(6)),
+    remainingWeight: orNull(buf.readUInt16BE(8)),
+    diameter: buf.readUInt16BE(10) ? buf.readUInt16BE(10) / 100 : null,
+    nozzleTempMin: orNull(buf.readUInt16BE(12)),
+    nozzleTempMax: orNull(buf.readUInt16BE(14)),
+    bedTempMin: orNull(buf.readUInt16BE(b5)),
+    bedTempMax: orNull(buf.readUInt16BE(b5 + 2)),
+    date,
+    dateType,
+    lot: lot || null
+  };
+}
+
+module.exports = {
+  FIRST_BLOCK,
+  BLOCK_COUNT,
+  LAYOUT_VERSION,
+  LOT_LENGTH,
+  DATE_TYPES,
+  FIELDS,
+  encode,
+  decode,
+  crc16
+};
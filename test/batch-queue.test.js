@@ -0,0 +1,37 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const BatchQueue = require('../batch-queue');
+
+test('never writes the master tag, also when it is presented again', async () => {
+  // cloned from tag aa
+  const queue = new BatchQueue([{ materialCode: 1, colorCode: 2, masterUID: 'aa' }, { materialCode: 3, colorCode: 4, masterUID: 'aa' }]);
+  const written = [];
+  const write = uid => job => { written.push([uid, job.materialCode]); };
+
+  assert.strictEqual((await queue.handleTag('aa', write('aa'))).status, 'master');
+  assert.strictEqual((await queue.handleTag('bb', write('bb'))).status, 'written');
+  assert.strictEqual((await queue.handleTag('aa', write('aa'))).status, 'master');
+  assert.strictEqual((await queue.handleTag('bb', write('bb'))).status, 'duplicate');
+  assert.strictEqual((await queue.handleTag('cc', write('cc'))).status, 'written');
+  assert.deepStrictEqual(written, [['bb', 1], ['cc', 3]]);
+  assert.strictEqual(queue.finished, true);
+});
+
+test('a CSV batch writes the tag that was already on the reader when it started', async () => {
+  // CSV rows carry no master tag; tag aa lay on the reader at the start and is presented now
+  const queue = new BatchQueue([{ materialCode: '1', colorCode: '2' }, { materialCode: '3', colorCode: '4' }]);
+  const written = [];
+  const write = uid => job => { written.push([uid, job.materialCode]); };
+
+  assert.strictEqual((await queue.handleTag('aa', write('aa'))).status, 'written');
+  assert.strictEqual((await queue.handleTag('bb', write('bb'))).status, 'written');
+  assert.deepStrictEqual(written, [['aa', 1], ['bb', 3]]);
+  assert.strictEqual(queue.finished, true);
+});
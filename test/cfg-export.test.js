@@ -0,0 +1,108 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { exportToCfg } = require('../cfg-export');
+
+const lines = (...texts) => texts.join('\n');
+
+const CFG = lines(
+  '# officiall_filas_list.cfg',
+  '# edited by hand',
+  '[fila1]',
+  'filament = PLA Rapido',
+  'type = PLA',
+  '',
+  '# ABS section',
+  '[fila11]',
+  'filament = ABS Rapido',
+  'type = ABS',
+  '',
+  '[colordict]',
+  '1 = #FAFAFA',
+  '',
+  '[vendor_list]',
+  '0 = Generic',
+  '1 = QIDI',
+  '5 = Other',
+  ''
+);
+
+test('a new material goes between the sections in code order, before the next one\'s comment', () => {
+  const { text, changed, plan } = exportToCfg(CFG, { materials: { 5: 'PETG Mine' } });
+  assert.strictEqual(changed, true);
+  assert.deepStrictEqual(plan.added, [{ kind: 'material', code: 5, name: 'PETG Mine' }]);
+  assert.strictEqual(text, CFG.replace('type = PLA\n\n# ABS section', 'type = PLA\n\n[fila5]\nfilament = PETG Mine\n\n# ABS section'));
+});
+
+test('a material before the first section goes below the file\'s header comment', () => {
+  const cfg = CFG.replace('[fila1]', '[fila3]');
+  const { text } = exportToCfg(cfg, { materials: { 2: 'Zero' } });
+  assert.strictEqual(text, cfg.replace('# edited by hand\n[fila3]', '# edited by hand\n[fila2]\nfilament = Zero\n\n[fila3]'));
+
+  // a comment of the first section (not the file header) stays with its section
+  const commented = lines('# officiall_filas_list.cfg', '', '# PLA', '[fila3]', 'filament = PLA', '', '[vendor_list]', '0 = Generic');
+  assert.strictEqual(exportToCfg(commented, { materials: { 2: 'Zero' } }).text,
+    lines('# officiall_filas_list.cfg', '', '[fila2]', 'filament = Zero', '', '# PLA', '[fila3]', 'filament = PLA', '', '[vendor_list]', '0 = Generic'));
+});
+
+test('a code the cfg uses for another name is a conflict and left alone', () => {
+  const { text, changed, plan } = exportToCfg(CFG, { materials: { 1: 'PLA Mine', 11: 'ABS Rapido' } });
+  assert.strictEqual(changed, false);
+  assert.strictEqual(text, CFG);
+  assert.deepStrictEqual(plan.conflicts, [{ kind: 'material', code: 1, name: 'PLA Mine', cfgName: 'PLA Rapido' }]);
+  assert.deepStrictEqual(plan.unchanged, [{ kind: 'material', code: 11, name: 'ABS Rapido' }]);
+});
+
+test('a conflict listed in replace is overwritten, keeping the section\'s other keys', () => {
+  const { text, plan, hunks } = exportToCfg(CFG, { materials: { 1: 'PLA Mine' } }, { replace: ['material:1'] });
+  assert.strictEqual(text, CFG.replace('filament = PLA Rapido', 'filament = PLA Mine'));
+  assert.deepStrictEqual(plan.replaced, [{ kind: 'material', code: 1, name: 'PLA Mine', cfgName: 'PLA Rapido' }]);
+  assert.deepStrictEqual(plan.conflicts, []);
+  assert.deepStrictEqual(hunks, [{
+    line: 2,
+    lines: [
+      { type: ' ', text: '# edited by hand' },
+      { type: ' ', text: '[fila1]' },
+      { type: '-', text: 'filament = PLA Rapido' },
+      { type: '+', text: 'filament = PLA Mine' },
+      { type: ' ', text: 'type = PLA' },
+      { type: ' ', text: '' }
+    ]
+  }]);
+});
+
+test('vendors are inserted into [vendor_list] in code order', () => {
+  const { text, plan, hunks } = exportToCfg(CFG, { manufacturers: { 3: 'Acme', 9: 'Last' } });
+  assert.strictEqual(text, CFG.replace('1 = QIDI\n5 = Other\n', '1 = QIDI\n3 = Acme\n5 = Other\n9 = Last\n'));
+  assert.deepStrictEqual(plan.added.map(e => e.code), [3, 9]);
+  // nearby changes share one hunk
+  assert.deepStrictEqual(hunks, [{
+    line: 16,
+    lines: [
+      { type: ' ', text: '0 = Generic' },
+      { type: ' ', text: '1 = QIDI' },
+      { type: '+', text: '3 = Acme' },
+      { type: ' ', text: '5 = Other' },
+      { type: '+', text: '9 = Last' },
+      { type: ' ', text: '' }
+    ]
+  }]);
+});
+
+test('the file\'s separator and CRLF line ends are kept', () => {
+  const cfg = '[fila1]\r\nfilament=PLA\r\n\r\n[vendor_list]\r\n0=Generic\r\n';
+  const { text } = exportToCfg(cfg, { materials: { 2: 'PETG' }, manufacturers: { 1: 'QIDI' } });
+  assert.strictEqual(text, '[fila1]\r\nfilament=PLA\r\n\r\n[fila2]\r\nfilament=PETG\r\n\r\n[vendor_list]\r\n0=Generic\r\n1=QIDI\r\n');
+});
+
+test('names are kept to one line and a cfg the app cannot load is refused', () => {
+  const { text } = exportToCfg(CFG, { manufacturers: { 2: 'Two\nLines' } });
+  assert.ok(text.includes('\n2 = Two Lines\n'));
+  assert.throws(() => exportToCfg('[fila1]\nfilament = PLA\n', { materials: { 2: 'PETG' } }), err => err.message === 'CFG_NO_VENDORS');
+});
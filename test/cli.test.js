@@ -0,0 +1,36 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const cli = require('../cli');
+const NFCService = require('../nfc-service');
+
+// Runs the CLI against the simulated reader; resolves with { code, stdout, stderr }
+async function runCli(args) {
+  const out = { stdout: '', stderr: '' };
+  const io = {
+    stdout: { write: (text) => { out.stdout += text; } },
+    stderr: { write: (text) => { out.stderr += text; } }
+  };
+  const services = { createNfcService: () => new NFCService({ backend: 'sim', backendOptions: {} }) };
+  const code = await cli.run(cli.parseArgs(args), services, io);
+  return { code, ...out };
+}
+
+test('write takes the nearest palette color for a hex value outside the palette', async () => {
+  const res = await runCli(['write', '--material', 'PLA', '--color', '#ff0000', '--json']);
+  assert.strictEqual(res.code, cli.EXIT.OK);
+  assert.strictEqual(JSON.parse(res.stdout).color.hex, '#FF362D');
+  assert.match(res.stderr, /#FF0000 is not in the palette, using the nearest one: #FF362D \(18\)/);
+});
+
+test('write refuses a color that is neither a name, a hex value nor a code', async () => {
+  const res = await runCli(['write', '--material', 'PLA', '--color', 'Mauve']);
+  assert.strictEqual(res.code, cli.EXIT.USAGE);
+  assert.match(res.stderr, /Unknown color: Mauve/);
+});
@@ -0,0 +1,31 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const errors = require('../errors');
+
+const ROOT = path.join(__dirname, '..');
+
+test('every code the modules throw has a message key', () => {
+  const thrown = new Map();
+  for (const name of fs.readdirSync(ROOT).filter(n => n.endsWith('.js'))) {
+    const source = fs.readFileSync(path.join(ROOT, name), 'utf8');
+    for (const m of source.matchAll(/codedError\('([A-Za-z_]+)'/g)) thrown.set(m[1], name);
+  }
+  assert.ok(thrown.size > 20, `found only ${thrown.size} codes`);
+  const missing = [...thrown].filter(([code]) => !errors.MESSAGE_KEYS[code]).map(([code, file]) => `${code} (${file})`);
+  assert.deepStrictEqual(missing, []);
+});
+
+test('coded errors carry their code, details and message key', () => {
+  const err = errors.codedError('QR_TOO_LONG', '300 bytes');
+  assert.strictEqual(err.message, 'QR_TOO_LONG');
+  assert.deepStrictEqual(errors.describe(err), { code: 'QR_TOO_LONG', messageKey: 'qrTooLong', details: '300 bytes' });
+});
@@ -0,0 +1,54 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const filamentData = require('../filament-data');
+
+test('the cfg parser reads materials, vendors and the color table', () => {
+  const cfg = [
+    '# officiall_filas_list.cfg',
+    '[fila1]',
+    'filament = PLA Rapido',
+    'type = PLA',
+    '[fila011]',
+    '; no name yet',
+    'filament =',
+    '[Vendor_List]',
+    '0 = Generic',
+    '1=QIDI',
+    '[colordict]',
+    '1 = fafafa',
+    '2 = #060606',
+    '3 = #FAFAFA',
+    '4 = not a color'
+  ].join('\r\n');
+  assert.deepStrictEqual(filamentData.parseOfficialCfgText(cfg), {
+    materialsMap: { 1: 'PLA Rapido' },
+    vendorsMap: { 0: 'Generic', 1: 'QIDI' },
+    colorsMap: { '#FAFAFA': 1, '#060606': 2 }
+  });
+});
+
+test('a cfg without materials or vendors is refused with the missing part as the code', () => {
+  assert.throws(() => filamentData.parseOfficialCfgText('[vendor_list]\n0 = Generic\n'), { message: 'CFG_NO_MATERIALS' });
+  assert.throws(() => filamentData.parseOfficialCfgText('[fila1]\nfilament = PLA\n'), { message: 'CFG_NO_VENDORS' });
+});
+
+test('the defaults are used for what the cfg does not have', () => {
+  const defaults = filamentData.buildTables();
+  assert.strictEqual(defaults.materials[1], 'PLA');
+  assert.strictEqual(defaults.colors['#FAFAFA'], 1);
+
+  const tables = filamentData.buildTables('[fila1]\nfilament = PLA Rapido\n[vendor_list]\n0 = Generic\n');
+  assert.deepStrictEqual(tables.materials, { 1: 'PLA Rapido' });
+  assert.deepStrictEqual(tables.colors, defaults.colors);
+
+  // the copies are the caller's
+  defaults.materials[1] = 'changed';
+  assert.strictEqual(filamentData.buildTables().materials[1], 'PLA');
+});
@@ -0,0 +1,67 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonFile = require('../json-file');
+const Inventory = require('../inventory');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'boxrfid-json-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('a missing file reads as null', async t => {
+  assert.strictEqual(await new JsonFile(path.join(tempDir(t), 'none.json')).read(), null);
+});
+
+test('an unreadable file is kept aside and reads as null', async t => {
+  const dir = tempDir(t);
+  const file = path.join(dir, 'inventory.json');
+  fs.writeFileSync(file, '{ "spools": ');
+  const inventory = new Inventory(file);
+  await inventory.load();
+  assert.deepStrictEqual(inventory.spools, {});
+  const broken = fs.readdirSync(dir).filter(name => name.startsWith('inventory.json.broken-'));
+  assert.strictEqual(broken.length, 1);
+  assert.strictEqual(fs.readFileSync(path.join(dir, broken[0]), 'utf8'), '{ "spools": ');
+});
+
+test('writes are serialized and the last one wins', async t => {
+  const dir = tempDir(t);
+  const file = new JsonFile(path.join(dir, 'data.json'));
+  const data = { n: 0 };
+  const writes = [];
+  for (let n = 1; n <= 5; n++) {
+    data.n = n;
+    writes.push(file.write(data));
+  }
+  await Promise.all(writes);
+  assert.deepStrictEqual(await file.read(), { n: 5 });
+  assert.deepStrictEqual(fs.readdirSync(dir), ['data.json']);
+});
+
+test('a directory in place of the file is reported, not renamed', async t => {
+  // EISDIR stands in for any read error that is not about the content
+  const dir = tempDir(t);
+  const file = path.join(dir, 'inventory.json');
+  fs.mkdirSync(file);
+  await assert.rejects(new JsonFile(file).read(), err => err.code === 'EISDIR');
+  const inventory = new Inventory(file);
+  await assert.rejects(inventory.load(), err => err.code === 'EISDIR');
+  assert.deepStrictEqual(fs.readdirSync(dir), ['inventory.json']);
+
+  // the next load tries again
+  fs.rmdirSync(file);
+  fs.writeFileSync(file, JSON.stringify({ version: 1, spools: { AA: { uid: 'AA' } } }));
+  await inventory.load();
+  assert.deepStrictEqual(Object.keys(inventory.spools), ['AA']);
+});
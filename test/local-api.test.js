@@ -0,0 +1,51 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const LocalApiServer = require('../local-api');
+
+const TOKEN = 'test-token';
+
+async function startApi(t) {
+  const calls = [];
+  const api = new LocalApiServer({
+    token: TOKEN,
+    port: 0,
+    operations: {
+      write: async (params) => { calls.push(['write', params]); return { success: true }; },
+      setAuto: async (enable, readers) => { calls.push(['auto', enable, readers]); return { success: true }; }
+    }
+  });
+  await api.start();
+  t.after(() => api.stop());
+  const post = (path, body) => fetch(`http://127.0.0.1:${api.server.address().port}${path}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${TOKEN}`, 'Content-Type': 'application/json' },
+    body
+  });
+  return { post, calls };
+}
+
+test('rejects bodies that are not JSON objects with 400', async (t) => {
+  const { post, calls } = await startApi(t);
+  for (const path of ['/api/tag', '/api/auto']) {
+    for (const body of ['null', '[]', '42', '"x"', '{']) {
+      const res = await post(path, body);
+      assert.strictEqual(res.status, 400, `${path} ${body}`);
+      assert.strictEqual((await res.json()).messageKey, 'badRequest');
+    }
+  }
+  assert.deepStrictEqual(calls, []);
+});
+
+test('passes a valid write on to the operations', async (t) => {
+  const { post, calls } = await startApi(t);
+  const res = await post('/api/tag', JSON.stringify({ materialCode: 1, colorCode: 2 }));
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(calls, [['write', { materialCode: 1, colorCode: 2 }]]);
+});
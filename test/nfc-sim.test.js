@@ -0,0 +1,85 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+// NFCService against the simulated reader (nfc-sim.js): reads, verified writes and injected
+// faults, without PC/SC or hardware.
+const test = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const NFCService = require('../nfc-service');
+
+const READER = 'BoxRFID Simulated Reader 00 00';
+
+// Service with one simulated reader and a blank MIFARE Classic 1K on it
+async function startService(backendOptions = {}) {
+  const service = new NFCService({ backend: 'sim', backendOptions: { readerName: READER, ...backendOptions } });
+  await once(service, 'card-present');
+  return { service, reader: service.nfc.getReader(0) };
+}
+
+test('reads a blank tag', async (t) => {
+  const { service } = await startService();
+  t.after(() => service.close());
+  const data = await service.readTag();
+  assert.strictEqual(data.uid, '04a1b2c3');
+  assert.strictEqual(data.cardType, 'classic');
+  assert.deepStrictEqual([data.material, data.color, data.manufacturer], [null, null, null]);
+  assert.deepStrictEqual(data.rawData, new Array(16).fill(0));
+});
+
+test('writes codes and reads them back', async (t) => {
+  const { service, reader } = await startService();
+  t.after(() => service.close());
+  const result = await service.writeTag(1, 2, 1);
+  assert.deepStrictEqual(result, { verified: true, attempts: 1, cardType: 'classic', format: 'qidi' });
+  assert.deepStrictEqual(Array.from(reader.getCard().getBlock(4).subarray(0, 3)), [1, 2, 1]);
+  const data = await service.readTag();
+  assert.deepStrictEqual([data.material, data.color, data.manufacturer], [1, 2, 1]);
+});
+
+test('a corrupted write is detected and repeated', async (t) => {
+  const { service, reader } = await startService();
+  t.after(() => service.close());
+  reader.injectFault({ op: 'write', error: 'corrupt' });
+  const result = await service.writeTag(1, 2, 1);
+  assert.strictEqual(result.attempts, 2);
+  assert.deepStrictEqual(Array.from(reader.getCard().getBlock(4).subarray(0, 3)), [1, 2, 1]);
+});
+
+test('a write that never verifies fails with NFC_VERIFY_FAILED', async (t) => {
+  const { service, reader } = await startService();
+  t.after(() => service.close());
+  reader.injectFault({ op: 'write', error: 'corrupt', count: 10 });
+  await assert.rejects(service.writeTag(1, 2, 1, { retries: 1 }), { message: 'NFC_VERIFY_FAILED' });
+});
+
+test('retries are capped at MAX_WRITE_RETRIES', async (t) => {
+  const { service, reader } = await startService();
+  t.after(() => service.close());
+  // Exactly one corrupted write per allowed attempt: the write gives up, the next one is clean
+  reader.injectFault({ op: 'write', error: 'corrupt', count: NFCService.MAX_WRITE_RETRIES + 1 });
+  await assert.rejects(service.writeTag(1, 2, 1, { retries: 1000000 }), { message: 'NFC_VERIFY_FAILED' });
+  assert.strictEqual((await service.writeTag(1, 2, 1)).attempts, 1);
+});
+
+test('an authentication fault fails the read', async (t) => {
+  const { service, reader } = await startService();
+  t.after(() => service.close());
+  // Both built-in keys are tried, so both attempts have to fail
+  reader.injectFault({ op: 'authenticate', error: 'auth', count: 2 });
+  await assert.rejects(service.readTag(), { message: 'NFC_AUTH_FAILED' });
+  // The fault is used up; the next read works again
+  assert.strictEqual((await service.readTag()).uid, '04a1b2c3');
+});
+
+test('a tag removed during the write is reported and not retried', async (t) => {
+  const { service, reader } = await startService();
+  t.after(() => service.close());
+  reader.injectFault({ op: 'write', error: 'removed' });
+  await assert.rejects(service.writeTag(1, 2, 1), { message: 'NFC_CARD_REMOVED' });
+  assert.strictEqual(service.getCurrentUID(), null);
+});
@@ -0,0 +1,62 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+// Printer cfg sync against the Moonraker stand-in (tools/moonraker-mock.js)
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const PrinterCfgSync = require('../printer-cfg');
+const moonraker = require('../tools/moonraker-mock');
+
+async function startMoonraker(t, options) {
+  const server = moonraker.createServer(options, { log: () => {} });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => server.close());
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'boxrfid-printer-cfg-'));
+  t.after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+  return { sync: new PrinterCfgSync(cacheDir), host: '127.0.0.1', port: server.address().port };
+}
+
+test('downloads the cfg, caches it and reports changes on the next sync', async (t) => {
+  let text = moonraker.SAMPLE_CFG;
+  const { sync, host, port } = await startMoonraker(t, { files: { [moonraker.CFG_PATH]: () => text } });
+
+  const first = await sync.sync({ host, port });
+  assert.strictEqual(first.firstSync, true);
+  assert.strictEqual(first.text, moonraker.SAMPLE_CFG);
+  assert.strictEqual((await sync.cached()).text, moonraker.SAMPLE_CFG);
+
+  assert.strictEqual((await sync.sync({ host, port })).changed, false);
+
+  text = text.replace('filament = ABS Rapido', 'filament = ABS Tough');
+  const changed = await sync.sync({ host, port });
+  assert.strictEqual(changed.changed, true);
+  assert.deepStrictEqual(changed.diff.materials.renamed, [{ code: 11, from: 'ABS Rapido', to: 'ABS Tough' }]);
+});
+
+test('sends the API key and reports a wrong one', async (t) => {
+  const { sync, host, port } = await startMoonraker(t, { apiKey: 'secret' });
+  await assert.rejects(sync.sync({ host, port }), { message: 'PRINTER_AUTH_FAILED' });
+  await assert.rejects(sync.sync({ host, port, apiKey: 'wrong' }), { message: 'PRINTER_AUTH_FAILED' });
+  assert.strictEqual((await sync.sync({ host, port, apiKey: 'secret' })).text, moonraker.SAMPLE_CFG);
+});
+
+test('reports a missing file and never caches an invalid one', async (t) => {
+  const { sync, host, port } = await startMoonraker(t, { files: { 'config/other.cfg': 'not a cfg' } });
+  await assert.rejects(sync.sync({ host, port }), { message: 'PRINTER_FILE_NOT_FOUND' });
+  await assert.rejects(sync.sync({ host, port, filePath: 'config/other.cfg' }), { message: 'CFG_INVALID' });
+  assert.strictEqual(await sync.cached(), null);
+});
+
+test('reports an unreachable printer', async (t) => {
+  const { sync, host, port } = await startMoonraker(t, {});
+  await assert.rejects(sync.sync({ host, port: port === 1 ? 2 : 1 }), { message: 'PRINTER_UNREACHABLE' });
+});
@@ -0,0 +1,35 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+// Locking and unlocking sectors (sector-access.js) through NFCService on the simulated reader
+const test = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const NFCService = require('../nfc-service');
+
+// Service with one simulated reader and a blank MIFARE Classic 1K on it
+async function startService() {
+  const service = new NFCService({ backend: 'sim', backendOptions: { readerName: 'BoxRFID Simulated Reader 00 00' } });
+  await once(service, 'card-present');
+  return { service, reader: service.nfc.getReader(0) };
+}
+
+test('locks and unlocks a sector with key B', async (t) => {
+  const { service, reader } = await startService();
+  t.after(() => service.close());
+  const keyB = 'a1a2a3a4a5a6';
+  const locked = await service.lockSector(1, { keyB });
+  assert.strictEqual(locked.writeProtected, true);
+  assert.strictEqual((await service.sectorAccess(1)).writeProtected, true);
+  await assert.rejects(service.writeTag(1, 2, 1), { message: 'TAG_WRITE_PROTECTED' });
+  await assert.rejects(service.unlockSector(1, { keyB: 'ffffffffffff' }), { message: 'NFC_AUTH_FAILED' });
+
+  const unlocked = await service.unlockSector(1, { keyB });
+  assert.strictEqual(unlocked.writeProtected, false);
+  await service.writeTag(1, 2, 1);
+  assert.deepStrictEqual(Array.from(reader.getCard().getBlock(4).subarray(0, 3)), [1, 2, 1]);
+});
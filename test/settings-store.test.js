@@ -0,0 +1,38 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SettingsStore = require('../settings-store');
+
+test('support bundle settings carry no secrets, also not in inactive printer profiles', () => {
+  const settings = {
+    apiToken: 'token',
+    printerHost: 'q1.local',
+    printerApiKey: 'key-active',
+    activePrinterProfile: 'default',
+    printerProfiles: [
+      { id: 'default', name: 'Q1', printerHost: 'q1.local', printerApiKey: 'key-active' },
+      { id: 'q2', name: 'Q2', printerHost: 'q2.local', printerApiKey: 'key-q2' }
+    ]
+  };
+  const stripped = SettingsStore.withoutSecrets(settings);
+  const text = JSON.stringify(stripped);
+  assert.ok(!text.includes('printerApiKey') && !text.includes('apiToken'), text);
+  assert.ok(!text.includes('key-q2') && !text.includes('token'), text);
+  assert.deepStrictEqual(stripped.printerProfiles.map(p => p.printerHost), ['q1.local', 'q2.local']);
+  // the settings themselves are left alone
+  assert.strictEqual(settings.printerProfiles[1].printerApiKey, 'key-q2');
+  assert.strictEqual(settings.apiToken, 'token');
+});
+
+test('switching to an unknown printer profile fails with PRINTER_PROFILE_NOT_FOUND', () => {
+  const settings = { activePrinterProfile: 'default', printerProfiles: [{ id: 'default', name: 'Q1' }] };
+  assert.throws(() => SettingsStore.switchPrinterProfile(settings, 'q2'),
+    err => err.message === 'PRINTER_PROFILE_NOT_FOUND' && err.details === 'q2');
+  assert.throws(() => SettingsStore.parseProfile('[]'), err => err.message === 'PROFILE_INVALID');
+});
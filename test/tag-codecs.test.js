@@ -0,0 +1,71 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const codecs = require('../tag-codecs');
+const inspector = require('../tag-inspector');
+const openspool = require('../openspool');
+const payload = require('../tag-payload');
+
+// Blocks 4..6 as the reader returns them
+function classic(bytes = []) {
+  const data = Buffer.alloc(48, 0x00);
+  Buffer.from(bytes).copy(data);
+  return { cardType: 'classic', data };
+}
+
+test('blank MIFARE Classic blocks are empty, not QIDI', () => {
+  const raw = classic();
+  assert.deepStrictEqual(codecs.decode(raw), { format: 'empty', filament: null });
+  assert.strictEqual(inspector.classify(raw).classification, 'blank');
+});
+
+test('plain QIDI codes are read as QIDI', () => {
+  const { format, filament } = codecs.decode(classic([1, 1, 1]));
+  assert.strictEqual(format, 'qidi');
+  assert.deepStrictEqual([filament.materialCode, filament.colorCode, filament.manufacturerCode], [1, 1, 1]);
+  assert.strictEqual(filament.extended, null);
+});
+
+test('QIDI codes with the extended record are read as QIDI with the extended data', () => {
+  const data = payload.encode({ material: 1, color: 2, manufacturer: 1 }, { nominalWeight: 1000, lot: 'L1' });
+  const { format, filament } = codecs.decode({ cardType: 'classic', data });
+  assert.strictEqual(format, 'qidi');
+  assert.strictEqual(filament.extended.nominalWeight, 1000);
+  assert.strictEqual(filament.extended.lot, 'L1');
+});
+
+test('codes the tables do not know are still QIDI', () => {
+  const raw = classic([250, 250, 99]);
+  assert.strictEqual(codecs.decode(raw).format, 'qidi');
+  assert.strictEqual(inspector.classify(raw).classification, 'unknown-codes');
+});
+
+test('other data on a MIFARE Classic tag is foreign, not QIDI codes', () => {
+  // e.g. another brand's tag: data all over blocks 4..6
+  const raw = classic(Array.from({ length: 48 }, (_, i) => (i * 37 + 11) & 0xFF));
+  assert.deepStrictEqual(codecs.decode(raw), { format: 'foreign', filament: null });
+  assert.strictEqual(inspector.classify(raw).classification, 'foreign');
+
+  // a marker with a broken checksum is no extended record either
+  const data = payload.encode({ material: 1, color: 2, manufacturer: 1 }, { nominalWeight: 1000 });
+  data[47] ^= 0xFF;
+  assert.strictEqual(codecs.decode({ cardType: 'classic', data }).format, 'foreign');
+});
+
+test('NTAG with an OpenSpool record is OpenSpool, other NDEF data is ndef', () => {
+  const os = codecs.decode({ cardType: 'ntag', data: openspool.encode({ type: 'PLA', colorHex: '#FAFAFA', brand: 'Generic' }) });
+  assert.strictEqual(os.format, 'openspool');
+  assert.strictEqual(os.filament.materialName, 'PLA');
+
+  const uri = openspool.encodeRecord(0x01, 'U', Buffer.from([0x04, ...Buffer.from('example.com')]));
+  const other = codecs.decode({ cardType: 'ntag', data: Buffer.concat([Buffer.from([0x03, uri.length]), uri, Buffer.from([0xFE])]) });
+  assert.deepStrictEqual(other, { format: 'ndef', filament: null });
+
+  assert.deepStrictEqual(codecs.decode({ cardType: 'ntag', data: Buffer.alloc(0) }), { format: 'empty', filament: null });
+});
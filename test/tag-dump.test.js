@@ -0,0 +1,39 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+// Dumping and restoring whole tags (tag-dump.js) through NFCService on the simulated reader
+const test = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const NFCService = require('../nfc-service');
+
+// Service with one simulated reader and a blank MIFARE Classic 1K on it
+async function startService() {
+  const service = new NFCService({ backend: 'sim', backendOptions: { readerName: 'BoxRFID Simulated Reader 00 00' } });
+  await once(service, 'card-present');
+  return { service, reader: service.nfc.getReader(0) };
+}
+
+test('restores a dump without locking sectors whose key B it does not hold', async (t) => {
+  const { service, reader } = await startService();
+  t.after(() => service.close());
+  await service.writeTag(1, 2, 1);
+  await service.lockSector(1, { keyB: 'a1a2a3a4a5a6' });
+  const dump = await service.dumpTag();
+
+  const present = once(service, 'card-present');
+  reader.insertCard({ uid: '04d5e6f7' });
+  await present;
+  const result = await service.restoreTag(dump, { includeTrailers: true });
+  assert.deepStrictEqual(result.skippedSectors, []);
+  assert.deepStrictEqual(result.skippedTrailers, [1]);
+  const card = reader.getCard();
+  assert.deepStrictEqual(Array.from(card.getBlock(4).subarray(0, 3)), [1, 2, 1]);
+  // Sector 1 keeps the transport configuration; the other trailers were restored as dumped
+  assert.strictEqual((await service.sectorAccess(1)).writeProtected, false);
+  assert.strictEqual(card.getBlock(11).toString('hex'), dump.sectors[2].blocks[3]);
+});
@@ -0,0 +1,65 @@
+/* Check the locale packs (locales/*.json) against the app
+   Usage:
+     node tools/check-locales.js [folder with extra packs, e.g. the userData/locales folder] [--json]
+   Lists per locale:
+     - missing: keys the English pack has and the locale lacks (shown in English in the app)
+     - unused:  keys neither the app nor the Python version uses
+     - placeholders: texts whose {placeholders} differ from the English text
+   and the keys the app uses that the English pack does not define.
+   Exit code 1 when anything is missing or undefined, so it can run before a release.
+*/
+const fs = require('fs');
+const path = require('path');
+const localePacks = require('../locale-packs');
+const { MESSAGE_KEYS } = require('../errors');
+
+const ROOT = path.join(__dirname, '..');
+const args = process.argv.slice(2);
+const json = args.includes('--json');
+const userDir = args.find(a => a !== '--json');
+
+function read(file) {
+  try { return fs.readFileSync(path.join(ROOT, file), 'utf8'); } catch { return ''; }
+}
+
+// Keys the renderer looks up: t.key, tr('key'), messageKeys the main process sends; Python: tr("key")
+function usedKeys() {
+  const used = new Set(Object.values(MESSAGE_KEYS));
+  const html = read('index.html');
+  for (const m of html.matchAll(/\bt\.([A-Za-z_]\w*)/g)) used.add(m[1]);
+  for (const m of html.matchAll(/\btr\('(\w+)'/g)) used.add(m[1]);
+  for (const m of read('main.js').matchAll(/messageKey\s*[:=]\s*'(\w+)'/g)) used.add(m[1]);
+  used.delete('colors');
+  const python = read(path.join('Phyton', 'source', 'box-rfid-V1.0.py'));
+  for (const m of python.matchAll(/\btr\("(\w+)"/g)) used.add(`python.${m[1]}`);
+  return used;
+}
+
+(async () => {
+  const { locales, errors } = await localePacks.loadLocales({ appDir: path.join(ROOT, 'locales'), userDir });
+  const used = usedKeys();
+  const english = locales.find(l => l.code === localePacks.FALLBACK_LOCALE);
+  // Color names are looked up by the hex value of whatever color is shown
+  for (const key of Object.keys((english && english.pack.colors) || {})) used.add(`colors.${key}`);
+  const report = localePacks.checkLocales(locales, { usedKeys: used });
+  const undefinedKeys = [...used].filter(key => {
+    const [section, sub] = key.includes('.') ? key.split('.') : [null, key];
+    const pack = english ? english.pack : {};
+    return section ? !(pack[section] && pack[section][sub] !== undefined) : pack[key] === undefined;
+  }).sort();
+
+  if (json) {
+    console.log(JSON.stringify({ locales: report, undefinedKeys, errors }, null, 2));
+  } else {
+    for (const r of report) {
+      console.log(`${r.code} (${r.source}, ${r.file.startsWith(ROOT) ? path.relative(ROOT, r.file) : r.file})`);
+      console.log(`  missing (${r.missing.length}): ${r.missing.join(', ') || '-'}`);
+      console.log(`  unused (${r.unused.length}): ${r.unused.join(', ') || '-'}`);
+      if (r.placeholderMismatch.length) console.log(`  placeholders differ: ${r.placeholderMismatch.join(', ')}`);
+    }
+    if (undefinedKeys.length) console.log(`\nUsed but not in ${localePacks.FALLBACK_LOCALE}.json: ${undefinedKeys.join(', ')}`);
+    for (const e of errors) console.log(`\nNot loaded: ${e.file}: ${e.details || e.code}`);
+  }
+  const incomplete = report.some(r => r.missing.length || r.placeholderMismatch.length) || undefinedKeys.length || errors.length;
+  process.exit(incomplete ? 1 : 0);
+})();
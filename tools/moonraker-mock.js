@@ -0,0 +1,91 @@
+/* Minimal Moonraker server for trying the printer cfg sync without a printer
+   Usage:
+     node tools/moonraker-mock.js [port] [--cfg <file>] [--api-key <key>]     (default port 7125)
+   Then enter localhost and the port as printer address in Setup → General (source: Printer).
+   Serves GET /server/files/<root>/<path> like Moonraker's file API. config/officiall_filas_list.cfg
+   is a small sample list, or the --cfg file (read again on every request, so edits show up at
+   the next sync). With --api-key every request needs that X-Api-Key header (401 otherwise);
+   other files are 404 with Moonraker's error body. Every request is logged.
+   require('./tools/moonraker-mock').createServer({ files, apiKey }) returns an http.Server for
+   scripts; files maps '<root>/<path>' to the text or to a function returning it.
+*/
+const fs = require('fs');
+const http = require('http');
+
+const DEFAULT_PORT = 7125;
+const CFG_PATH = 'config/officiall_filas_list.cfg';
+
+const SAMPLE_CFG = `# officiall_filas_list.cfg (sample served by tools/moonraker-mock.js)
+[fila1]
+filament = PLA Rapido
+type = PLA
+
+[fila11]
+filament = ABS Rapido
+type = ABS
+
+[fila41]
+filament = PETG Tough
+type = PETG
+
+[colordict]
+1 = #FAFAFA
+2 = #060606
+
+[vendor_list]
+0 = Generic
+1 = QIDI
+`;
+
+function sampleFiles() {
+  return { [CFG_PATH]: SAMPLE_CFG };
+}
+
+// Moonraker wraps errors as { error: { code, message, traceback } }
+function errorBody(code, message) {
+  return JSON.stringify({ error: { code, message, traceback: '' } });
+}
+
+function createServer({ files = sampleFiles(), apiKey = null } = {}, { log = console.log } = {}) {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const send = (status, body, type = 'application/json') => {
+      log(`${req.method} ${url.pathname} -> ${status}`);
+      res.writeHead(status, { 'Content-Type': type });
+      res.end(body);
+    };
+    if (apiKey && req.headers['x-api-key'] !== apiKey) return send(401, errorBody(401, 'Unauthorized'));
+    const m = /^\/server\/files\/(.+)$/.exec(url.pathname);
+    if (req.method !== 'GET' || !m) return send(404, errorBody(404, 'Not Found'));
+    const name = decodeURIComponent(m[1]);
+    const file = files[name];
+    if (file === undefined) return send(404, errorBody(404, `File does not exist: ${name}`));
+    let text;
+    try {
+      text = typeof file === 'function' ? file() : file;
+    } catch (err) {
+      return send(500, errorBody(500, err.message));
+    }
+    return send(200, text, 'application/octet-stream');
+  });
+}
+
+function parseArgs(argv) {
+  const options = { port: DEFAULT_PORT, cfg: null, apiKey: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--cfg') options.cfg = argv[++i];
+    else if (argv[i] === '--api-key') options.apiKey = argv[++i];
+    else options.port = parseInt(argv[i], 10) || DEFAULT_PORT;
+  }
+  return options;
+}
+
+if (require.main === module) {
+  const { port, cfg, apiKey } = parseArgs(process.argv.slice(2));
+  const files = cfg ? { [CFG_PATH]: () => fs.readFileSync(cfg, 'utf8') } : sampleFiles();
+  createServer({ files, apiKey }).listen(port, () => {
+    console.log(`Moonraker mock on http://localhost:${port} serving ${CFG_PATH}${cfg ? ` from ${cfg}` : ' (sample)'}${apiKey ? ', API key required' : ''} (Ctrl+C to stop)`);
+  });
+}
+
+module.exports = { createServer, sampleFiles, SAMPLE_CFG, CFG_PATH };
@@ -0,0 +1,106 @@
+/* Minimal Spoolman server for trying the Spoolman integration without a printer
+   Usage:
+     node tools/spoolman-mock.js [port]        (default 7912)
+   Then enter http://localhost:7912 as Spoolman server in Setup → General.
+   Serves the part of Spoolman's REST API (/api/v1) the app uses - info, vendors, filaments,
+   spools and spool extra fields - from memory, with a few sample spools. Every request is
+   logged. Data is lost when the process ends.
+   require('./tools/spoolman-mock').createServer(seed) returns an http.Server for scripts.
+*/
+const http = require('http');
+
+const DEFAULT_PORT = 7912;
+
+function sampleData() {
+  const vendors = [{ id: 1, name: 'QIDI' }, { id: 2, name: 'Polymaker' }];
+  const filaments = [
+    { id: 1, name: 'PLA Rapido', material: 'PLA', color_hex: 'FAFAFA', vendor: vendors[0], density: 1.24, diameter: 1.75, weight: 1000, settings_extruder_temp: 220, settings_bed_temp: 60 },
+    { id: 2, name: 'PETG Tough', material: 'PETG', color_hex: '0A0A0A', vendor: vendors[0], density: 1.27, diameter: 1.75, weight: 1000 },
+    { id: 3, name: 'PolyTerra PLA', material: 'PLA', color_hex: '2850E0', vendor: vendors[1], density: 1.24, diameter: 1.75, weight: 1000 }
+  ];
+  const spools = [
+    { id: 1, filament: filaments[0], remaining_weight: 734, initial_weight: 1000, location: 'Box slot 1', lot_nr: 'L2401', archived: false, extra: {} },
+    { id: 2, filament: filaments[1], remaining_weight: 1000, initial_weight: 1000, location: 'Shelf', archived: false, extra: {} },
+    { id: 3, filament: filaments[2], remaining_weight: 120, initial_weight: 1000, location: null, archived: false, extra: {} }
+  ];
+  return { vendors, filaments, spools, fields: [] };
+}
+
+function createServer(seed = sampleData(), { log = console.log } = {}) {
+  const db = seed;
+  const nextId = list => list.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+
+  const routes = [
+    ['GET', /^\/info$/, () => [200, { version: 'mock', debug_mode: false }]],
+    ['GET', /^\/vendor$/, () => [200, db.vendors]],
+    ['POST', /^\/vendor$/, (m, body) => {
+      if (!body.name) return [422, { message: 'name is required' }];
+      const vendor = { id: nextId(db.vendors), name: body.name };
+      db.vendors.push(vendor);
+      return [200, vendor];
+    }],
+    ['GET', /^\/filament$/, () => [200, db.filaments]],
+    ['POST', /^\/filament$/, (m, body) => {
+      if (!body.density || !body.diameter) return [422, { message: 'density and diameter are required' }];
+      const { vendor_id: vendorId, ...rest } = body;
+      const filament = { id: nextId(db.filaments), ...rest, vendor: db.vendors.find(v => v.id === vendorId) || null };
+      db.filaments.push(filament);
+      return [200, filament];
+    }],
+    ['GET', /^\/spool$/, (m, body, query) => [200, db.spools.filter(s => query.get('allow_archived') === 'true' || !s.archived)]],
+    ['POST', /^\/spool$/, (m, body) => {
+      const filament = db.filaments.find(f => f.id === body.filament_id);
+      if (!filament) return [404, { message: `No filament with ID ${body.filament_id}` }];
+      const { filament_id: filamentId, ...rest } = body;
+      const spool = { id: nextId(db.spools), archived: false, location: null, extra: {}, ...rest, filament };
+      if (spool.remaining_weight === undefined) spool.remaining_weight = spool.initial_weight || filament.weight || null;
+      db.spools.push(spool);
+      return [200, spool];
+    }],
+    ['GET', /^\/spool\/(\d+)$/, m => {
+      const spool = db.spools.find(s => s.id === Number(m[1]));
+      return spool ? [200, spool] : [404, { message: `No spool with ID ${m[1]}` }];
+    }],
+    // Like Spoolman, `extra` replaces the spool's extra fields; unknown field keys are refused
+    ['PATCH', /^\/spool\/(\d+)$/, (m, body) => {
+      const spool = db.spools.find(s => s.id === Number(m[1]));
+      if (!spool) return [404, { message: `No spool with ID ${m[1]}` }];
+      const unknown = Object.keys(body.extra || {}).find(key => !db.fields.some(f => f.key === key));
+      if (unknown) return [400, { message: `Unknown extra field ${unknown}` }];
+      Object.assign(spool, body);
+      return [200, spool];
+    }],
+    ['GET', /^\/field\/spool$/, () => [200, db.fields]],
+    ['POST', /^\/field\/spool\/([a-z0-9_]+)$/, (m, body) => {
+      db.fields = db.fields.filter(f => f.key !== m[1]).concat({ key: m[1], entity_type: 'spool', ...body });
+      return [200, db.fields];
+    }]
+  ];
+
+  return http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const pathname = url.pathname.replace(/^\/api\/v1/, '');
+      let status = 404;
+      let payload = { message: 'Not found' };
+      const route = routes.find(([method, pattern]) => method === req.method && pattern.test(pathname));
+      try {
+        if (route) [status, payload] = route[2](route[1].exec(pathname), raw ? JSON.parse(raw) : {}, url.searchParams);
+      } catch (err) {
+        [status, payload] = [400, { message: err.message }];
+      }
+      log(`${req.method} ${url.pathname}${url.search} -> ${status}`);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+  });
+}
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2], 10) || DEFAULT_PORT;
+  createServer().listen(port, () => console.log(`Spoolman mock on http://localhost:${port}/api/v1 (Ctrl+C to stop)`));
+}
+
+module.exports = { createServer, sampleData };
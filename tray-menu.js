@@ -0,0 +1,73 @@
+/**
+ * BoxRFID – Filament Tag Manager
+ *
+ * Author: Tinkerbarn
+ * License: CC BY-NC-SA 4.0 (SPDX-License-Identifier: CC-BY-NC-SA-4.0)
+ */
+
+// Tray mode: the tooltip and context menu of the tray icon. The main process owns the tray and
+// rebuilds the menu from the current state whenever it changes; the texts come translated from
+// the renderer (the main process has no translations).
+//
+// state:   { autoRead, reader: readerStatus() shape, preset: { label } | null, busy }
+// labels:  { title, open, autoRead, writePreset ('{preset}'), noPreset, readerConnected ('{reader}'),
+//            readersConnected ('{count}'), readerNone, quit }   missing ones fall back to English
+// actions: { open, toggleAutoRead, writePreset, quit }   menu click handlers
+
+const { format } = require('./locale-packs');
+
+const DEFAULT_LABELS = {
+  title: 'BoxRFID',
+  open: 'Open BoxRFID',
+  autoRead: 'Auto-read',
+  writePreset: 'Write last preset: {preset}',
+  noPreset: 'Write last preset (none yet)',
+  readerConnected: 'Reader: {reader}',
+  readersConnected: '{count} readers connected',
+  readerNone: 'No reader connected',
+  quit: 'Quit'
+};
+
+function labelsOf(labels) {
+  const out = { ...DEFAULT_LABELS };
+  for (const key of Object.keys(DEFAULT_LABELS)) {
+    if (labels && typeof labels[key] === 'string' && labels[key]) out[key] = labels[key];
+  }
+  return out;
+}
+
+function readerText(reader, labels) {
+  const l = labelsOf(labels);
+  const readers = reader && Array.isArray(reader.readers) ? reader.readers : [];
+  if (!reader || !reader.connected || !readers.length) return l.readerNone;
+  if (readers.length > 1) return format(l.readersConnected, { count: readers.length });
+  return format(l.readerConnected, { reader: readers[0].name || reader.readerName || '' });
+}
+
+function tooltip(state, labels) {
+  return `${labelsOf(labels).title} – ${readerText(state.reader, labels)}`;
+}
+
+// Electron menu template (Menu.buildFromTemplate)
+function menuTemplate(state, labels, actions) {
+  const l = labelsOf(labels);
+  const connected = !!(state.reader && state.reader.connected);
+  return [
+    { label: l.open, click: actions.open },
+    { type: 'separator' },
+    { label: readerText(state.reader, labels), enabled: false },
+    { label: l.autoRead, type: 'checkbox', checked: !!state.autoRead, click: actions.toggleAutoRead },
+    state.preset
+      ? { label: format(l.writePreset, { preset: state.preset.label || '' }), enabled: connected && !state.busy, click: actions.writePreset }
+      : { label: l.noPreset, enabled: false },
+    { type: 'separator' },
+    { label: l.quit, click: actions.quit }
+  ];
+}
+
+module.exports = {
+  DEFAULT_LABELS,
+  readerText,
+  tooltip,
+  menuTemplate
+};